@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   // Server Configuration
@@ -32,7 +33,107 @@ module.exports = {
   // Stripe Configuration
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
-    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+  },
+  
+  // Payout Provider Configuration (stripe or fake)
+  payouts: {
+    provider: process.env.PAYOUT_PROVIDER || (process.env.NODE_ENV === 'production' ? 'stripe' : 'fake'),
+    fake: {
+      outcome: process.env.FAKE_PAYOUT_OUTCOME || 'success',
+      chargeOutcome: process.env.FAKE_CHARGE_OUTCOME || 'success',
+      delayMs: process.env.FAKE_PAYOUT_DELAY_MS !== undefined ? parseInt(process.env.FAKE_PAYOUT_DELAY_MS) : 2000,
+      webhookSecret: process.env.FAKE_WEBHOOK_SECRET || 'fake-webhook-secret'
+    }
+  },
+  
+  // Idempotency keys on payment routes are kept this long
+  idempotencyKeyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  // How long a request may hold its key before a retry can run it again
+  idempotencyLeaseSeconds: parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60,
+  
+  // Currency Configuration. The rates table lists units of each currency
+  // per one unit of its base currency and is re-read when the file changes.
+  currency: {
+    base: 'USD',
+    supported: ['USD', 'KZT', 'RUB'],
+    ratesFile: process.env.CURRENCY_RATES_FILE || path.join(__dirname, 'currency-rates.json')
+  },
+  
+  // Job Expiry Configuration
+  jobExpiry: {
+    lifetimeDays: parseInt(process.env.JOB_LIFETIME_DAYS) || 30,
+    sweepIntervalMinutes: parseInt(process.env.JOB_EXPIRY_SWEEP_MINUTES) || 15
+  },
+  
+  // Scheduled Publication Configuration. Jobs queued with publishAt go
+  // live on the next sweep after that time.
+  jobPublishing: {
+    sweepIntervalMinutes: parseInt(process.env.JOB_PUBLISH_SWEEP_MINUTES) || 1
+  },
+  
+  // Recurring Job Series Configuration. Occurrences are generated this
+  // many days ahead and topped up on the sweep interval.
+  jobSeries: {
+    horizonDays: parseInt(process.env.JOB_SERIES_HORIZON_DAYS) || 14,
+    maxOccurrences: parseInt(process.env.JOB_SERIES_MAX_OCCURRENCES) || 100,
+    sweepIntervalMinutes: parseInt(process.env.JOB_SERIES_SWEEP_MINUTES) || 60
+  },
+  
+  // Job Alert Configuration. Matches for saved searches and alert
+  // preferences are emailed in digests at digestHour (UTC); weekly
+  // digests go out on Mondays.
+  jobAlerts: {
+    maxSavedSearches: parseInt(process.env.SAVED_SEARCH_LIMIT) || 20,
+    digestHour: process.env.JOB_ALERT_DIGEST_HOUR !== undefined ? parseInt(process.env.JOB_ALERT_DIGEST_HOUR) : 8,
+    digestMaxJobs: parseInt(process.env.JOB_ALERT_DIGEST_MAX_JOBS) || 20,
+    sweepIntervalMinutes: parseInt(process.env.JOB_ALERT_SWEEP_MINUTES) || 5
+  },
+  
+  // Job Recommendations Configuration. This many of the newest matching
+  // jobs are scored for each feed.
+  recommendations: {
+    candidateLimit: parseInt(process.env.RECOMMENDATION_CANDIDATES) || 200
+  },
+  
+  // Cancellation Policy Configuration. Cancelling or dropping out within
+  // the late window before the job starts is a late cancellation.
+  cancellation: {
+    lateWindowHours: parseInt(process.env.CANCELLATION_LATE_WINDOW_HOURS) || 24,
+    // Share of the escrowed pay a worker gets when the employer cancels late
+    lateCompensationPercent: process.env.CANCELLATION_LATE_COMPENSATION_PERCENT !== undefined
+      ? parseFloat(process.env.CANCELLATION_LATE_COMPENSATION_PERCENT)
+      : 25
+  },
+  
+  // Workers must be this close to the job location to check in or out
+  checkInRadiusMeters: parseInt(process.env.CHECK_IN_RADIUS_METERS) || 200,
+  
+  // Platform Fee Configuration
+  fees: {
+    percentage: process.env.PLATFORM_FEE_PERCENT !== undefined ? parseFloat(process.env.PLATFORM_FEE_PERCENT) : 10,
+    // In the base currency
+    minimum: process.env.PLATFORM_FEE_MINIMUM !== undefined ? parseFloat(process.env.PLATFORM_FEE_MINIMUM) : 1,
+    // Per-category percentages, e.g. {"Digital": 15}
+    categoryOverrides: JSON.parse(process.env.PLATFORM_FEE_CATEGORY_OVERRIDES || '{}'),
+    waiveForFeaturedEmployers: process.env.PLATFORM_FEE_WAIVE_FEATURED !== 'false'
+  },
+  
+  // Withdrawal Policy Configuration (amounts in the base currency)
+  withdrawals: {
+    minimumAmount: parseFloat(process.env.WITHDRAWAL_MINIMUM) || 10,
+    dailyLimit: parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT) || 1000,
+    weeklyLimit: parseFloat(process.env.WITHDRAWAL_WEEKLY_LIMIT) || 3000,
+    // Fresh earnings cannot be withdrawn for this many hours
+    holdHours: process.env.WITHDRAWAL_HOLD_HOURS !== undefined ? parseInt(process.env.WITHDRAWAL_HOLD_HOURS) : 72,
+    requireVerification: process.env.WITHDRAWAL_REQUIRE_VERIFICATION !== 'false',
+    // Withdrawals matching any of these go to manual review
+    velocity: {
+      maxDailyCount: parseInt(process.env.WITHDRAWAL_REVIEW_MAX_DAILY_COUNT) || 3,
+      largeAmount: parseFloat(process.env.WITHDRAWAL_REVIEW_AMOUNT) || 500,
+      newAccountDays: parseInt(process.env.WITHDRAWAL_REVIEW_NEW_ACCOUNT_DAYS) || 7
+    }
   },
   
   // Email Configuration
@@ -40,7 +141,8 @@ module.exports = {
     host: process.env.SMTP_HOST,
     port: process.env.SMTP_PORT,
     user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || 'JobPop <no-reply@jobpop.app>'
   },
   
   // File Upload Configuration
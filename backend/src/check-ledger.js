@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const ledger = require('./services/ledger');
+
+// Verify that the ledger balances: debits equal credits overall and per
+// journal, and cached wallet balances match the ledger. With
+// --sync-wallets the cached balances are first rebuilt from the ledger.
+async function checkLedger({ syncWallets = false } = {}) {
+  try {
+    await mongoose.connect(config.nodeEnv === 'production' ? config.mongoUriProd : config.mongoUri);
+
+    if (syncWallets) {
+      const count = await ledger.syncWallets();
+      console.log(`🔄 Rebuilt cached wallets for ${count} users`);
+    }
+
+    const result = await ledger.verify();
+
+    console.log(`Total debits:  ${result.totalDebits}`);
+    console.log(`Total credits: ${result.totalCredits}`);
+
+    result.unbalancedJournals.forEach(journal => {
+      console.log(`❌ Unbalanced journal ${journal.journal}: debits ${journal.debits}, credits ${journal.credits}`);
+    });
+
+    result.walletMismatches.forEach(wallet => {
+      console.log(`❌ Wallet mismatch for user ${wallet.userId} (${wallet.currency}): cached ${wallet.cached}, ledger ${wallet.derived}`);
+    });
+
+    console.log(result.balanced ? '✅ Ledger is balanced' : '❌ Ledger invariant violated');
+    process.exitCode = result.balanced ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Error checking ledger:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  checkLedger({ syncWallets: process.argv.includes('--sync-wallets') });
+}
+
+module.exports = { checkLedger };
@@ -6,6 +6,8 @@ const config = require('../config');
 const User = require('./models/User');
 const Job = require('./models/Job');
 const Transaction = require('./models/Transaction');
+const LedgerEntry = require('./models/LedgerEntry');
+const ledger = require('./services/ledger');
 
 // Sample data
 const sampleUsers = [
@@ -19,7 +21,7 @@ const sampleUsers = [
     bio: 'Looking for reliable workers for various projects',
     skills: ['Management', 'Project Planning'],
     isVerified: true,
-    wallet: { balance: 1000, currency: 'USD' }
+    openingBalances: { USD: 1000, KZT: 100000 }
   },
   {
     email: 'worker@example.com',
@@ -31,7 +33,7 @@ const sampleUsers = [
     bio: 'Experienced worker looking for opportunities',
     skills: ['Delivery', 'Customer Service', 'Food Service'],
     isVerified: true,
-    wallet: { balance: 250, currency: 'USD' }
+    openingBalances: { USD: 250 }
   },
   {
     email: 'admin@jobpop.com',
@@ -43,7 +45,7 @@ const sampleUsers = [
     bio: 'System administrator',
     skills: ['Administration'],
     isVerified: true,
-    wallet: { balance: 0, currency: 'USD' }
+    openingBalances: {}
   }
 ];
 
@@ -87,6 +89,7 @@ const sampleJobs = [
     date: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), // Day after tomorrow
     time: { start: '14:00', end: '18:00' },
     duration: 4,
+    positions: 3,
     requirements: {
       skills: ['Event Management', 'Communication'],
       experience: 'intermediate',
@@ -157,18 +160,33 @@ async function initializeDatabase() {
     await User.deleteMany({});
     await Job.deleteMany({});
     await Transaction.deleteMany({});
+    await LedgerEntry.deleteMany({});
     console.log('✅ Existing data cleared');
 
     // Create users
     console.log('👥 Creating users...');
     const createdUsers = [];
-    for (const userData of sampleUsers) {
+    for (const { openingBalances, ...userData } of sampleUsers) {
       const hashedPassword = await bcrypt.hash(userData.password, 12);
       const user = new User({
         ...userData,
         password: hashedPassword
       });
       const savedUser = await user.save();
+
+      // Wallet balances are posted through the ledger as opening balances
+      for (const [currency, amount] of Object.entries(openingBalances)) {
+        await ledger.post({
+          lines: ledger.transfer(
+            ledger.accounts.openingBalance(),
+            ledger.accounts.wallet(savedUser._id),
+            amount
+          ),
+          currency,
+          description: 'Opening balance'
+        });
+      }
+
       createdUsers.push(savedUser);
       console.log(`✅ Created user: ${savedUser.email}`);
     }
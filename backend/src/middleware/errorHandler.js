@@ -57,6 +57,18 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
+// Create an error carrying an HTTP status and a machine-readable code,
+// thrown by services and turned into a response by the routes
+const createError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
 module.exports = {
-  errorHandler
+  errorHandler,
+  createError
 }; 
\ No newline at end of file
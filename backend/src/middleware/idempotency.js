@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../../config');
+
+// Honor the Idempotency-Key header on mutating routes. The first request
+// with a key runs normally and its response is stored; retries with the
+// same key and body get the stored response back. Must run after auth.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters',
+      code: 'IDEMPOTENCY_KEY_INVALID'
+    });
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body
+    }))
+    .digest('hex');
+
+  try {
+    let record;
+
+    // While the lease lasts, retries wait for the running request
+    const leaseUntil = () => new Date(Date.now() + config.idempotencyLeaseSeconds * 1000);
+
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        user: req.user._id,
+        method: req.method,
+        path: req.originalUrl,
+        fingerprint,
+        lockedUntil: leaseUntil(),
+        expiresAt: new Date(Date.now() + config.idempotencyKeyTtlHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      // Duplicate key: this request was seen before
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      // A request whose lease ran out crashed or timed out without a
+      // response; the first retry to claim the key runs it again
+      if (existing && existing.status === 'processing' && !(existing.lockedUntil > new Date())) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil || null },
+          { $set: { lockedUntil: leaseUntil() } },
+          { new: true }
+        );
+      }
+
+      if (!record && (!existing || existing.status === 'processing')) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      if (!record) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+
+    // Store the response before sending it, so a retry arriving right
+    // after never runs the handler again
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const store = res.statusCode >= 500
+        // Server errors are not cached; the client may retry them
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne({ _id: record._id }, {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          // Store exactly what is sent, not live documents
+          responseBody: JSON.parse(JSON.stringify(body))
+        });
+
+      store
+        .catch(error => {
+          console.error('Idempotency store error:', error);
+        })
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  idempotency
+};
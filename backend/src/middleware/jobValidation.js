@@ -0,0 +1,175 @@
+const { body } = require('express-validator');
+const Job = require('../models/Job');
+const { SEARCH_IN_FIELDS, LIST_FILTERS, listParam } = require('../services/jobFilters');
+const config = require('../../config');
+
+// Validation for the fields of a job. With `optional`, only the fields
+// present are checked, for partial job details such as templates. With
+// `draft`, text may be shorter than a finished job needs, so half-typed
+// drafts can be saved; the model enforces the minimums once the job
+// leaves the draft state.
+const buildJobFields = ({ optional = false, draft = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: draft ? 0 : 5, max: 100 })
+      .withMessage(draft ? 'Title cannot exceed 100 characters' : 'Title must be between 5 and 100 characters'),
+    field('description')
+      .trim()
+      .isLength({ min: draft ? 0 : 20, max: 2000 })
+      .withMessage(draft ? 'Description cannot exceed 2000 characters' : 'Description must be between 20 and 2000 characters'),
+    field('category')
+      .isIn(['Delivery', 'Events', 'Digital', 'Retail', 'Food Service', 'Other'])
+      .withMessage('Invalid category'),
+    field('pay.amount')
+      .isFloat({ min: 1 })
+      .withMessage('Pay amount must be at least 1'),
+    body('pay.type')
+      .optional()
+      .isIn(['hourly', 'fixed', 'commission'])
+      .withMessage('Pay type must be hourly, fixed or commission'),
+    body('pay.commissionRate')
+      .if(body('pay.type').equals('commission'))
+      .isFloat({ gt: 0, max: 100 })
+      .withMessage('Commission rate between 0 and 100 is required for commission jobs'),
+    body('pay.currency')
+      .optional()
+      .isIn(config.currency.supported)
+      .withMessage(`Currency must be one of ${config.currency.supported.join(', ')}`),
+    field('location.address')
+      .trim()
+      .notEmpty()
+      .withMessage('Address is required'),
+    field('location.city')
+      .trim()
+      .notEmpty()
+      .withMessage('City is required'),
+    field('location.coordinates')
+      .isArray({ min: 2, max: 2 })
+      .withMessage('Coordinates must be an array of 2 numbers'),
+    field('date')
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    field('time.start')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Invalid time format'),
+    field('time.end')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Invalid time format'),
+    field('duration')
+      .isFloat({ min: 0.5 })
+      .withMessage('Duration must be at least 0.5 hours'),
+    body('positions')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Positions must be between 1 and 50')
+      .toInt(),
+    body('pay.frequency')
+      .optional()
+      .isIn(Job.PAY_FREQUENCIES)
+      .withMessage(`Pay frequency must be one of ${Job.PAY_FREQUENCIES.join(', ')}`),
+    body('employmentType')
+      .optional()
+      .isIn(Job.EMPLOYMENT_TYPES)
+      .withMessage(`Employment type must be one of ${Job.EMPLOYMENT_TYPES.join(', ')}`),
+    body('workFormat')
+      .optional()
+      .isIn(Job.WORK_FORMATS)
+      .withMessage(`Work format must be one of ${Job.WORK_FORMATS.join(', ')}`),
+    body('requirements.education')
+      .optional()
+      .isIn(Job.EDUCATION_LEVELS)
+      .withMessage(`Education must be one of ${Job.EDUCATION_LEVELS.join(', ')}`),
+    body('requirements.experience')
+      .optional()
+      .isIn(Job.EXPERIENCE_LEVELS)
+      .withMessage(`Experience must be one of ${Job.EXPERIENCE_LEVELS.join(', ')}`),
+    body('requirements.age.min')
+      .optional()
+      .isInt({ min: 16, max: 100 })
+      .withMessage('Minimum age must be between 16 and 100')
+      .toInt(),
+    body('requirements.age.max')
+      .optional()
+      .isInt({ min: 16, max: 100 })
+      .withMessage('Maximum age must be between 16 and 100')
+      .toInt(),
+    body('requirements.certifications')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Certifications must be a list'),
+    body('requirements.hard')
+      .optional()
+      .isArray()
+      .withMessage('Hard requirements must be a list'),
+    body('requirements.hard.*')
+      .isIn(Job.REQUIREMENTS)
+      .withMessage(`Hard requirements must be any of ${Job.REQUIREMENTS.join(', ')}`),
+    body('location.metro')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Metro station cannot exceed 100 characters')
+  ];
+};
+
+// Allowed values of each list filter
+const LIST_FILTER_VALUES = {
+  employmentType: Job.EMPLOYMENT_TYPES,
+  workFormat: Job.WORK_FORMATS,
+  payFrequency: Job.PAY_FREQUENCIES,
+  education: Job.EDUCATION_LEVELS,
+  experience: Job.EXPERIENCE_LEVELS,
+  shift: Job.SHIFTS
+};
+
+const isListOf = (allowed) => (value) => listParam(value).every(item => allowed.includes(item));
+
+// Validation for the job search filters. `field` is the validator for
+// where they are read from, e.g. query for GET /api/jobs.
+const filterFields = (field) => [
+  field('category').optional().isIn(['Delivery', 'Events', 'Digital', 'Retail', 'Food Service', 'Other']),
+  field('city').optional().isString(),
+  field('minPay').optional().isNumeric(),
+  field('maxPay').optional().isNumeric(),
+  field('currency').optional().isIn(config.currency.supported),
+  field('search').optional().trim().isLength({ max: 200 }),
+  field('exclude')
+    .optional()
+    .custom(value => listParam(value).join(' ').length <= 200)
+    .withMessage('Excluded words cannot exceed 200 characters'),
+  field('searchIn')
+    .optional()
+    .custom(isListOf(Object.keys(SEARCH_IN_FIELDS)))
+    .withMessage(`Search in must be any of ${Object.keys(SEARCH_IN_FIELDS).join(', ')}`),
+  ...Object.keys(LIST_FILTERS).map(name => field(name)
+    .optional()
+    .custom(isListOf(LIST_FILTER_VALUES[name]))
+    .withMessage(`${name} must be any of ${LIST_FILTER_VALUES[name].join(', ')}`)),
+  field('metro').optional().isString().trim().isLength({ max: 100 }),
+  field('postedWithin')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Posted within must be between 1 and 365 days'),
+  field('lat').optional().isFloat(),
+  field('lng').optional().isFloat(),
+  field('radius').optional().isFloat({ min: 0.1, max: 100 })
+];
+
+// A complete new job, shared by single jobs and recurring series
+const jobFields = buildJobFields();
+
+// Any subset of the job fields
+const partialJobFields = buildJobFields({ optional: true });
+
+// Any subset of the job fields of a draft or job being edited
+const draftJobFields = buildJobFields({ optional: true, draft: true });
+
+module.exports = {
+  jobFields,
+  partialJobFields,
+  draftJobFields,
+  filterFields
+};
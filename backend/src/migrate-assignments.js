@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Job = require('./models/Job');
+
+// Assignment status for a legacy job's selected worker
+const ASSIGNMENT_STATUS = {
+  in_progress: 'active',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+// Move the single selectedWorker, completion and payment fields of jobs
+// created before multi-worker jobs into an assignment. Runs on the raw
+// collection because the fields are no longer in the schema; jobs that
+// were already migrated are skipped.
+async function migrateAssignments() {
+  try {
+    await mongoose.connect(config.nodeEnv === 'production' ? config.mongoUriProd : config.mongoUri);
+
+    const cursor = Job.collection.find({
+      $or: [
+        { selectedWorker: { $exists: true } },
+        { completion: { $exists: true } },
+        { payment: { $exists: true } }
+      ]
+    });
+
+    let migrated = 0;
+
+    for await (const job of cursor) {
+      const update = {
+        $set: { positions: job.positions || 1 },
+        $unset: { selectedWorker: '', completion: '', payment: '' }
+      };
+
+      if (job.selectedWorker) {
+        const application = (job.applications || []).find(item => {
+          return item.worker.equals(job.selectedWorker) && item.status === 'accepted';
+        });
+        const status = ASSIGNMENT_STATUS[job.status] || 'active';
+        const completion = job.completion || {};
+
+        update.$push = {
+          assignments: {
+            _id: new mongoose.Types.ObjectId(),
+            worker: job.selectedWorker,
+            application: application ? application._id : undefined,
+            status,
+            acceptedAt: (job.payment && job.payment.heldAt) || job.updatedAt,
+            endedAt: status === 'active' ? undefined : completion.completedAt || job.updatedAt,
+            completion,
+            payment: job.payment || { status: 'pending' }
+          }
+        };
+      }
+
+      await Job.collection.updateOne({ _id: job._id }, update);
+      migrated += 1;
+    }
+
+    console.log(`✅ Migrated ${migrated} jobs to assignments`);
+  } catch (error) {
+    console.error('❌ Error migrating jobs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrateAssignments();
+}
+
+module.exports = { migrateAssignments };
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const User = require('./models/User');
+const ledger = require('./services/ledger');
+
+// Post the single wallet.balance of users created before the ledger as an
+// opening balance, so it survives the move to per-currency balances. Runs
+// on the raw collection because the fields are no longer in the schema;
+// users that were already migrated are skipped. The ledger is verified
+// afterwards.
+async function migrateWallets() {
+  try {
+    await mongoose.connect(config.nodeEnv === 'production' ? config.mongoUriProd : config.mongoUri);
+
+    const cursor = User.collection.find({ 'wallet.balance': { $exists: true } });
+
+    let migrated = 0;
+
+    for await (const user of cursor) {
+      const amount = Math.round((user.wallet.balance || 0) * 100) / 100;
+      const currency = config.currency.supported.includes(user.wallet.currency)
+        ? user.wallet.currency
+        : config.currency.base;
+
+      // The opening balance and the removal of the legacy fields commit
+      // together, so a rerun never posts a balance twice
+      await ledger.withTransaction(async (session) => {
+        if (amount > 0) {
+          await ledger.post({
+            lines: ledger.transfer(
+              ledger.accounts.openingBalance(),
+              ledger.accounts.wallet(user._id),
+              amount
+            ),
+            currency,
+            description: 'Opening balance (migrated wallet)'
+          }, session);
+        }
+
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $unset: { 'wallet.balance': '', 'wallet.currency': '' } },
+          { session }
+        );
+      });
+
+      migrated += 1;
+    }
+
+    console.log(`✅ Migrated ${migrated} wallets to the ledger`);
+
+    const result = await ledger.verify();
+    console.log(result.balanced ? '✅ Ledger is balanced' : '❌ Ledger invariant violated, run npm run ledger:check');
+    process.exitCode = result.balanced ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Error migrating wallets:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrateWallets();
+}
+
+module.exports = { migrateWallets };
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Participants
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+
+  // Related job
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'New Conversation'
+  },
+
+  // Activity
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ lastMessageAt: -1 });
+conversationSchema.index({ job: 1 });
+
+// Method to check if user takes part in the conversation
+conversationSchema.methods.hasParticipant = function(userId) {
+  return this.participants.some(
+    participant => participant.toString() === userId.toString()
+  );
+};
+
+// Method to get API representation
+conversationSchema.methods.getPublicData = function() {
+  return {
+    id: this._id.toString(),
+    participants: this.participants.map(participant => participant.toString()),
+    jobId: this.job ? this.job.toString() : undefined,
+    title: this.title,
+    createdAt: this.createdAt,
+    lastMessageAt: this.lastMessageAt
+  };
+};
+
+// Static method to find a conversation the user takes part in
+conversationSchema.statics.findForUser = function(conversationId, userId) {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: conversationId,
+    participants: userId
+  });
+};
+
+// Static method to find a conversation with exactly these participants
+conversationSchema.statics.findByParticipants = function(participants) {
+  return this.findOne({
+    participants: { $all: participants, $size: participants.length }
+  });
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
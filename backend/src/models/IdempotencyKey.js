@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Stored result of a request made with an Idempotency-Key header, so a
+// retried request returns the original response instead of running again
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Request fingerprint
+  method: String,
+  path: String,
+  fingerprint: {
+    type: String,
+    required: true
+  },
+
+  // Cached response
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // A processing key whose lease has run out may be claimed by a retry
+  lockedUntil: Date,
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
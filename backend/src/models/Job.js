@@ -1,21 +1,130 @@
 const mongoose = require('mongoose');
+const config = require('../../config');
+const { detectLanguage } = require('../services/jobSearch');
+
+// A worker hired into one of the job's positions. Each assignment has its
+// own attendance, escrow payment and ratings.
+const assignmentSchema = new mongoose.Schema({
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  application: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'dropped_out', 'cancelled'],
+    default: 'active'
+  },
+  acceptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+
+  completion: {
+    // Set when the worker checks in on site
+    startedAt: Date,
+    completedAt: Date,
+    checkIn: {
+      at: Date,
+      coordinates: [Number], // [longitude, latitude]
+      distance: Number // meters from the job location
+    },
+    checkOut: {
+      at: Date,
+      coordinates: [Number],
+      distance: Number
+    },
+    // Rating given by the worker to the employer
+    workerRating: {
+      rating: { type: Number, min: 1, max: 5 },
+      review: String,
+      ratedAt: Date
+    },
+    // Rating given by the employer to the worker
+    employerRating: {
+      rating: { type: Number, min: 1, max: 5 },
+      review: String,
+      ratedAt: Date
+    }
+  },
+
+  payment: {
+    status: {
+      type: String,
+      enum: ['pending', 'held', 'paid', 'disputed', 'refunded'],
+      default: 'pending'
+    },
+    // Escrow funded by the employer when the application is accepted
+    source: {
+      type: String,
+      enum: ['wallet', 'card']
+    },
+    heldAt: Date,
+    escrowTransactionId: String,
+    paidAt: Date,
+    refundedAt: Date,
+    amount: Number,
+    fee: Number,
+    compensation: Number,
+    transactionId: String
+  }
+});
+
+// Values of the job attributes workers filter searches by
+const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'project', 'rotation', 'contract', 'internship'];
+const WORK_FORMATS = ['on_site', 'remote', 'hybrid', 'traveling'];
+const PAY_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly', 'per_project'];
+const EDUCATION_LEVELS = ['none', 'vocational', 'higher'];
+const EXPERIENCE_LEVELS = ['none', 'beginner', 'intermediate', 'expert'];
+const SHIFTS = ['day', 'evening', 'night'];
+
+// Requirements checked against worker profiles, see services/eligibility.js
+const REQUIREMENTS = ['skills', 'experience', 'education', 'age', 'certifications'];
+
+// Shift a job falls in by its start time: day from 06:00, evening from
+// 17:00, night from 22:00
+const shiftOf = (start) => {
+  const hour = parseInt(start, 10);
+  if (Number.isNaN(hour)) return undefined;
+  if (hour >= 6 && hour < 17) return 'day';
+  if (hour >= 17 && hour < 22) return 'evening';
+  return 'night';
+};
+
+// Drafts are saved while the employer is still filling them in, so the job
+// details are only required once a job leaves the draft state
+const requiredUnlessDraft = function() {
+  return this.status !== 'draft';
+};
+
+// Text a finished job needs at least this much of; drafts may be shorter
+const minLengthUnlessDraft = (min) => ({
+  validator: function(value) {
+    return this.status === 'draft' || !value || value.length >= min;
+  },
+  message: `{PATH} must be at least ${min} characters`
+});
 
 const jobSchema = new mongoose.Schema({
   // Basic info
   title: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     trim: true,
-    maxlength: 100
+    maxlength: 100,
+    validate: minLengthUnlessDraft(5)
   },
   description: {
     type: String,
-    required: true,
-    maxlength: 2000
+    required: requiredUnlessDraft,
+    maxlength: 2000,
+    validate: minLengthUnlessDraft(20)
   },
   category: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     enum: ['Delivery', 'Events', 'Digital', 'Retail', 'Food Service', 'Other']
   },
   
@@ -35,29 +144,56 @@ const jobSchema = new mongoose.Schema({
   pay: {
     amount: {
       type: Number,
-      required: true,
+      required: requiredUnlessDraft,
       min: 1
     },
     currency: {
       type: String,
-      default: 'USD'
+      enum: config.currency.supported,
+      default: config.currency.base
     },
     type: {
       type: String,
       enum: ['hourly', 'fixed', 'commission'],
       default: 'fixed'
+    },
+    // Percent of the reported amount paid on commission jobs, whose
+    // pay amount is the expected payout reserved in escrow
+    commissionRate: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    // How often the worker is paid out on longer engagements
+    frequency: {
+      type: String,
+      enum: PAY_FREQUENCIES
     }
   },
+
+  employmentType: {
+    type: String,
+    enum: EMPLOYMENT_TYPES
+  },
+  workFormat: {
+    type: String,
+    enum: WORK_FORMATS,
+    default: 'on_site'
+  },
   
   // Location and timing
   location: {
     address: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     },
     city: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
+    },
+    metro: {
+      type: String,
+      trim: true
     },
     coordinates: {
       type: {
@@ -67,52 +203,96 @@ const jobSchema = new mongoose.Schema({
       },
       coordinates: {
         type: [Number], // [longitude, latitude]
-        required: true
+        required: requiredUnlessDraft
       }
     }
   },
   
   date: {
     type: Date,
-    required: true
+    required: requiredUnlessDraft
   },
   time: {
     start: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     },
     end: {
       type: String,
-      required: true
+      required: requiredUnlessDraft
     }
   },
+  // Derived from time.start
+  shift: {
+    type: String,
+    enum: SHIFTS
+  },
   duration: {
     type: Number, // in hours
-    required: true,
+    required: requiredUnlessDraft,
     min: 0.5
   },
   
+  // Number of workers needed
+  positions: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 50
+  },
+  
   // Requirements
   requirements: {
     skills: [String],
     experience: {
       type: String,
-      enum: ['none', 'beginner', 'intermediate', 'expert'],
+      enum: EXPERIENCE_LEVELS,
+      default: 'none'
+    },
+    education: {
+      type: String,
+      enum: EDUCATION_LEVELS,
       default: 'none'
     },
     age: {
       min: { type: Number, min: 16 },
       max: { type: Number, max: 100 }
     },
-    certifications: [String]
+    certifications: [String],
+    // Requirements a worker must meet to apply. The others are soft: workers
+    // who miss them are warned and their applications flagged.
+    hard: [{
+      type: String,
+      enum: REQUIREMENTS
+    }]
   },
   
   // Status and applications
+  // Drafts and scheduled jobs are only visible to their employer until
+  // published
   status: {
     type: String,
-    enum: ['active', 'in_progress', 'completed', 'cancelled', 'expired'],
+    enum: ['draft', 'scheduled', 'active', 'in_progress', 'completed', 'cancelled', 'expired'],
     default: 'active'
   },
+  // When a scheduled job goes live, see services/jobPublisher.js
+  publishAt: Date,
+  publishedAt: Date,
+  
+  // Every status change, made through services/jobLifecycle.js
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   applications: [{
     worker: {
@@ -130,42 +310,15 @@ const jobSchema = new mongoose.Schema({
       default: Date.now
     },
     message: String,
-    proposedPay: Number
+    proposedPay: Number,
+    // Added by applying to the whole recurring series
+    fromSeries: Boolean,
+    // Soft requirements the worker did not meet when applying
+    unmetRequirements: [String]
   }],
   
-  // Selected worker
-  selectedWorker: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  
-  // Job completion
-  completion: {
-    startedAt: Date,
-    completedAt: Date,
-    workerRating: {
-      rating: { type: Number, min: 1, max: 5 },
-      review: String,
-      ratedAt: Date
-    },
-    employerRating: {
-      rating: { type: Number, min: 1, max: 5 },
-      review: String,
-      ratedAt: Date
-    }
-  },
-  
-  // Payment
-  payment: {
-    status: {
-      type: String,
-      enum: ['pending', 'paid', 'disputed', 'refunded'],
-      default: 'pending'
-    },
-    paidAt: Date,
-    amount: Number,
-    transactionId: String
-  },
+  // Workers hired for the job, one per filled position
+  assignments: [assignmentSchema],
   
   // Additional info
   images: [{
@@ -174,6 +327,12 @@ const jobSchema = new mongoose.Schema({
   }],
   
   tags: [String],
+
+  // Language the text index stems this job in, detected from its text
+  searchLanguage: {
+    type: String,
+    enum: ['russian', 'english']
+  },
   
   // Visibility and search
   isUrgent: {
@@ -195,11 +354,41 @@ const jobSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Expiration
+  // Expiration. Stale active jobs are moved to `expired` by the expiry
+  // sweeper; jobs are never deleted automatically.
   expiresAt: {
     type: Date,
     required: true
-  }
+  },
+  expiredAt: Date,
+  
+  // Set when the employer cancels the job
+  cancellation: {
+    reason: String,
+    late: Boolean,
+    compensation: Number, // total paid to workers for a late cancellation
+    cancelledAt: Date
+  },
+  
+  // Job this one was reposted from
+  repostedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+
+  // Job this draft was cloned from
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  
+  // Recurring series this job is an occurrence of. An occurrence edited on
+  // its own is detached and no longer follows edits to the series.
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobSeries'
+  },
+  seriesDetached: Boolean
 }, {
   timestamps: true
 });
@@ -208,11 +397,24 @@ const jobSchema = new mongoose.Schema({
 jobSchema.index({ location: '2dsphere' });
 jobSchema.index({ category: 1, status: 1 });
 jobSchema.index({ employer: 1, status: 1 });
-jobSchema.index({ selectedWorker: 1, status: 1 });
+jobSchema.index({ 'assignments.worker': 1, status: 1 });
 jobSchema.index({ date: 1 });
 jobSchema.index({ 'pay.amount': 1 });
 jobSchema.index({ isUrgent: 1, status: 1 });
-jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+jobSchema.index({ status: 1, expiresAt: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ series: 1, date: 1 });
+jobSchema.index({ status: 1, publishedAt: -1 });
+// Full-text search, see services/jobSearch.js
+jobSchema.index(
+  { title: 'text', tags: 'text', companyName: 'text', description: 'text' },
+  {
+    name: 'job_text_search',
+    weights: { title: 10, tags: 5, companyName: 3, description: 1 },
+    default_language: 'english',
+    language_override: 'searchLanguage'
+  }
+);
 
 // Virtual for isExpired
 jobSchema.virtual('isExpired').get(function() {
@@ -229,11 +431,94 @@ jobSchema.virtual('formattedPay').get(function() {
   return `${this.pay.currency}${this.pay.amount}`;
 });
 
-// Pre-save middleware to set expiration
-jobSchema.pre('save', function(next) {
+jobSchema.statics.EMPLOYMENT_TYPES = EMPLOYMENT_TYPES;
+jobSchema.statics.WORK_FORMATS = WORK_FORMATS;
+jobSchema.statics.PAY_FREQUENCIES = PAY_FREQUENCIES;
+jobSchema.statics.EDUCATION_LEVELS = EDUCATION_LEVELS;
+jobSchema.statics.EXPERIENCE_LEVELS = EXPERIENCE_LEVELS;
+jobSchema.statics.SHIFTS = SHIFTS;
+jobSchema.statics.REQUIREMENTS = REQUIREMENTS;
+
+// Statuses of jobs not published yet, hidden from everyone but the employer
+jobSchema.statics.UNPUBLISHED_STATUSES = ['draft', 'scheduled'];
+
+// Job details an employer writes, as opposed to its date, status and
+// workers. These are what reposts, clones, templates and series copy.
+jobSchema.statics.DETAIL_FIELDS = [
+  'title', 'description', 'category', 'companyName', 'pay', 'location',
+  'time', 'duration', 'positions', 'requirements', 'images', 'tags', 'isUrgent',
+  'employmentType', 'workFormat'
+];
+
+// Copy the job details present in source. Works on lean objects and
+// request bodies.
+jobSchema.statics.pickDetails = function(source) {
+  const details = {};
+  this.DETAIL_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      details[field] = source[field];
+    }
+  });
+  return details;
+};
+
+// Assignments that take up a position
+const FILLED_STATUSES = ['active', 'completed'];
+
+// Positions still open. Works on documents and lean objects.
+jobSchema.statics.getOpenPositions = function(job) {
+  const filled = (job.assignments || []).filter(item => FILLED_STATUSES.includes(item.status)).length;
+  return Math.max(0, (job.positions || 1) - filled);
+};
+
+jobSchema.methods.getOpenPositions = function() {
+  return this.constructor.getOpenPositions(this);
+};
+
+// Worker's assignment on this job, if they were hired
+jobSchema.methods.getAssignment = function(workerId) {
+  return this.assignments.find(item => item.worker.toString() === workerId.toString());
+};
+
+// Assignments of workers still on the job
+jobSchema.methods.getActiveAssignments = function() {
+  return this.assignments.filter(item => item.status === 'active');
+};
+
+// Pre-validate middleware to set expiration before `required` is checked
+jobSchema.pre('validate', function(next) {
   if (this.isNew && !this.expiresAt) {
-    // Set expiration to 30 days from creation
-    this.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    this.expiresAt = new Date(Date.now() + config.jobExpiry.lifetimeDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Start the status history with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: this.employer });
+  }
+
+  if (this.isNew || this.isModified('title') || this.isModified('description')) {
+    this.searchLanguage = detectLanguage(`${this.title || ''} ${this.description || ''}`);
+  }
+
+  if (this.isNew || this.isModified('time.start')) {
+    this.shift = shiftOf(this.time && this.time.start);
+  }
+  next();
+});
+
+// Keep the search language and shift in step with fields changed by
+// update queries
+jobSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+
+  if (fields.title !== undefined || fields.description !== undefined) {
+    this.set('searchLanguage', detectLanguage(`${fields.title || ''} ${fields.description || ''}`));
+  }
+
+  const start = fields.time ? fields.time.start : fields['time.start'];
+  if (start !== undefined) {
+    this.set('shift', shiftOf(start));
   }
   next();
 });
@@ -253,7 +538,7 @@ jobSchema.methods.canApply = function(userId) {
 };
 
 // Method to apply for job
-jobSchema.methods.apply = function(userId, message, proposedPay) {
+jobSchema.methods.apply = function(userId, message, proposedPay, unmetRequirements = []) {
   if (!this.canApply(userId)) {
     throw new Error('Cannot apply for this job');
   }
@@ -261,7 +546,8 @@ jobSchema.methods.apply = function(userId, message, proposedPay) {
   this.applications.push({
     worker: userId,
     message,
-    proposedPay
+    proposedPay,
+    unmetRequirements
   });
   
   this.applicationsCount = this.applications.length;
@@ -269,26 +555,25 @@ jobSchema.methods.apply = function(userId, message, proposedPay) {
   return this.save();
 };
 
-// Method to accept application
+// Method to accept application into an open position. The job is changed
+// in memory; the caller saves it.
 jobSchema.methods.acceptApplication = function(applicationId) {
   const application = this.applications.id(applicationId);
   if (!application) {
     throw new Error('Application not found');
   }
   
-  application.status = 'accepted';
-  this.selectedWorker = application.worker;
-  this.status = 'in_progress';
+  if (this.getOpenPositions() === 0) {
+    throw new Error('All positions are filled');
+  }
   
-  return this.save();
-};
-
-// Method to complete job
-jobSchema.methods.complete = function() {
-  this.status = 'completed';
-  this.completion.completedAt = new Date();
+  application.status = 'accepted';
+  this.assignments.push({
+    worker: application.worker,
+    application: application._id
+  });
   
-  return this.save();
+  return this.assignments[this.assignments.length - 1];
 };
 
 // Static method to find nearby jobs
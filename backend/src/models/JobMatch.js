@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A new job matching a user's saved search or job alert preferences. A
+// user is matched to a job at most once; the record queues the job for
+// the user's next email digest.
+const jobMatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // Missing for matches on the user's alert preferences
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch'
+  },
+
+  email: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'skipped'],
+      default: 'pending'
+    },
+    // Next digest time for the search's frequency
+    dueAt: Date,
+    sentAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobMatchSchema.index({ user: 1, job: 1 }, { unique: true });
+jobMatchSchema.index({ 'email.status': 1, 'email.dueAt': 1 });
+jobMatchSchema.index({ savedSearch: 1 });
+
+module.exports = mongoose.model('JobMatch', jobMatchSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A recurring shift. The series keeps the job details and recurrence rule;
+// individual occurrences are ordinary jobs generated ahead of time by
+// services/jobSeries.js.
+const jobSeriesSchema = new mongoose.Schema({
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Job fields copied into every occurrence (title, pay, location, time...)
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    // Every N days or weeks
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 12
+    },
+    // 0 (Sunday) to 6 (Saturday), for weekly series
+    weekdays: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    startDate: {
+      type: Date,
+      required: true
+    },
+    until: Date,
+    count: {
+      type: Number,
+      min: 1
+    }
+  },
+
+  // Ended once every occurrence of the rule has been generated
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date,
+
+  // Date of the last generated occurrence
+  generatedThrough: Date,
+  occurrencesCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Workers who applied to the whole series. They are added to every
+  // occurrence, including ones generated later.
+  applicants: [{
+    worker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: String,
+    appliedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSeriesSchema.index({ employer: 1, status: 1 });
+jobSeriesSchema.index({ status: 1, generatedThrough: 1 });
+jobSeriesSchema.index({ 'applicants.worker': 1 });
+
+module.exports = mongoose.model('JobSeries', jobSeriesSchema);
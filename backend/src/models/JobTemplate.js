@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Job details an employer saved to post similar jobs again. Only the
+// fields in Job.DETAIL_FIELDS are kept; the date and company name are
+// filled in when a job is posted from the template.
+const jobTemplateSchema = new mongoose.Schema({
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  job: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobTemplateSchema.index({ employer: 1, name: 1 }, { unique: true });
+jobTemplateSchema.index({ employer: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('JobTemplate', jobTemplateSchema);
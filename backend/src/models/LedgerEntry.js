@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One line of a double-entry journal. Every money movement posts a set of
+// entries sharing the same journal whose debits and credits are equal.
+const ledgerEntrySchema = new mongoose.Schema({
+  journal: {
+    type: String,
+    required: true
+  },
+
+  // Account key, e.g. wallet:<userId>, escrow:<jobId>, platform:fees
+  account: {
+    type: String,
+    required: true
+  },
+
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  description: String,
+
+  // Related entities
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ account: 1, currency: 1 });
+ledgerEntrySchema.index({ journal: 1 });
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
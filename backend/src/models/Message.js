@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  editedAt: Date,
+
+  // Read status
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+messageSchema.index({ conversation: 1, createdAt: 1 });
+messageSchema.index({ conversation: 1, read: 1, sender: 1 });
+
+// Method to get API representation
+messageSchema.methods.getPublicData = function() {
+  return {
+    id: this._id.toString(),
+    conversationId: this.conversation.toString(),
+    senderId: this.sender.toString(),
+    content: this.content,
+    createdAt: this.createdAt,
+    editedAt: this.editedAt,
+    read: this.read,
+    readAt: this.readAt
+  };
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Notification details
+  type: {
+    type: String,
+    enum: [
+      'application_submitted',
+      'application_accepted',
+      'application_rejected',
+      'job_completed',
+      'rating_received',
+      'withdrawal_completed',
+      'withdrawal_failed',
+      'withdrawal_reversed',
+      'timesheet_submitted',
+      'timesheet_approved',
+      'timesheet_disputed',
+      'job_expired',
+      'job_published',
+      'job_cancelled',
+      'job_cancellation_confirmed',
+      'worker_dropped_out',
+      'job_drop_out_recorded',
+      'series_application',
+      'job_match'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Read status
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+
+// Method to mark notification as read
+notificationSchema.methods.markAsRead = function() {
+  this.read = true;
+  this.readAt = new Date();
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// A named job search. New jobs matching the query are announced in-app
+// right away and emailed at the chosen frequency by services/jobAlerts.js.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // GET /api/jobs filter parameters, e.g. { search, category, lat, lng, radius }
+  query: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  // Muted searches are kept but send no alerts
+  muted: {
+    type: Boolean,
+    default: false
+  },
+
+  lastMatchedAt: Date,
+  matchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ muted: 1, 'query.category': 1 });
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const MINUTE = 60 * 1000;
+
+const breakSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date
+});
+
+const shiftSchema = new mongoose.Schema({
+  clockIn: {
+    type: Date,
+    required: true
+  },
+  clockOut: Date,
+  breaks: [breakSchema]
+});
+
+// Hours a worker spent on an hourly or commission job. The worker clocks
+// in and out, submits the timesheet and the employer approves or disputes it.
+const timesheetSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  worker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  shifts: [shiftSchema],
+
+  // Sales or order amount the commission is calculated on
+  reportedAmount: {
+    type: Number,
+    min: 0
+  },
+
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'approved', 'disputed', 'paid'],
+    default: 'open'
+  },
+
+  submittedAt: Date,
+
+  // Approval freezes the minutes that get paid
+  approvedAt: Date,
+  approvedMinutes: Number,
+
+  dispute: {
+    reason: String,
+    disputedAt: Date
+  },
+
+  // Payout worked out from the approved timesheet
+  payout: {
+    amount: Number,
+    hours: Number,
+    rate: Number,
+    reportedAmount: Number,
+    commissionRate: Number
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+timesheetSchema.index({ job: 1, worker: 1 }, { unique: true });
+timesheetSchema.index({ employer: 1, status: 1 });
+timesheetSchema.index({ worker: 1, createdAt: -1 });
+
+// Shift the worker is currently clocked into, if any
+timesheetSchema.methods.getOpenShift = function() {
+  return this.shifts.find(shift => !shift.clockOut);
+};
+
+// Minutes worked in a shift, excluding breaks. Open shifts and breaks
+// are counted up to now.
+const shiftMinutes = (shift, now) => {
+  const end = shift.clockOut || now;
+  const breakMs = shift.breaks.reduce((sum, item) => {
+    return sum + ((item.endedAt || end) - item.startedAt);
+  }, 0);
+
+  return Math.max(0, (end - shift.clockIn - breakMs) / MINUTE);
+};
+
+// Method to total the worked minutes across all shifts
+timesheetSchema.methods.getWorkedMinutes = function(now = new Date()) {
+  return Math.round(this.shifts.reduce((sum, shift) => sum + shiftMinutes(shift, now), 0));
+};
+
+// Method to get API representation
+timesheetSchema.methods.getSummary = function() {
+  const workedMinutes = this.getWorkedMinutes();
+
+  return {
+    id: this._id,
+    jobId: this.job,
+    workerId: this.worker,
+    status: this.status,
+    shifts: this.shifts,
+    clockedIn: Boolean(this.getOpenShift()),
+    workedMinutes,
+    workedHours: Math.round(workedMinutes / 60 * 100) / 100,
+    approvedMinutes: this.approvedMinutes,
+    reportedAmount: this.reportedAmount,
+    notes: this.notes,
+    dispute: this.dispute,
+    payout: this.payout,
+    transaction: this.transaction,
+    submittedAt: this.submittedAt,
+    approvedAt: this.approvedAt,
+    paidAt: this.paidAt
+  };
+};
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
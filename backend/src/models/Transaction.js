@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('../../config');
 
 const transactionSchema = new mongoose.Schema({
   // User info
@@ -11,7 +12,7 @@ const transactionSchema = new mongoose.Schema({
   // Transaction details
   type: {
     type: String,
-    enum: ['earned', 'withdrawal', 'refund', 'bonus', 'fee'],
+    enum: ['earned', 'withdrawal', 'refund', 'bonus', 'fee', 'deposit', 'payment'],
     required: true
   },
   
@@ -22,7 +23,8 @@ const transactionSchema = new mongoose.Schema({
   
   currency: {
     type: String,
-    default: 'USD'
+    enum: config.currency.supported,
+    default: config.currency.base
   },
   
   // Description and reference
@@ -47,6 +49,28 @@ const transactionSchema = new mongoose.Schema({
     ref: 'PaymentMethod'
   },
   
+  // Approved timesheet an hourly or commission earning was paid from
+  timesheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timesheet'
+  },
+  
+  // Earning the fee was charged on
+  relatedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  
+  // Platform fee applied to a job payout
+  feeBreakdown: {
+    gross: Number,
+    fee: Number,
+    net: Number,
+    percentage: Number,
+    minimumApplied: Boolean,
+    waived: Boolean
+  },
+  
   // Status
   status: {
     type: String,
@@ -54,6 +78,26 @@ const transactionSchema = new mongoose.Schema({
     default: 'pending'
   },
   
+  // Manual review of suspicious withdrawals; the payout waits until cleared
+  review: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    reasons: [String],
+    flaggedAt: Date,
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  },
+  
   // Payment processing
   stripePaymentIntentId: String,
   stripeTransferId: String,
@@ -64,6 +108,14 @@ const transactionSchema = new mongoose.Schema({
     of: String
   },
   
+  // Money the payout provider took back after a completed payout; amount
+  // is the total reversed so far
+  reversal: {
+    amount: Number,
+    reversedAt: Date,
+    reason: String
+  },
+  
   // Timestamps
   processedAt: Date,
   failedAt: Date,
@@ -75,19 +127,21 @@ const transactionSchema = new mongoose.Schema({
 // Indexes
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
+transactionSchema.index({ 'review.required': 1, status: 1, 'review.decision': 1 });
 transactionSchema.index({ reference: 1 });
 transactionSchema.index({ job: 1 });
 transactionSchema.index({ stripePaymentIntentId: 1 });
+transactionSchema.index({ stripeTransferId: 1 });
 
 // Virtual for formatted amount
 transactionSchema.virtual('formattedAmount').get(function() {
-  const sign = this.type === 'withdrawal' || this.type === 'fee' ? '-' : '+';
+  const sign = this.type === 'withdrawal' || this.type === 'fee' || this.type === 'payment' ? '-' : '+';
   return `${sign}${this.currency}${Math.abs(this.amount).toFixed(2)}`;
 });
 
 // Virtual for isPositive
 transactionSchema.virtual('isPositive').get(function() {
-  return this.type === 'earned' || this.type === 'bonus' || this.type === 'refund';
+  return this.type === 'earned' || this.type === 'bonus' || this.type === 'refund' || this.type === 'deposit';
 });
 
 // Pre-save middleware to generate reference
@@ -98,63 +152,22 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get user balance
-transactionSchema.statics.getUserBalance = async function(userId) {
-  const result = await this.aggregate([
-    { $match: { user: mongoose.Types.ObjectId(userId), status: 'completed' } },
-    {
-      $group: {
-        _id: null,
-        balance: { $sum: '$amount' }
-      }
-    }
-  ]);
-  
-  return result.length > 0 ? result[0].balance : 0;
-};
-
-// Static method to create transaction
-transactionSchema.statics.createTransaction = async function(data) {
-  const transaction = new this(data);
-  await transaction.save();
-  
-  // Update user balance
-  const User = require('./User');
-  const user = await User.findById(data.user);
-  if (user) {
-    const balance = await this.getUserBalance(data.user);
-    user.wallet.balance = balance;
-    await user.save();
-  }
-  
-  return transaction;
-};
-
-// Method to process transaction
-transactionSchema.methods.process = async function() {
+// Method to process transaction. Balances live in the ledger
+// (services/ledger.js); this only records the status change.
+transactionSchema.methods.process = function(session) {
   this.status = 'completed';
   this.processedAt = new Date();
   
-  // Update user balance
-  const User = require('./User');
-  const user = await User.findById(this.user);
-  if (user) {
-    const Transaction = require('./Transaction');
-    const balance = await Transaction.getUserBalance(this.user);
-    user.wallet.balance = balance;
-    await user.save();
-  }
-  
-  return this.save();
+  return this.save({ session });
 };
 
 // Method to fail transaction
-transactionSchema.methods.fail = async function(reason) {
+transactionSchema.methods.fail = function(reason, session) {
   this.status = 'failed';
   this.failedAt = new Date();
   this.failureReason = reason;
   
-  return this.save();
+  return this.save({ session });
 };
 
 module.exports = mongoose.model('Transaction', transactionSchema); 
\ No newline at end of file
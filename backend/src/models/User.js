@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../../config');
+const Job = require('./Job');
 
 const userSchema = new mongoose.Schema({
   // Basic info
@@ -48,6 +50,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // [longitude, latitude] of the worker's home, for job recommendations
+  homeCoordinates: {
+    type: [Number],
+    default: undefined
+  },
   bio: {
     type: String,
     maxlength: 500
@@ -56,6 +63,23 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+
+  // Checked against job requirements, see services/eligibility.js
+  dateOfBirth: Date,
+  experienceLevel: {
+    type: String,
+    enum: Job.EXPERIENCE_LEVELS,
+    default: 'none'
+  },
+  education: {
+    type: String,
+    enum: Job.EDUCATION_LEVELS,
+    default: 'none'
+  },
+  certifications: [{
+    type: String,
+    trim: true
+  }],
   
   // Verification
   isVerified: {
@@ -81,16 +105,12 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // Wallet
+  // Wallet: cached balance per currency, kept in step with the ledger
   wallet: {
-    balance: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    currency: {
-      type: String,
-      default: 'USD'
+    balances: {
+      type: Map,
+      of: Number,
+      default: {}
     }
   },
   
@@ -110,6 +130,10 @@ const userSchema = new mongoose.Schema({
     stripePaymentMethodId: String
   }],
   
+  // Stripe accounts: Connect account for payouts, customer for card charges
+  stripeAccountId: String,
+  stripeCustomerId: String,
+  
   // Stats
   stats: {
     totalJobs: {
@@ -120,6 +144,7 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // In the base currency
     totalEarnings: {
       type: Number,
       default: 0
@@ -131,11 +156,34 @@ const userSchema = new mongoose.Schema({
     totalReviews: {
       type: Number,
       default: 0
+    },
+    // Reliability: jobs cancelled as employer, dropped as worker
+    cancellations: {
+      type: Number,
+      default: 0
+    },
+    lateCancellations: {
+      type: Number,
+      default: 0
+    },
+    dropOuts: {
+      type: Number,
+      default: 0
+    },
+    lateDropOuts: {
+      type: Number,
+      default: 0
     }
   },
   
   // Preferences
   preferences: {
+    // Currency amounts are displayed in
+    currency: {
+      type: String,
+      enum: config.currency.supported,
+      default: config.currency.base
+    },
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
@@ -145,10 +193,27 @@ const userSchema = new mongoose.Schema({
       enabled: { type: Boolean, default: true },
       categories: [String],
       maxDistance: { type: Number, default: 50 }, // km
-      minPay: { type: Number, default: 10 }
+      minPay: { type: Number, default: 10 }, // in the preferred currency
+      // [longitude, latitude] maxDistance is measured from
+      coordinates: {
+        type: [Number],
+        default: undefined
+      },
+      // How often matches are emailed
+      frequency: {
+        type: String,
+        enum: ['instant', 'daily', 'weekly'],
+        default: 'daily'
+      }
     }
   },
   
+  // Featured employers are exempt from the platform fee
+  isFeatured: {
+    type: Boolean,
+    default: false
+  },
+  
   // Account status
   isActive: {
     type: Boolean,
@@ -159,9 +224,15 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   banReason: String,
+  // Staff who can use admin routes, e.g. reviewing flagged withdrawals
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
   
   // Timestamps
   lastLogin: Date,
+  lastSeenAt: Date,
   emailVerified: {
     type: Boolean,
     default: false
@@ -229,6 +300,11 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
+// Cached wallet balance in one currency
+userSchema.methods.getWalletBalance = function(currency) {
+  return (this.wallet.balances && this.wallet.balances.get(currency)) || 0;
+};
+
 // Method to update stats
 userSchema.methods.updateStats = function() {
   // This will be called after job completion or rating
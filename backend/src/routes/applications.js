@@ -3,6 +3,11 @@ const { body, validationResult } = require('express-validator');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
+const escrowService = require('../services/escrowService');
+const ledger = require('../services/ledger');
+const jobLifecycle = require('../services/jobLifecycle');
+const eligibility = require('../services/eligibility');
 
 const router = express.Router();
 
@@ -46,10 +51,28 @@ router.post('/:jobId', auth, [
       });
     }
 
+    // Hard requirements block the application; soft ones flag it for the
+    // employer
+    const result = eligibility.evaluate(job, req.user);
+    if (!result.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not meet the requirements for this job',
+        code: 'REQUIREMENTS_NOT_MET',
+        data: { eligibility: result }
+      });
+    }
+
     const { message, proposedPay } = req.body;
 
     // Apply for the job
-    await job.apply(req.user._id, message, proposedPay);
+    await job.apply(req.user._id, message, proposedPay, result.warnings);
+
+    eventBus.emit('application:submitted', {
+      job,
+      application: job.applications[job.applications.length - 1],
+      worker: req.user
+    });
 
     // Populate job with updated data
     await job.populate('employer', 'firstName lastName avatar');
@@ -58,7 +81,7 @@ router.post('/:jobId', auth, [
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
-      data: { job }
+      data: { job, eligibility: result }
     });
   } catch (error) {
     console.error('Apply for job error:', error);
@@ -75,7 +98,7 @@ router.post('/:jobId', auth, [
 router.get('/job/:jobId', auth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.jobId)
-      .populate('applications.worker', 'firstName lastName avatar location skills stats');
+      .populate('applications.worker', 'firstName lastName avatar location skills experienceLevel education certifications stats');
 
     if (!job) {
       return res.status(404).json({
@@ -229,13 +252,40 @@ router.put('/:jobId/:applicationId', auth, [
         });
       }
 
-      // Accept the application
-      await job.acceptApplication(req.params.applicationId);
+      if (application.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: `Application is already ${application.status}`,
+          code: 'APPLICATION_NOT_PENDING'
+        });
+      }
 
-      // Update job status to in_progress
-      job.status = 'in_progress';
-      job.completion.startedAt = new Date();
-      await job.save();
+      if (job.getOpenPositions() === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'All positions for this job are filled',
+          code: 'POSITIONS_FILLED'
+        });
+      }
+
+      const employer = await User.findById(req.user._id);
+
+      // Hire the worker and place their pay into escrow atomically
+      await ledger.withTransaction(async (session) => {
+        job.$session(session);
+
+        const assignment = job.acceptApplication(req.params.applicationId);
+        await escrowService.holdFunds(job, assignment, employer, session);
+
+        // The job is in progress once every position is filled; work
+        // itself starts at check-in
+        jobLifecycle.syncStaffing(job, { actor: req.user._id });
+        await job.save();
+      });
+      job.$session(null);
+      jobLifecycle.publish(job);
+
+      eventBus.emit('application:accepted', { job, application });
 
       res.json({
         success: true,
@@ -251,9 +301,23 @@ router.put('/:jobId/:applicationId', auth, [
         });
       }
 
+      // Hired workers hold an assignment and escrow; they leave through
+      // job cancellation or their own drop-out, which settle both
+      if (application.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: application.status === 'accepted'
+            ? 'This worker was hired; cancel the job or ask the worker to drop out instead'
+            : `Application is already ${application.status}`,
+          code: 'APPLICATION_NOT_PENDING'
+        });
+      }
+
       application.status = 'rejected';
       await job.save();
 
+      eventBus.emit('application:rejected', { job, application });
+
       res.json({
         success: true,
         message: 'Application rejected successfully',
@@ -268,6 +332,15 @@ router.put('/:jobId/:applicationId', auth, [
         });
       }
 
+      // Hired workers leave through the drop-out policy
+      if (application.status === 'accepted') {
+        return res.status(409).json({
+          success: false,
+          message: 'You were hired for this job; drop out instead',
+          code: 'APPLICATION_ACCEPTED'
+        });
+      }
+
       application.status = 'withdrawn';
       await job.save();
 
@@ -278,6 +351,14 @@ router.put('/:jobId/:applicationId', auth, [
       });
     }
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Update application error:', error);
     res.status(500).json({
       success: false,
@@ -1,28 +1,34 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
 const { auth } = require('../middleware/auth');
+const { getSocket } = require('../socket');
 
 const router = express.Router();
 
-// Mock chat data - in a real app, this would be a database model
-let conversations = [];
-let messages = [];
+// Push a chat event to everyone in the conversation room
+const emitToConversation = (conversationId, event, data) => {
+  const socket = getSocket();
+  if (socket) {
+    socket.emitToConversation(conversationId, event, data);
+  }
+};
 
 // @route   GET /api/chat/conversations
 // @desc    Get user's conversations
 // @access  Private
 router.get('/conversations', auth, async (req, res) => {
   try {
-    const userConversations = conversations.filter(c => 
-      c.participants.includes(req.user._id.toString())
-    );
-
-    // Sort by last message date
-    userConversations.sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+    const userConversations = await Conversation.find({ participants: req.user._id })
+      .sort({ lastMessageAt: -1 });
 
     res.json({
       success: true,
-      data: { conversations: userConversations }
+      data: {
+        conversations: userConversations.map(conversation => conversation.getPublicData())
+      }
     });
   } catch (error) {
     console.error('Get conversations error:', error);
@@ -38,10 +44,7 @@ router.get('/conversations', auth, async (req, res) => {
 // @access  Private
 router.get('/conversation/:conversationId', auth, async (req, res) => {
   try {
-    const conversation = conversations.find(c => 
-      c.id === req.params.conversationId && 
-      c.participants.includes(req.user._id.toString())
-    );
+    const conversation = await Conversation.findForUser(req.params.conversationId, req.user._id);
 
     if (!conversation) {
       return res.status(404).json({
@@ -52,7 +55,7 @@ router.get('/conversation/:conversationId', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: { conversation }
+      data: { conversation: conversation.getPublicData() }
     });
   } catch (error) {
     console.error('Get conversation error:', error);
@@ -72,10 +75,7 @@ router.get('/messages/:conversationId', auth, async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Check if user is part of the conversation
-    const conversation = conversations.find(c => 
-      c.id === req.params.conversationId && 
-      c.participants.includes(req.user._id.toString())
-    );
+    const conversation = await Conversation.findForUser(req.params.conversationId, req.user._id);
 
     if (!conversation) {
       return res.status(404).json({
@@ -85,18 +85,20 @@ router.get('/messages/:conversationId', auth, async (req, res) => {
     }
 
     // Get messages for this conversation
-    const conversationMessages = messages
-      .filter(m => m.conversationId === req.params.conversationId)
-      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const filter = { conversation: conversation._id };
 
-    // Paginate
-    const total = conversationMessages.length;
-    const paginatedMessages = conversationMessages.slice(skip, skip + parseInt(limit));
+    const [conversationMessages, total] = await Promise.all([
+      Message.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Message.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
       data: {
-        messages: paginatedMessages,
+        messages: conversationMessages.map(message => message.getPublicData()),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -151,35 +153,39 @@ router.post('/conversation', auth, [
     }
 
     // Check if conversation already exists
-    const existingConversation = conversations.find(c => 
-      c.participants.length === participants.length &&
-      c.participants.every(p => participants.includes(p))
-    );
+    const existingConversation = await Conversation.findByParticipants(participants);
 
     if (existingConversation) {
       return res.json({
         success: true,
         message: 'Conversation already exists',
-        data: { conversation: existingConversation }
+        data: { conversation: existingConversation.getPublicData() }
       });
     }
 
     // Create new conversation
-    const conversation = {
-      id: `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const conversation = new Conversation({
       participants,
-      jobId,
+      job: jobId,
       title: title || 'New Conversation',
-      createdAt: new Date(),
       lastMessageAt: new Date()
-    };
+    });
+
+    await conversation.save();
 
-    conversations.push(conversation);
+    // Let participants' open sockets receive messages of the new conversation
+    const socket = getSocket();
+    if (socket) {
+      socket.joinConversation(conversation.participants, conversation._id);
+      conversation.participants.forEach(participant => {
+        socket.emitToUser(participant, 'new-conversation', conversation.getPublicData());
+      });
+    }
 
     res.status(201).json({
       success: true,
       message: 'Conversation created successfully',
-      data: { conversation }
+      data: { conversation: conversation.getPublicData() }
     });
   } catch (error) {
     console.error('Create conversation error:', error);
@@ -214,10 +220,7 @@ router.post('/message', auth, [
     const { conversationId, content } = req.body;
 
     // Check if user is part of the conversation
-    const conversation = conversations.find(c => 
-      c.id === conversationId && 
-      c.participants.includes(req.user._id.toString())
-    );
+    const conversation = await Conversation.findForUser(conversationId, req.user._id);
 
     if (!conversation) {
       return res.status(404).json({
@@ -227,24 +230,24 @@ router.post('/message', auth, [
     }
 
     // Create message
-    const message = {
-      id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      conversationId,
-      senderId: req.user._id.toString(),
-      content,
-      createdAt: new Date(),
-      read: false
-    };
+    const message = new Message({
+      conversation: conversation._id,
+      sender: req.user._id,
+      content
+    });
 
-    messages.push(message);
+    await message.save();
 
     // Update conversation last message
-    conversation.lastMessageAt = new Date();
+    conversation.lastMessageAt = message.createdAt;
+    await conversation.save();
+
+    emitToConversation(conversation._id, 'new-message', message.getPublicData());
 
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: { message }
+      data: { message: message.getPublicData() }
     });
   } catch (error) {
     console.error('Send message error:', error);
@@ -261,10 +264,7 @@ router.post('/message', auth, [
 router.put('/messages/:conversationId/read', auth, async (req, res) => {
   try {
     // Check if user is part of the conversation
-    const conversation = conversations.find(c => 
-      c.id === req.params.conversationId && 
-      c.participants.includes(req.user._id.toString())
-    );
+    const conversation = await Conversation.findForUser(req.params.conversationId, req.user._id);
 
     if (!conversation) {
       return res.status(404).json({
@@ -274,21 +274,30 @@ router.put('/messages/:conversationId/read', auth, async (req, res) => {
     }
 
     // Mark unread messages as read
-    const unreadMessages = messages.filter(m => 
-      m.conversationId === req.params.conversationId &&
-      m.senderId !== req.user._id.toString() &&
-      !m.read
+    const result = await Message.updateMany(
+      {
+        conversation: conversation._id,
+        sender: { $ne: req.user._id },
+        read: false
+      },
+      {
+        read: true,
+        readAt: new Date()
+      }
     );
 
-    unreadMessages.forEach(message => {
-      message.read = true;
-      message.readAt = new Date();
-    });
+    if (result.modifiedCount > 0) {
+      emitToConversation(conversation._id, 'messages-read', {
+        conversationId: conversation._id.toString(),
+        userId: req.user._id.toString(),
+        readCount: result.modifiedCount
+      });
+    }
 
     res.json({
       success: true,
       message: 'Messages marked as read',
-      data: { readCount: unreadMessages.length }
+      data: { readCount: result.modifiedCount }
     });
   } catch (error) {
     console.error('Mark messages read error:', error);
@@ -299,24 +308,81 @@ router.put('/messages/:conversationId/read', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/chat/message/:messageId
+// @desc    Edit a message
+// @access  Private
+router.put('/message/:messageId', auth, [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message content must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const message = mongoose.isValidObjectId(req.params.messageId)
+      ? await Message.findOne({
+        _id: req.params.messageId,
+        sender: req.user._id
+      })
+      : null;
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    message.content = req.body.content;
+    message.editedAt = new Date();
+    await message.save();
+
+    emitToConversation(message.conversation, 'message-edited', message.getPublicData());
+
+    res.json({
+      success: true,
+      message: 'Message updated successfully',
+      data: { message: message.getPublicData() }
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/chat/message/:messageId
 // @desc    Delete a message
 // @access  Private
 router.delete('/message/:messageId', auth, async (req, res) => {
   try {
-    const messageIndex = messages.findIndex(m => 
-      m.id === req.params.messageId && 
-      m.senderId === req.user._id.toString()
-    );
-
-    if (messageIndex === -1) {
+    const message = mongoose.isValidObjectId(req.params.messageId)
+      ? await Message.findOneAndDelete({
+        _id: req.params.messageId,
+        sender: req.user._id
+      })
+      : null;
+
+    if (!message) {
       return res.status(404).json({
         success: false,
         message: 'Message not found'
       });
     }
 
-    messages.splice(messageIndex, 1);
+    emitToConversation(message.conversation, 'message-deleted', {
+      id: message._id.toString(),
+      conversationId: message.conversation.toString()
+    });
 
     res.json({
       success: true,
@@ -336,14 +402,14 @@ router.delete('/message/:messageId', auth, async (req, res) => {
 // @access  Private
 router.get('/unread-count', auth, async (req, res) => {
   try {
-    const unreadCount = messages.filter(m => 
-      m.senderId !== req.user._id.toString() && 
-      !m.read &&
-      conversations.some(c => 
-        c.id === m.conversationId && 
-        c.participants.includes(req.user._id.toString())
-      )
-    ).length;
+    const conversationIds = await Conversation.find({ participants: req.user._id })
+      .distinct('_id');
+
+    const unreadCount = await Message.countDocuments({
+      conversation: { $in: conversationIds },
+      sender: { $ne: req.user._id },
+      read: false
+    });
 
     res.json({
       success: true,
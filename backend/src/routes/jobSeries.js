@@ -0,0 +1,356 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobSeries = require('../models/JobSeries');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const jobValidation = require('../middleware/jobValidation');
+const jobSeries = require('../services/jobSeries');
+const recurrence = require('../services/recurrence');
+const config = require('../../config');
+
+const router = express.Router();
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Series owned by the current user
+const findOwnSeries = async (id, userId) => {
+  const series = await JobSeries.findById(id);
+
+  if (!series) {
+    throw createError(404, 'Series not found');
+  }
+
+  if (series.employer.toString() !== userId.toString()) {
+    throw createError(403, 'Not authorized to change this series');
+  }
+
+  return series;
+};
+
+const recurrenceValidation = [
+  body('recurrence.frequency')
+    .isIn(['daily', 'weekly'])
+    .withMessage('Recurrence frequency must be daily or weekly'),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Recurrence interval must be between 1 and 12')
+    .toInt(),
+  body('recurrence.weekdays')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Weekdays must be a list of days'),
+  body('recurrence.weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  body('recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid until date'),
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: config.jobSeries.maxOccurrences })
+    .withMessage(`Count must be between 1 and ${config.jobSeries.maxOccurrences}`)
+    .toInt(),
+  body('recurrence')
+    .custom(value => Boolean(value && (value.until || value.count)))
+    .withMessage('Recurrence needs an until date or a count')
+];
+
+// @route   POST /api/job-series
+// @desc    Create a recurring job series and its first occurrences
+// @access  Private
+router.post('/', auth, [...jobValidation.jobFields, ...recurrenceValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Check if user is verified (for employers)
+    if (!req.user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account verification required to post jobs'
+      });
+    }
+
+    const startDate = recurrence.startOfDay(req.body.date);
+    const { frequency, interval, weekdays, until, count } = req.body.recurrence;
+
+    if (until && recurrence.startOfDay(until) < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Until date must not be before the first date',
+        code: 'INVALID_RECURRENCE'
+      });
+    }
+
+    const series = new JobSeries({
+      employer: req.user._id,
+      template: Job.pickDetails({
+        ...req.body,
+        companyName: req.user.companyName || `${req.user.firstName} ${req.user.lastName}`
+      }),
+      recurrence: {
+        frequency,
+        interval,
+        // Weekly series default to the weekday of the first date
+        weekdays: frequency === 'weekly' ? weekdays || [startDate.getUTCDay()] : undefined,
+        startDate,
+        until,
+        count
+      }
+    });
+    await series.save();
+
+    const occurrences = await jobSeries.generateOccurrences(series);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job series created successfully',
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    handleError(res, error, 'Create job series');
+  }
+});
+
+// @route   GET /api/job-series
+// @desc    Get the current user's job series
+// @access  Private
+router.get('/', auth, [
+  query('status').optional().isIn(['active', 'ended', 'cancelled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = { employer: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const series = await JobSeries.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get job series');
+  }
+});
+
+// @route   GET /api/job-series/:id
+// @desc    Get a series with its upcoming occurrences
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await JobSeries.findById(req.params.id)
+      .populate('employer', 'firstName lastName avatar isVerified companyName');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const occurrences = await jobSeries.findUpcoming(series)
+      .select('title date time status positions assignments seriesDetached')
+      .lean();
+
+    const data = series.toObject();
+    data.occurrences = occurrences.map(({ assignments, ...job }) => ({
+      ...job,
+      openPositions: Job.getOpenPositions({ ...job, assignments })
+    }));
+
+    // Applicants are only shown to the employer
+    if (req.user) {
+      data.hasApplied = series.applicants.some(
+        item => item.worker.toString() === req.user._id.toString()
+      );
+    }
+    if (!req.user || series.employer._id.toString() !== req.user._id.toString()) {
+      delete data.applicants;
+    }
+
+    res.json({
+      success: true,
+      data: { series: data }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get job series');
+  }
+});
+
+// @route   PUT /api/job-series/:id
+// @desc    Edit the whole series; upcoming occurrences follow
+// @access  Private (series owner only)
+router.put('/:id', auth, [
+  body('positions')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Positions must be between 1 and 50')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = await findOwnSeries(req.params.id, req.user._id);
+
+    if (series.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This series was cancelled',
+        code: 'SERIES_CANCELLED'
+      });
+    }
+
+    // Company name follows the employer, not the request
+    const { companyName, ...changes } = req.body;
+    const { updated, skipped } = await jobSeries.updateSeries(series, changes);
+
+    res.json({
+      success: true,
+      message: 'Job series updated successfully',
+      data: { series, updated, skipped }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update job series');
+  }
+});
+
+// @route   POST /api/job-series/:id/cancel
+// @desc    Cancel the series and its upcoming occurrences
+// @access  Private (series owner only)
+router.post('/:id/cancel', auth, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = await findOwnSeries(req.params.id, req.user._id);
+
+    const cancelled = await jobSeries.cancelSeries(series, {
+      actor: req.user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Job series cancelled successfully',
+      data: { series, cancelledJobs: cancelled.map(job => job._id) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Cancel job series');
+  }
+});
+
+// @route   POST /api/job-series/:id/apply
+// @desc    Apply to every occurrence of the series
+// @access  Private
+router.post('/:id/apply', auth, [
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = await JobSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const occurrences = await jobSeries.applyToSeries(series, req.user, req.body.message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Applied to the series successfully',
+      data: { occurrences }
+    });
+  } catch (error) {
+    handleError(res, error, 'Apply to job series');
+  }
+});
+
+// @route   DELETE /api/job-series/:id/apply
+// @desc    Withdraw from the series
+// @access  Private
+router.delete('/:id/apply', auth, async (req, res) => {
+  try {
+    const series = await JobSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const occurrences = await jobSeries.withdrawFromSeries(series, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Withdrawn from the series successfully',
+      data: { occurrences }
+    });
+  } catch (error) {
+    handleError(res, error, 'Withdraw from job series');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobTemplate = require('../models/JobTemplate');
+const { auth } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const jobValidation = require('../middleware/jobValidation');
+
+const router = express.Router();
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Template owned by the current user
+const findOwnTemplate = async (id, userId) => {
+  const template = await JobTemplate.findById(id);
+
+  if (!template || template.employer.toString() !== userId.toString()) {
+    throw createError(404, 'Template not found');
+  }
+
+  return template;
+};
+
+// Job details to keep in a template. The company name follows the
+// employer, not the template.
+const templateDetails = (source) => {
+  const { companyName, ...details } = Job.pickDetails(source);
+  return details;
+};
+
+const assertNameFree = async (employer, name, templateId) => {
+  const existing = await JobTemplate.findOne({ employer, name }).select('_id').lean();
+
+  if (existing && (!templateId || existing._id.toString() !== templateId.toString())) {
+    throw createError(409, `A template named "${name}" already exists`, 'TEMPLATE_EXISTS');
+  }
+};
+
+const nameValidation = (name = body('name')) => name
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Name must be between 1 and 100 characters');
+
+// @route   GET /api/job-templates
+// @desc    Get the current user's job templates
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await JobTemplate.find({ employer: req.user._id })
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get job templates');
+  }
+});
+
+// @route   GET /api/job-templates/:id
+// @desc    Get a job template
+// @access  Private (template owner only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get job template');
+  }
+});
+
+// @route   POST /api/job-templates
+// @desc    Save job details as a template, from the body or an existing job
+// @access  Private
+router.post('/', auth, [
+  nameValidation(),
+  body('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job id'),
+  ...jobValidation.partialJobFields
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let details = {};
+
+    if (req.body.jobId) {
+      const job = await Job.findById(req.body.jobId).lean();
+
+      if (!job || job.employer.toString() !== req.user._id.toString()) {
+        throw createError(404, 'Job not found');
+      }
+
+      details = templateDetails(job);
+    }
+
+    // Fields in the body override the ones copied from the job
+    details = { ...details, ...templateDetails(req.body) };
+
+    if (Object.keys(details).length === 0) {
+      throw createError(400, 'A template needs at least one job field', 'TEMPLATE_EMPTY');
+    }
+
+    await assertNameFree(req.user._id, req.body.name);
+
+    const template = new JobTemplate({
+      employer: req.user._id,
+      name: req.body.name,
+      job: details
+    });
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Job template saved successfully',
+      data: { template }
+    });
+  } catch (error) {
+    handleError(res, error, 'Create job template');
+  }
+});
+
+// @route   PUT /api/job-templates/:id
+// @desc    Rename a template or change its job details
+// @access  Private (template owner only)
+router.put('/:id', auth, [
+  nameValidation(body('name').optional()),
+  ...jobValidation.partialJobFields
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = await findOwnTemplate(req.params.id, req.user._id);
+
+    if (req.body.name !== undefined) {
+      await assertNameFree(req.user._id, req.body.name, template._id);
+      template.name = req.body.name;
+    }
+
+    template.job = { ...template.job, ...templateDetails(req.body) };
+    template.markModified('job');
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Job template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update job template');
+  }
+});
+
+// @route   DELETE /api/job-templates/:id
+// @desc    Delete a job template
+// @access  Private (template owner only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user._id);
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Job template deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete job template');
+  }
+});
+
+module.exports = router;
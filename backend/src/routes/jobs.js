@@ -3,6 +3,22 @@ const { body, validationResult, query } = require('express-validator');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
+const config = require('../../config');
+const { createError } = require('../middleware/errorHandler');
+const { distanceMeters } = require('../services/geo');
+const { getSocket } = require('../socket');
+const jobValidation = require('../middleware/jobValidation');
+const jobLifecycle = require('../services/jobLifecycle');
+const cancellationPolicy = require('../services/cancellationPolicy');
+const jobCancellation = require('../services/jobCancellation');
+const jobPublisher = require('../services/jobPublisher');
+const jobSearch = require('../services/jobSearch');
+const jobFilters = require('../services/jobFilters');
+const eligibility = require('../services/eligibility');
+const recommendations = require('../services/recommendations');
+const escrowService = require('../services/escrowService');
+const ledger = require('../services/ledger');
+const eventBus = require('../services/eventBus');
 
 const router = express.Router();
 
@@ -10,16 +26,10 @@ const router = express.Router();
 // @desc    Get all jobs with filters
 // @access  Public
 router.get('/', optionalAuth, [
-  query('category').optional().isIn(['Delivery', 'Events', 'Digital', 'Retail', 'Food Service', 'Other']),
-  query('city').optional().isString(),
-  query('minPay').optional().isNumeric(),
-  query('maxPay').optional().isNumeric(),
-  query('sort').optional().isIn(['recent', 'pay_high', 'pay_low', 'distance']),
+  ...jobValidation.filterFields(query),
+  query('sort').optional().isIn(['relevance', 'recent', 'pay_high', 'pay_low', 'distance']),
   query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 50 }),
-  query('lat').optional().isFloat(),
-  query('lng').optional().isFloat(),
-  query('radius').optional().isFloat({ min: 0.1, max: 100 })
+  query('limit').optional().isInt({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -31,11 +41,6 @@ router.get('/', optionalAuth, [
     }
 
     const {
-      category,
-      city,
-      minPay,
-      maxPay,
-      sort = 'recent',
       page = 1,
       limit = 20,
       lat,
@@ -44,34 +49,19 @@ router.get('/', optionalAuth, [
       search
     } = req.query;
 
-    // Build filter object
-    const filter = { status: 'active' };
-
-    if (category && category !== 'All') {
-      filter.category = category;
-    }
-
-    if (city && city !== 'All Cities') {
-      filter['location.city'] = { $regex: city, $options: 'i' };
-    }
-
-    if (minPay || maxPay) {
-      filter['pay.amount'] = {};
-      if (minPay) filter['pay.amount'].$gte = parseFloat(minPay);
-      if (maxPay) filter['pay.amount'].$lte = parseFloat(maxPay);
-    }
+    // Searches are ranked by relevance unless another order is asked for
+    const sort = req.query.sort || (search ? 'relevance' : 'recent');
 
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { companyName: { $regex: search, $options: 'i' } }
-      ];
-    }
+    // $geoNear cannot run with a text search, so searches get the radius
+    // as a filter and distances are calculated afterwards
+    const filter = jobFilters.buildJobFilter(req.query, { geoNear: Boolean(lat && lng && !search) });
 
     // Build sort object
     let sortObj = {};
     switch (sort) {
+      case 'relevance':
+        sortObj = search ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
+        break;
       case 'pay_high':
         sortObj = { 'pay.amount': -1 };
         break;
@@ -79,8 +69,10 @@ router.get('/', optionalAuth, [
         sortObj = { 'pay.amount': 1 };
         break;
       case 'distance':
-        if (lat && lng) {
+        if (lat && lng && !search) {
           // Will be handled by geoNear aggregation
+        } else if (search) {
+          sortObj = { score: { $meta: 'textScore' } };
         } else {
           sortObj = { createdAt: -1 };
         }
@@ -96,7 +88,7 @@ router.get('/', optionalAuth, [
     let total;
 
     // If coordinates provided, use geoNear
-    if (lat && lng) {
+    if (lat && lng && !search) {
       const coordinates = [parseFloat(lng), parseFloat(lat)];
       
       const pipeline = [
@@ -162,7 +154,7 @@ router.get('/', optionalAuth, [
     } else {
       // Regular query without geo
       const [jobsResult, totalResult] = await Promise.all([
-        Job.find(filter)
+        Job.find(filter, search ? { score: { $meta: 'textScore' } } : undefined)
           .sort(sortObj)
           .skip(skip)
           .limit(parseInt(limit))
@@ -199,6 +191,13 @@ router.get('/', optionalAuth, [
       });
     }
 
+    jobs.forEach(job => {
+      job.openPositions = Job.getOpenPositions(job);
+      if (search) {
+        job.highlights = jobSearch.highlights(job, search);
+      }
+    });
+
     res.json({
       success: true,
       data: {
@@ -220,6 +219,57 @@ router.get('/', optionalAuth, [
   }
 });
 
+// @route   GET /api/jobs/recommended
+// @desc    Active jobs ranked for the current user, with the score explained
+// @access  Private
+router.get('/recommended', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('lat').optional().isFloat(),
+  query('lng').optional().isFloat(),
+  query('radius').optional().isFloat({ min: 0.1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, lat, lng, radius } = req.query;
+
+    const ranked = await recommendations.recommendJobs(req.user, { lat, lng, radius });
+    const skip = (page - 1) * limit;
+    const jobs = ranked.slice(skip, skip + parseInt(limit));
+
+    jobs.forEach(job => {
+      job.openPositions = Job.getOpenPositions(job);
+      delete job.applications;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: ranked.length,
+          pages: Math.ceil(ranked.length / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get recommended jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/jobs/:id
 // @desc    Get job by ID
 // @access  Public
@@ -227,10 +277,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('employer', 'firstName lastName avatar isVerified companyName')
-      .populate('selectedWorker', 'firstName lastName avatar')
+      .populate('assignments.worker', 'firstName lastName avatar')
       .populate('applications.worker', 'firstName lastName avatar');
 
-    if (!job) {
+    // Drafts and scheduled jobs are only visible to their employer
+    const isHidden = job && Job.UNPUBLISHED_STATUSES.includes(job.status) &&
+      (!req.user || job.employer._id.toString() !== req.user._id.toString());
+    if (!job || isHidden) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
@@ -241,16 +294,19 @@ router.get('/:id', optionalAuth, async (req, res) => {
     job.views += 1;
     await job.save();
 
+    const data = job.toObject();
+    data.openPositions = job.getOpenPositions();
+
     // Check if user has applied
     if (req.user) {
-      job.hasApplied = job.applications.some(
+      data.hasApplied = job.applications.some(
         app => app.worker._id.toString() === req.user._id.toString()
       );
     }
 
     res.json({
       success: true,
-      data: { job }
+      data: { job: data }
     });
   } catch (error) {
     console.error('Get job error:', error);
@@ -261,47 +317,60 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/jobs/:id/eligibility
+// @desc    Check the current user's profile against the job's requirements
+// @access  Private
+router.get('/:id/eligibility', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('employer status date requirements');
+
+    const isHidden = job && Job.UNPUBLISHED_STATUSES.includes(job.status) &&
+      job.employer.toString() !== req.user._id.toString();
+    if (!job || isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { eligibility: eligibility.evaluate(job, req.user) }
+    });
+  } catch (error) {
+    console.error('Get job eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Fields managed by the server that a request may not set
+const PROTECTED_FIELDS = [
+  'status', 'statusHistory', 'employer', 'applications', 'applicationsCount',
+  'assignments', 'cancellation', 'expiredAt', 'repostedFrom', 'clonedFrom', 'series', 'seriesDetached',
+  'publishAt', 'publishedAt', 'shift', 'searchLanguage'
+];
+
+// Job fields from the request body, without the server-managed ones
+const jobDataFrom = (body) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => {
+    delete data[field];
+  });
+  return data;
+};
+
 // @route   POST /api/jobs
 // @desc    Create a new job
 // @access  Private
 router.post('/', auth, [
-  body('title')
-    .trim()
-    .isLength({ min: 5, max: 100 })
-    .withMessage('Title must be between 5 and 100 characters'),
-  body('description')
-    .trim()
-    .isLength({ min: 20, max: 2000 })
-    .withMessage('Description must be between 20 and 2000 characters'),
-  body('category')
-    .isIn(['Delivery', 'Events', 'Digital', 'Retail', 'Food Service', 'Other'])
-    .withMessage('Invalid category'),
-  body('pay.amount')
-    .isFloat({ min: 1 })
-    .withMessage('Pay amount must be at least 1'),
-  body('location.address')
-    .trim()
-    .notEmpty()
-    .withMessage('Address is required'),
-  body('location.city')
-    .trim()
-    .notEmpty()
-    .withMessage('City is required'),
-  body('location.coordinates')
-    .isArray({ min: 2, max: 2 })
-    .withMessage('Coordinates must be an array of 2 numbers'),
-  body('date')
+  ...jobValidation.jobFields,
+  body('publishAt')
+    .optional()
     .isISO8601()
-    .withMessage('Invalid date format'),
-  body('time.start')
-    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Invalid time format'),
-  body('time.end')
-    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Invalid time format'),
-  body('duration')
-    .isFloat({ min: 0.5 })
-    .withMessage('Duration must be at least 0.5 hours')
+    .withMessage('Invalid publication time')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -321,23 +390,46 @@ router.post('/', auth, [
     }
 
     const jobData = {
-      ...req.body,
+      ...jobDataFrom(req.body),
       employer: req.user._id,
       companyName: req.user.companyName || `${req.user.firstName} ${req.user.lastName}`
     };
 
+    // Postings queued for later stay hidden until the publisher picks them up
+    if (req.body.publishAt) {
+      jobData.status = 'scheduled';
+      jobData.publishAt = new Date(req.body.publishAt);
+    } else {
+      jobData.publishedAt = new Date();
+    }
+
     const job = new Job(jobData);
+    if (job.publishAt) {
+      jobPublisher.checkPublishAt(job, job.publishAt);
+    }
     await job.save();
 
+    if (job.status === 'active') {
+      eventBus.emit('job:published', { job });
+    }
+
     // Populate employer info
     await job.populate('employer', 'firstName lastName avatar isVerified');
 
     res.status(201).json({
       success: true,
-      message: 'Job created successfully',
+      message: job.status === 'scheduled' ? 'Job scheduled for publication' : 'Job created successfully',
       data: { job }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Create job error:', error);
     res.status(500).json({
       success: false,
@@ -346,11 +438,66 @@ router.post('/', auth, [
   }
 });
 
+// A job that failed the model's validation, answered with its field
+// errors in the shape express-validator uses
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map(err => err.message).join(', '),
+  errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+});
+
+// @route   POST /api/jobs/drafts
+// @desc    Save an unfinished job as a draft; later saves go through PUT
+// @access  Private
+router.post('/drafts', auth, jobValidation.draftJobFields, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = new Job({
+      ...jobDataFrom(req.body),
+      employer: req.user._id,
+      companyName: req.user.companyName || `${req.user.firstName} ${req.user.lastName}`,
+      status: 'draft'
+    });
+    await job.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft saved',
+      data: { job }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/jobs/:id
 // @desc    Update job
 // @access  Private (job owner only)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, jobValidation.draftJobFields, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const job = await Job.findById(req.params.id);
     
     if (!job) {
@@ -369,18 +516,51 @@ router.put('/:id', auth, async (req, res) => {
     }
 
     // Check if job can be updated
-    if (job.status !== 'active') {
+    if (![...Job.UNPUBLISHED_STATUSES, 'active'].includes(job.status)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot update job that is not active'
       });
     }
 
-    const updatedJob = await Job.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('employer', 'firstName lastName avatar isVerified');
+    // Status only changes through the job lifecycle endpoints
+    if (req.body.status !== undefined && req.body.status !== job.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Job status cannot be changed with an update',
+        code: 'STATUS_NOT_EDITABLE'
+      });
+    }
+
+    // Workers already hired keep their positions
+    const filled = job.positions - job.getOpenPositions();
+    if (req.body.positions !== undefined && req.body.positions < filled) {
+      return res.status(400).json({
+        success: false,
+        message: `${filled} positions are already filled`,
+        code: 'POSITIONS_BELOW_FILLED'
+      });
+    }
+
+    const updateData = jobDataFrom(req.body);
+
+    // An occurrence edited on its own stops following series edits
+    if (job.series) {
+      updateData.seriesDetached = true;
+    }
+
+    // Saved as a document so the model's validators see the job's status:
+    // drafts are exempt from the details a live job needs
+    job.set(updateData);
+    let updatedJob = await job.save();
+    await updatedJob.populate('employer', 'firstName lastName avatar isVerified');
+
+    // Cutting positions down to the hired workers fills the job
+    if (updatedJob.getOpenPositions() === 0) {
+      jobLifecycle.syncStaffing(updatedJob, { actor: req.user._id });
+      updatedJob = await updatedJob.save();
+      jobLifecycle.publish(updatedJob);
+    }
 
     res.json({
       success: true,
@@ -388,6 +568,10 @@ router.put('/:id', auth, async (req, res) => {
       data: { job: updatedJob }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
     console.error('Update job error:', error);
     res.status(500).json({
       success: false,
@@ -419,13 +603,22 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if job can be deleted
-    if (job.status !== 'active') {
+    if (![...Job.UNPUBLISHED_STATUSES, 'active'].includes(job.status)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete job that is not active'
       });
     }
 
+    // Hired workers have pay in escrow; the job has to be cancelled
+    if (job.getActiveAssignments().length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Workers are already hired for this job; cancel it instead',
+        code: 'JOB_HAS_WORKERS'
+      });
+    }
+
     await Job.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -455,4 +648,692 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return Math.round(distance * 10) / 10; // Round to 1 decimal place
 }
 
+// Keep a job's date if it is still ahead, otherwise move it forward by
+// whole days so the time of day is preserved. A job without a date (a
+// draft) gets none.
+function upcomingDate(date) {
+  if (!date) {
+    return undefined;
+  }
+
+  const day = 24 * 60 * 60 * 1000;
+  const upcoming = new Date(date);
+  if (upcoming < new Date()) {
+    return new Date(upcoming.getTime() + Math.ceil((Date.now() - upcoming) / day) * day);
+  }
+  return upcoming;
+}
+
+// @route   POST /api/jobs/:id/reopen
+// @desc    Reopen an expired or cancelled job for applications
+// @access  Private (job owner only)
+router.post('/:id/reopen', auth, [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.employer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reopen this job'
+      });
+    }
+
+    if (!['expired', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reopen a job that is ${job.status}`,
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    // Escrow must have been refunded before the job starts over
+    if (job.assignments.some(item => item.payment.status === 'held')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Funds for this job are still held in escrow',
+        code: 'ESCROW_STILL_HELD'
+      });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : job.date;
+    if (date < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a new date to reopen this job',
+        code: 'JOB_DATE_PASSED'
+      });
+    }
+
+    jobLifecycle.transition(job, 'active', { actor: req.user._id, reason: 'Reopened by employer' });
+    job.date = date;
+    job.expiresAt = new Date(Date.now() + config.jobExpiry.lifetimeDays * 24 * 60 * 60 * 1000);
+    job.expiredAt = undefined;
+    await job.save();
+    jobLifecycle.publish(job);
+
+    res.json({
+      success: true,
+      message: 'Job reopened successfully',
+      data: { job }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Reopen job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/repost
+// @desc    Post an expired or cancelled job again as a new active job
+// @access  Private (job owner only)
+router.post('/:id/repost', auth, [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.employer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to repost this job'
+      });
+    }
+
+    if (!['expired', 'cancelled'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only expired or cancelled jobs can be reposted',
+        code: 'JOB_NOT_REPOSTABLE'
+      });
+    }
+
+    if (!req.user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account verification required to post jobs'
+      });
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : upcomingDate(job.date);
+
+    const repostedJob = new Job({
+      ...Job.pickDetails(job.toObject()),
+      employer: job.employer,
+      date,
+      repostedFrom: job._id,
+      publishedAt: new Date()
+    });
+    await repostedJob.save();
+    eventBus.emit('job:published', { job: repostedJob });
+
+    await repostedJob.populate('employer', 'firstName lastName avatar isVerified');
+
+    res.status(201).json({
+      success: true,
+      message: 'Job reposted successfully',
+      data: { job: repostedJob }
+    });
+  } catch (error) {
+    console.error('Repost job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/clone
+// @desc    Copy a job into a new draft for another date
+// @access  Private (job owner only)
+router.post('/:id/clone', auth, [
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.employer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to clone this job'
+      });
+    }
+
+    const draft = new Job({
+      ...Job.pickDetails(job.toObject()),
+      employer: job.employer,
+      companyName: req.user.companyName || `${req.user.firstName} ${req.user.lastName}`,
+      date: req.body.date ? new Date(req.body.date) : upcomingDate(job.date),
+      status: 'draft',
+      clonedFrom: job._id
+    });
+    await draft.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Job cloned into a draft',
+      data: { job: draft }
+    });
+  } catch (error) {
+    console.error('Clone job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/publish
+// @desc    Publish a draft now, or schedule it with publishAt
+// @access  Private (job owner only)
+router.post('/:id/publish', auth, [
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid publication time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.employer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish this job'
+      });
+    }
+
+    if (!req.user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account verification required to post jobs'
+      });
+    }
+
+    await jobPublisher.publishJob(job, {
+      actor: req.user._id,
+      publishAt: req.body.publishAt ? new Date(req.body.publishAt) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: job.status === 'scheduled' ? 'Job scheduled for publication' : 'Job published successfully',
+      data: { job }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Publish job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/jobs/:id/unschedule
+// @desc    Take a scheduled job off the queue and back to a draft
+// @access  Private (job owner only)
+router.post('/:id/unschedule', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.employer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this job'
+      });
+    }
+
+    await jobPublisher.unscheduleJob(job, { actor: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Job moved back to drafts',
+      data: { job }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Unschedule job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Check that a hired worker is within the geofence around the job.
+// Resolves to the job, the worker's assignment and the distance in meters.
+const verifyOnSite = async (jobId, user, latitude, longitude) => {
+  const job = await Job.findById(jobId);
+
+  if (!job) {
+    throw createError(404, 'Job not found');
+  }
+
+  const assignment = job.getAssignment(user._id);
+  if (!assignment || assignment.status !== 'active') {
+    throw createError(403, 'Only a hired worker can check in to this job');
+  }
+
+  // A partly filled job is still active while hired workers start
+  if (!['active', 'in_progress'].includes(job.status)) {
+    throw createError(400, 'Job must be in progress to check in or out', 'JOB_NOT_IN_PROGRESS');
+  }
+
+  const distance = Math.round(distanceMeters(
+    [longitude, latitude],
+    job.location.coordinates.coordinates
+  ));
+
+  if (distance > config.checkInRadiusMeters) {
+    const error = createError(403, `You are ${distance} m from the job location; check-in is allowed within ${config.checkInRadiusMeters} m`, 'OUTSIDE_GEOFENCE');
+    error.details = { distance, radius: config.checkInRadiusMeters };
+    throw error;
+  }
+
+  return { job, assignment, distance };
+};
+
+const attendanceValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required')
+    .toFloat(),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required')
+    .toFloat()
+];
+
+const handleAttendanceError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @route   POST /api/jobs/:id/check-in
+// @desc    Check in on site and start the job
+// @access  Private (hired worker)
+router.post('/:id/check-in', auth, attendanceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude } = req.body;
+    const { job, assignment, distance } = await verifyOnSite(req.params.id, req.user, latitude, longitude);
+    const completion = assignment.completion;
+
+    if (completion.checkIn && completion.checkIn.at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already checked in',
+        code: 'ALREADY_CHECKED_IN'
+      });
+    }
+
+    const now = new Date();
+    completion.checkIn = {
+      at: now,
+      coordinates: [longitude, latitude],
+      distance
+    };
+    completion.startedAt = now;
+    await job.save();
+
+    const socket = getSocket();
+    if (socket) {
+      // Attendance is private to the employer, not the job room
+      socket.emitToUser(job.employer, 'worker-checked-in', {
+        jobId: job._id,
+        workerId: req.user._id,
+        at: now,
+        distance
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: { completion }
+    });
+  } catch (error) {
+    handleAttendanceError(res, error, 'Check in');
+  }
+});
+
+// @route   POST /api/jobs/:id/check-out
+// @desc    Check out on site when leaving
+// @access  Private (hired worker)
+router.post('/:id/check-out', auth, attendanceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { latitude, longitude } = req.body;
+    const { job, assignment, distance } = await verifyOnSite(req.params.id, req.user, latitude, longitude);
+    const completion = assignment.completion;
+
+    if (!completion.checkIn || !completion.checkIn.at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Check in before checking out',
+        code: 'NOT_CHECKED_IN'
+      });
+    }
+
+    if (completion.checkOut && completion.checkOut.at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already checked out',
+        code: 'ALREADY_CHECKED_OUT'
+      });
+    }
+
+    const now = new Date();
+    completion.checkOut = {
+      at: now,
+      coordinates: [longitude, latitude],
+      distance
+    };
+    await job.save();
+
+    const socket = getSocket();
+    if (socket) {
+      socket.emitToUser(job.employer, 'worker-checked-out', {
+        jobId: job._id,
+        workerId: req.user._id,
+        at: now,
+        distance
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Checked out successfully',
+      data: { completion }
+    });
+  } catch (error) {
+    handleAttendanceError(res, error, 'Check out');
+  }
+});
+
+const reasonValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const handleCancellationError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @route   POST /api/jobs/:id/cancel
+// @desc    Cancel a job and refund escrow; late cancellations compensate the worker
+// @access  Private (job owner only)
+router.post('/:id/cancel', auth, reasonValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.employer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this job'
+      });
+    }
+
+    const { policy, results } = await jobCancellation.cancelJob(job, {
+      actor: req.user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Job cancelled successfully',
+      data: {
+        job,
+        policy,
+        workers: results.map(({ assignment, compensation, refund }) => ({
+          worker: assignment.worker,
+          compensation,
+          refund
+        }))
+      }
+    });
+  } catch (error) {
+    handleCancellationError(res, error, 'Cancel job');
+  }
+});
+
+// @route   POST /api/jobs/:id/drop-out
+// @desc    Drop out of an accepted job; the job reopens to other applicants
+// @access  Private (hired worker)
+router.post('/:id/drop-out', auth, reasonValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const assignment = job.getAssignment(req.user._id);
+    if (!assignment || assignment.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a hired worker can drop out of this job'
+      });
+    }
+
+    if (!['active', 'in_progress'].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot drop out of a job that is ${job.status}`,
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
+    const reason = req.body.reason || 'Worker dropped out';
+    const policy = cancellationPolicy.evaluate({ job, by: 'worker', assignments: [assignment] });
+
+    // Refund the employer and put the position back up for applications
+    const refund = await ledger.withTransaction(async (session) => {
+      job.$session(session);
+
+      const refund = await escrowService.refundFunds(job, assignment, reason, session);
+
+      const application = job.applications.id(assignment.application);
+      if (application) {
+        application.status = 'withdrawn';
+      }
+
+      assignment.status = 'dropped_out';
+      assignment.endedAt = new Date();
+      jobLifecycle.syncStaffing(job, { actor: req.user._id, reason });
+      await job.save();
+
+      await User.updateOne(
+        { _id: req.user._id },
+        { $inc: { 'stats.dropOuts': 1, 'stats.lateDropOuts': policy.countsAgainstReliability ? 1 : 0 } },
+        { session }
+      );
+
+      return refund;
+    });
+    job.$session(null);
+    jobLifecycle.publish(job);
+
+    eventBus.emit('job:dropped_out', { job, worker: req.user, reason, policy, refund });
+
+    res.json({
+      success: true,
+      message: policy.late
+        ? 'You dropped out late. This counts against your reliability.'
+        : 'You dropped out of the job',
+      data: { job, policy }
+    });
+  } catch (error) {
+    handleCancellationError(res, error, 'Drop out');
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
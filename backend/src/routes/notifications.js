@@ -1,12 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { createNotification } = require('../services/notificationService');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Mock notifications data - in a real app, this would be a database model
-let notifications = [];
-
 // @route   GET /api/notifications
 // @desc    Get user's notifications
 // @access  Private
@@ -16,18 +15,21 @@ router.get('/', auth, async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Filter notifications for current user
-    let userNotifications = notifications.filter(n => n.userId === req.user._id.toString());
+    const filter = { user: req.user._id };
 
     if (unreadOnly === 'true') {
-      userNotifications = userNotifications.filter(n => !n.read);
+      filter.read = false;
     }
 
     // Sort by date (newest first)
-    userNotifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    // Paginate
-    const total = userNotifications.length;
-    const paginatedNotifications = userNotifications.slice(skip, skip + parseInt(limit));
+    const [paginatedNotifications, total] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Notification.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
@@ -55,9 +57,9 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.put('/:id/read', auth, async (req, res) => {
   try {
-    const notification = notifications.find(n => 
-      n.id === req.params.id && n.userId === req.user._id.toString()
-    );
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
 
     if (!notification) {
       return res.status(404).json({
@@ -66,8 +68,7 @@ router.put('/:id/read', auth, async (req, res) => {
       });
     }
 
-    notification.read = true;
-    notification.readAt = new Date();
+    await notification.markAsRead();
 
     res.json({
       success: true,
@@ -88,17 +89,15 @@ router.put('/:id/read', auth, async (req, res) => {
 // @access  Private
 router.put('/read-all', auth, async (req, res) => {
   try {
-    const userNotifications = notifications.filter(n => n.userId === req.user._id.toString());
-    
-    userNotifications.forEach(notification => {
-      notification.read = true;
-      notification.readAt = new Date();
-    });
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
 
     res.json({
       success: true,
       message: 'All notifications marked as read',
-      data: { count: userNotifications.length }
+      data: { count: result.modifiedCount }
     });
   } catch (error) {
     console.error('Mark all notifications read error:', error);
@@ -109,30 +108,20 @@ router.put('/read-all', auth, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/notifications/:id
-// @desc    Delete notification
+// @route   DELETE /api/notifications/clear-all
+// @desc    Clear all notifications
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/clear-all', auth, async (req, res) => {
   try {
-    const notificationIndex = notifications.findIndex(n => 
-      n.id === req.params.id && n.userId === req.user._id.toString()
-    );
-
-    if (notificationIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Notification not found'
-      });
-    }
-
-    notifications.splice(notificationIndex, 1);
+    const { deletedCount } = await Notification.deleteMany({ user: req.user._id });
 
     res.json({
       success: true,
-      message: 'Notification deleted successfully'
+      message: 'All notifications cleared',
+      data: { deletedCount }
     });
   } catch (error) {
-    console.error('Delete notification error:', error);
+    console.error('Clear all notifications error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -140,22 +129,28 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/notifications/clear-all
-// @desc    Clear all notifications
+// @route   DELETE /api/notifications/:id
+// @desc    Delete notification
 // @access  Private
-router.delete('/clear-all', auth, async (req, res) => {
+router.delete('/:id', auth, async (req, res) => {
   try {
-    const initialCount = notifications.length;
-    notifications = notifications.filter(n => n.userId !== req.user._id.toString());
-    const deletedCount = initialCount - notifications.length;
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'All notifications cleared',
-      data: { deletedCount }
+      message: 'Notification deleted successfully'
     });
   } catch (error) {
-    console.error('Clear all notifications error:', error);
+    console.error('Delete notification error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -168,9 +163,10 @@ router.delete('/clear-all', auth, async (req, res) => {
 // @access  Private
 router.get('/unread-count', auth, async (req, res) => {
   try {
-    const unreadCount = notifications.filter(n => 
-      n.userId === req.user._id.toString() && !n.read
-    ).length;
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      read: false
+    });
 
     res.json({
       success: true,
@@ -185,22 +181,5 @@ router.get('/unread-count', auth, async (req, res) => {
   }
 });
 
-// Helper function to create notification (used by other parts of the app)
-const createNotification = (userId, type, title, message, data = {}) => {
-  const notification = {
-    id: `notif_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    userId,
-    type,
-    title,
-    message,
-    data,
-    read: false,
-    createdAt: new Date()
-  };
-
-  notifications.push(notification);
-  return notification;
-};
-
 // Export the helper function
-module.exports = { router, createNotification }; 
\ No newline at end of file
+module.exports = { router, createNotification };
\ No newline at end of file
@@ -0,0 +1,47 @@
+const express = require('express');
+const { getPayoutProvider } = require('../services/payouts');
+const { handleProviderEvent } = require('../services/paymentEvents');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payout and charge events from the payment provider
+// @access  Public (signature verified)
+router.post('/', async (req, res) => {
+  let event;
+
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing request body'
+      });
+    }
+
+    event = getPayoutProvider().parseWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message,
+      code: error.code || 'INVALID_WEBHOOK'
+    });
+  }
+
+  try {
+    const result = await handleProviderEvent(event);
+
+    res.json({
+      success: true,
+      data: { received: true, ...result }
+    });
+  } catch (error) {
+    // A 5xx makes the provider retry delivery later
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,103 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const Job = require('../models/Job');
-const { auth } = require('../middleware/auth');
+const Timesheet = require('../models/Timesheet');
+const { auth, adminAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const eventBus = require('../services/eventBus');
+const escrowService = require('../services/escrowService');
+const withdrawalService = require('../services/withdrawalService');
+const withdrawalPolicy = require('../services/withdrawalPolicy');
+const ledger = require('../services/ledger');
+const payCalculator = require('../services/payCalculator');
+const jobLifecycle = require('../services/jobLifecycle');
+const currencyService = require('../services/currency');
+const config = require('../../config');
 
 const router = express.Router();
 
+const currencyValidator = (location, field) => location(field)
+  .optional()
+  .isIn(config.currency.supported)
+  .withMessage(`Currency must be one of ${config.currency.supported.join(', ')}`);
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @route   GET /api/payments/rates
+// @desc    Get the currency conversion rates table
+// @access  Private
+router.get('/rates', auth, async (req, res) => {
+  try {
+    const { base, rates, updatedAt } = currencyService.getRates();
+
+    res.json({
+      success: true,
+      data: { base, rates, updatedAt }
+    });
+  } catch (error) {
+    console.error('Get rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/payments/wallet
 // @desc    Get user's wallet information
 // @access  Private
-router.get('/wallet', auth, async (req, res) => {
+router.get('/wallet', auth, [
+  currencyValidator(query, 'currency')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.user._id)
-      .select('wallet paymentMethods');
+      .select('wallet paymentMethods preferences');
+
+    const displayCurrency = user.preferences.currency;
+
+    // One sub-balance per supported currency, each also shown in the display currency
+    const balances = config.currency.supported.map(currency => {
+      return currencyService.withDisplay(user.getWalletBalance(currency), currency, displayCurrency);
+    });
+
+    const total = Math.round(balances.reduce((sum, balance) => sum + balance.displayAmount, 0) * 100) / 100;
+
+    // Withdrawal availability for the requested currency
+    const withdrawal = await withdrawalPolicy.getAvailability(user, req.query.currency || displayCurrency);
 
     res.json({
       success: true,
       data: {
-        wallet: user.wallet,
+        wallet: {
+          balances,
+          total,
+          displayCurrency
+        },
+        withdrawal,
         paymentMethods: user.paymentMethods
       }
     });
@@ -34,9 +113,21 @@ router.get('/wallet', auth, async (req, res) => {
 // @route   GET /api/payments/transactions
 // @desc    Get user's transaction history
 // @access  Private
-router.get('/transactions', auth, async (req, res) => {
+router.get('/transactions', auth, [
+  currencyValidator(query, 'currency'),
+  currencyValidator(query, 'displayCurrency')
+], async (req, res) => {
   try {
-    const { type, status, page = 1, limit = 20 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type, status, currency, page = 1, limit = 20 } = req.query;
+    const displayCurrency = req.query.displayCurrency || req.user.preferences.currency;
     const skip = (page - 1) * limit;
 
     const filter = { user: req.user._id };
@@ -49,20 +140,34 @@ router.get('/transactions', auth, async (req, res) => {
       filter.status = status;
     }
 
+    if (currency) {
+      filter.currency = currency;
+    }
+
     const [transactions, total] = await Promise.all([
       Transaction.find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .populate('job', 'title companyName')
+        .populate('timesheet', 'status approvedMinutes reportedAmount payout')
         .lean(),
       Transaction.countDocuments(filter)
     ]);
 
+    // Amounts stay in their original currency; display values are added alongside
+    transactions.forEach(transaction => {
+      transaction.display = {
+        amount: currencyService.convert(transaction.amount, transaction.currency, displayCurrency),
+        currency: displayCurrency
+      };
+    });
+
     res.json({
       success: true,
       data: {
         transactions,
+        displayCurrency,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -83,13 +188,15 @@ router.get('/transactions', auth, async (req, res) => {
 // @route   POST /api/payments/withdraw
 // @desc    Withdraw money from wallet
 // @access  Private
-router.post('/withdraw', auth, [
+router.post('/withdraw', auth, idempotency, [
   body('amount')
-    .isFloat({ min: 1 })
-    .withMessage('Amount must be at least 1'),
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
   body('paymentMethodId')
     .notEmpty()
-    .withMessage('Payment method is required')
+    .withMessage('Payment method is required'),
+  currencyValidator(body, 'currency')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -103,14 +210,8 @@ router.post('/withdraw', auth, [
     const { amount, paymentMethodId } = req.body;
 
     const user = await User.findById(req.user._id);
-    
-    // Check if user has sufficient balance
-    if (user.wallet.balance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance'
-      });
-    }
+    const currency = req.body.currency || user.preferences.currency;
+    const displayCurrency = user.preferences.currency;
 
     // Check if payment method exists
     const paymentMethod = user.paymentMethods.id(paymentMethodId);
@@ -121,34 +222,37 @@ router.post('/withdraw', auth, [
       });
     }
 
-    // Create withdrawal transaction
-    const transaction = await Transaction.createTransaction({
-      user: req.user._id,
-      type: 'withdrawal',
-      amount: -amount, // Negative for withdrawal
-      currency: user.wallet.currency,
-      description: `Withdrawal to ${paymentMethod.name}`,
-      paymentMethod: paymentMethodId,
-      status: 'pending'
-    });
+    // Create withdrawal transaction after checking limits, holds and
+    // verification; throws a coded error when refused
+    const transaction = await withdrawalService.requestWithdrawal(user, amount, currency, paymentMethod);
+    const display = currencyService.withDisplay(amount, currency, displayCurrency);
+
+    if (transaction.review.required) {
+      return res.json({
+        success: true,
+        message: 'Withdrawal is pending manual review',
+        code: 'WITHDRAWAL_UNDER_REVIEW',
+        data: { transaction, display }
+      });
+    }
 
-    // TODO: Integrate with Stripe or other payment processor
-    // For now, we'll simulate the withdrawal process
-    setTimeout(async () => {
-      try {
-        await transaction.process();
-      } catch (error) {
-        console.error('Withdrawal processing error:', error);
-        await transaction.fail('Processing failed');
-      }
-    }, 2000);
+    // Settled later through the payment webhook unless the provider fails outright
+    const payout = await withdrawalService.startPayout(transaction, user, paymentMethod);
 
     res.json({
       success: true,
       message: 'Withdrawal initiated successfully',
-      data: { transaction }
+      data: { transaction: payout, display }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Withdraw error:', error);
     res.status(500).json({
       success: false,
@@ -157,10 +261,121 @@ router.post('/withdraw', auth, [
   }
 });
 
+// @route   GET /api/payments/withdrawals/review
+// @desc    Get withdrawals waiting for manual review, oldest first
+// @access  Private (admin only)
+router.get('/withdrawals/review', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      type: 'withdrawal',
+      status: 'pending',
+      'review.required': true,
+      'review.decision': null
+    };
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'firstName lastName email isVerified createdAt')
+        .lean(),
+      Transaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get withdrawals for review');
+  }
+});
+
+// @route   POST /api/payments/withdrawals/:id/approve
+// @desc    Approve a flagged withdrawal and start the payout
+// @access  Private (admin only)
+router.post('/withdrawals/:id/approve', adminAuth, idempotency, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid withdrawal ID'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await withdrawalService.approveWithdrawal(req.params.id, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: transaction.status === 'failed'
+        ? 'Withdrawal approved but the payout failed'
+        : 'Withdrawal approved and payout initiated',
+      data: { transaction }
+    });
+  } catch (error) {
+    handleError(res, error, 'Approve withdrawal');
+  }
+});
+
+// @route   POST /api/payments/withdrawals/:id/reject
+// @desc    Reject a flagged withdrawal and return the funds to the wallet
+// @access  Private (admin only)
+router.post('/withdrawals/:id/reject', adminAuth, idempotency, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid withdrawal ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await withdrawalService.rejectWithdrawal(req.params.id, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Withdrawal rejected and funds returned to the wallet',
+      data: { transaction }
+    });
+  } catch (error) {
+    handleError(res, error, 'Reject withdrawal');
+  }
+});
+
 // @route   POST /api/payments/add-payment-method
 // @desc    Add a new payment method
 // @access  Private
-router.post('/add-payment-method', auth, [
+router.post('/add-payment-method', auth, idempotency, [
   body('type')
     .isIn(['card', 'bank'])
     .withMessage('Type must be card or bank'),
@@ -232,7 +447,7 @@ router.post('/add-payment-method', auth, [
 // @route   PUT /api/payments/payment-method/:id
 // @desc    Update payment method
 // @access  Private
-router.put('/payment-method/:id', auth, [
+router.put('/payment-method/:id', auth, idempotency, [
   body('name')
     .optional()
     .trim()
@@ -299,7 +514,7 @@ router.put('/payment-method/:id', auth, [
 // @route   DELETE /api/payments/payment-method/:id
 // @desc    Remove payment method
 // @access  Private
-router.delete('/payment-method/:id', auth, async (req, res) => {
+router.delete('/payment-method/:id', auth, idempotency, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     const paymentMethod = user.paymentMethods.id(req.params.id);
@@ -348,10 +563,23 @@ router.delete('/payment-method/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/payments/complete-job/:jobId
-// @desc    Complete job and process payment
+// @desc    Complete a worker's part of the job and pay them
 // @access  Private
-router.post('/complete-job/:jobId', auth, async (req, res) => {
+router.post('/complete-job/:jobId', auth, idempotency, [
+  body('workerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid worker id')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const job = await Job.findById(req.params.jobId);
     
     if (!job) {
@@ -369,55 +597,84 @@ router.post('/complete-job/:jobId', auth, async (req, res) => {
       });
     }
 
-    // Check if job is in progress
-    if (job.status !== 'in_progress') {
+    // Hired workers of a partly filled job can be completed too
+    if (!['active', 'in_progress'].includes(job.status)) {
       return res.status(400).json({
         success: false,
         message: 'Job must be in progress to complete'
       });
     }
 
-    // Complete the job
-    job.status = 'completed';
-    job.completion.completedAt = new Date();
-    await job.save();
-
-    // Create payment transaction for worker
-    const paymentAmount = job.pay.amount;
-    const transaction = await Transaction.createTransaction({
-      user: job.selectedWorker,
-      type: 'earned',
-      amount: paymentAmount,
-      currency: job.pay.currency,
-      description: `${job.title} - ${job.companyName}`,
-      job: job._id,
-      status: 'completed'
-    });
+    // The worker to complete; optional when only one is still on the job
+    const activeAssignments = job.getActiveAssignments();
+    const assignment = req.body.workerId
+      ? activeAssignments.find(item => item.worker.toString() === req.body.workerId)
+      : activeAssignments.length === 1 ? activeAssignments[0] : null;
 
-    // Update job payment status
-    job.payment.status = 'paid';
-    job.payment.paidAt = new Date();
-    job.payment.amount = paymentAmount;
-    job.payment.transactionId = transaction._id;
-    await job.save();
-
-    // Update user stats
-    const worker = await User.findById(job.selectedWorker);
-    if (worker) {
-      worker.stats.completedJobs += 1;
-      worker.stats.totalEarnings += paymentAmount;
-      await worker.save();
+    if (!assignment) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.workerId
+          ? 'This worker is not on the job'
+          : 'Specify workerId for the worker to complete',
+        code: 'WORKER_REQUIRED'
+      });
     }
 
+    // Hourly and commission jobs are paid from the approved timesheet
+    const timesheet = payCalculator.requiresTimesheet(job)
+      ? await Timesheet.findOne({ job: job._id, worker: assignment.worker })
+      : null;
+
+    // Release escrowed pay to the worker, and complete the job once the
+    // last worker is done, atomically
+    const { transaction, feeTransaction, fee, payout } = await ledger.withTransaction(async (session) => {
+      job.$session(session);
+
+      const release = await escrowService.releaseFunds(job, assignment, session, timesheet);
+
+      assignment.status = 'completed';
+      assignment.completion.completedAt = new Date();
+      assignment.endedAt = assignment.completion.completedAt;
+      jobLifecycle.completeIfFinished(job, { actor: req.user._id });
+      await job.save();
+
+      // Update user stats; earnings are totalled in the base currency
+      await User.updateOne(
+        { _id: assignment.worker },
+        { $inc: { 'stats.completedJobs': 1, 'stats.totalEarnings': currencyService.toBase(release.fee.net, job.pay.currency) } },
+        { session }
+      );
+
+      return release;
+    });
+    job.$session(null);
+    jobLifecycle.publish(job);
+
+    eventBus.emit('job:completed', { job, transaction, fee });
+
     res.json({
       success: true,
       message: 'Job completed and payment processed successfully',
       data: {
         job,
-        transaction
+        assignment,
+        transaction,
+        feeTransaction,
+        fee,
+        payout,
+        timesheet: timesheet ? timesheet.getSummary() : null
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('Complete job error:', error);
     res.status(500).json({
       success: false,
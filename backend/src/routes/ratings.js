@@ -3,13 +3,92 @@ const { body, validationResult } = require('express-validator');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const eventBus = require('../services/eventBus');
 
 const router = express.Router();
 
-// @route   POST /api/ratings/:jobId
-// @desc    Rate a completed job
-// @access  Private
-router.post('/:jobId', auth, [
+// The assignment a rating belongs to. A worker rates the employer through
+// their own assignment; an employer who hired several workers picks one
+// with workerId. Ratings are stored on the assignment under the rater's
+// side: employerRating is the employer's rating of the worker.
+const findRatedAssignment = (job, user, workerId, action) => {
+  const isEmployer = job.employer.toString() === user._id.toString();
+
+  if (isEmployer) {
+    const completed = job.assignments.filter(item => item.status === 'completed');
+    const assignment = workerId
+      ? completed.find(item => item.worker.toString() === workerId)
+      : completed.length === 1 ? completed[0] : null;
+
+    if (!assignment) {
+      throw createError(400, workerId
+        ? 'This worker has not completed the job'
+        : 'Specify workerId for the worker to rate', 'WORKER_REQUIRED');
+    }
+
+    return { assignment, isEmployer, field: 'employerRating' };
+  }
+
+  const assignment = job.getAssignment(user._id);
+  if (!assignment) {
+    throw createError(403, `Not authorized to ${action} this job`);
+  }
+
+  if (assignment.status !== 'completed') {
+    throw createError(400, 'Can only rate completed jobs');
+  }
+
+  return { assignment, isEmployer, field: 'workerRating' };
+};
+
+// Recalculate a worker's average from the ratings employers gave them
+const updateWorkerRating = async (workerId) => {
+  const [result] = await Job.aggregate([
+    { $unwind: '$assignments' },
+    {
+      $match: {
+        'assignments.worker': workerId,
+        'assignments.completion.employerRating.rating': { $exists: true, $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        sum: { $sum: '$assignments.completion.employerRating.rating' }
+      }
+    }
+  ]);
+
+  const totalReviews = result ? result.total : 0;
+  const averageRating = totalReviews > 0
+    ? Math.round(result.sum / totalReviews * 10) / 10 // Round to 1 decimal
+    : 0;
+
+  await User.updateOne(
+    { _id: workerId },
+    { 'stats.averageRating': averageRating, 'stats.totalReviews': totalReviews }
+  );
+};
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+const ratingValidation = [
   body('rating')
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
@@ -17,8 +96,17 @@ router.post('/:jobId', auth, [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Review must be less than 1000 characters')
-], async (req, res) => {
+    .withMessage('Review must be less than 1000 characters'),
+  body('workerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid worker id')
+];
+
+// @route   POST /api/ratings/:jobId
+// @desc    Rate a completed job
+// @access  Private
+router.post('/:jobId', auth, ratingValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -28,9 +116,9 @@ router.post('/:jobId', auth, [
       });
     }
 
-    const { rating, review } = req.body;
+    const { rating, review, workerId } = req.body;
     const job = await Job.findById(req.params.jobId);
-    
+
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -38,31 +126,10 @@ router.post('/:jobId', auth, [
       });
     }
 
-    // Check if job is completed
-    if (job.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only rate completed jobs'
-      });
-    }
-
-    // Check if user is involved in the job
-    const isEmployer = job.employer.toString() === req.user._id.toString();
-    const isWorker = job.selectedWorker.toString() === req.user._id.toString();
-
-    if (!isEmployer && !isWorker) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to rate this job'
-      });
-    }
+    const { assignment, isEmployer, field } = findRatedAssignment(job, req.user, workerId, 'rate');
 
     // Check if user has already rated
-    const existingRating = isEmployer 
-      ? job.completion.employerRating.rating 
-      : job.completion.workerRating.rating;
-
-    if (existingRating) {
+    if (assignment.completion[field].rating) {
       return res.status(400).json({
         success: false,
         message: 'You have already rated this job'
@@ -70,60 +137,44 @@ router.post('/:jobId', auth, [
     }
 
     // Add rating
-    if (isEmployer) {
-      job.completion.employerRating = {
-        rating,
-        review,
-        ratedAt: new Date()
-      };
-    } else {
-      job.completion.workerRating = {
-        rating,
-        review,
-        ratedAt: new Date()
-      };
-    }
+    assignment.completion[field] = {
+      rating,
+      review,
+      ratedAt: new Date()
+    };
 
     await job.save();
 
     // Update user stats if rating is for worker
     if (isEmployer) {
-      const worker = await User.findById(job.selectedWorker);
-      if (worker) {
-        // Calculate new average rating
-        const totalRatings = worker.stats.totalReviews + 1;
-        const totalRatingSum = (worker.stats.averageRating * worker.stats.totalReviews) + rating;
-        const newAverageRating = totalRatingSum / totalRatings;
-
-        worker.stats.averageRating = Math.round(newAverageRating * 10) / 10; // Round to 1 decimal
-        worker.stats.totalReviews = totalRatings;
-        await worker.save();
-      }
+      await updateWorkerRating(assignment.worker);
     }
 
+    eventBus.emit('rating:received', {
+      job,
+      userId: isEmployer ? assignment.worker : job.employer,
+      rating
+    });
+
     res.json({
       success: true,
       message: 'Rating submitted successfully',
       data: { job }
     });
   } catch (error) {
-    console.error('Submit rating error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    handleError(res, error, 'Submit rating');
   }
 });
 
 // @route   GET /api/ratings/job/:jobId
-// @desc    Get ratings for a specific job
+// @desc    Get ratings for a specific job, one entry per hired worker
 // @access  Public
 router.get('/job/:jobId', async (req, res) => {
   try {
     const job = await Job.findById(req.params.jobId)
-      .select('completion employer selectedWorker')
+      .select('assignments employer')
       .populate('employer', 'firstName lastName avatar')
-      .populate('selectedWorker', 'firstName lastName avatar');
+      .populate('assignments.worker', 'firstName lastName avatar');
 
     if (!job) {
       return res.status(404).json({
@@ -132,16 +183,17 @@ router.get('/job/:jobId', async (req, res) => {
       });
     }
 
-    const ratings = {
-      employerRating: job.completion.employerRating,
-      workerRating: job.completion.workerRating,
-      employer: job.employer,
-      worker: job.selectedWorker
-    };
+    const ratings = job.assignments
+      .filter(item => item.status === 'completed')
+      .map(item => ({
+        worker: item.worker,
+        employerRating: item.completion.employerRating,
+        workerRating: item.completion.workerRating
+      }));
 
     res.json({
       success: true,
-      data: { ratings }
+      data: { employer: job.employer, ratings }
     });
   } catch (error) {
     console.error('Get job ratings error:', error);
@@ -161,33 +213,42 @@ router.get('/user/:userId', async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Find jobs where user was rated (as worker)
-    const jobs = await Job.find({
-      selectedWorker: req.params.userId,
-      'completion.workerRating.rating': { $exists: true, $ne: null }
-    })
-      .sort({ 'completion.workerRating.ratedAt': -1 })
+    const filter = {
+      assignments: {
+        $elemMatch: {
+          worker: req.params.userId,
+          'completion.employerRating.rating': { $exists: true, $ne: null }
+        }
+      }
+    };
+
+    const jobs = await Job.find(filter)
+      .sort({ 'assignments.completion.employerRating.ratedAt': -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .populate('employer', 'firstName lastName avatar')
-      .select('title companyName completion.workerRating date')
+      .select('title companyName assignments date')
       .lean();
 
-    const total = await Job.countDocuments({
-      selectedWorker: req.params.userId,
-      'completion.workerRating.rating': { $exists: true, $ne: null }
+    const total = await Job.countDocuments(filter);
+
+    const ratings = jobs.map(job => {
+      const { employerRating } = job.assignments.find(
+        item => item.worker.toString() === req.params.userId
+      ).completion;
+
+      return {
+        id: job._id,
+        jobTitle: job.title,
+        companyName: job.companyName,
+        rating: employerRating.rating,
+        review: employerRating.review,
+        ratedAt: employerRating.ratedAt,
+        jobDate: job.date,
+        employer: job.employer
+      };
     });
 
-    const ratings = jobs.map(job => ({
-      id: job._id,
-      jobTitle: job.title,
-      companyName: job.companyName,
-      rating: job.completion.workerRating.rating,
-      review: job.completion.workerRating.review,
-      ratedAt: job.completion.workerRating.ratedAt,
-      jobDate: job.date,
-      employer: job.employer
-    }));
-
     res.json({
       success: true,
       data: {
@@ -212,16 +273,7 @@ router.get('/user/:userId', async (req, res) => {
 // @route   PUT /api/ratings/:jobId
 // @desc    Update existing rating
 // @access  Private
-router.put('/:jobId', auth, [
-  body('rating')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5'),
-  body('review')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Review must be less than 1000 characters')
-], async (req, res) => {
+router.put('/:jobId', auth, ratingValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -231,9 +283,9 @@ router.put('/:jobId', auth, [
       });
     }
 
-    const { rating, review } = req.body;
+    const { rating, review, workerId } = req.body;
     const job = await Job.findById(req.params.jobId);
-    
+
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -241,23 +293,10 @@ router.put('/:jobId', auth, [
       });
     }
 
-    // Check if user is involved in the job
-    const isEmployer = job.employer.toString() === req.user._id.toString();
-    const isWorker = job.selectedWorker.toString() === req.user._id.toString();
-
-    if (!isEmployer && !isWorker) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update rating for this job'
-      });
-    }
-
-    // Check if user has already rated
-    const existingRating = isEmployer 
-      ? job.completion.employerRating.rating 
-      : job.completion.workerRating.rating;
+    const { assignment, isEmployer, field } = findRatedAssignment(job, req.user, workerId, 'update rating for');
+    const existingRating = assignment.completion[field];
 
-    if (!existingRating) {
+    if (!existingRating.rating) {
       return res.status(400).json({
         success: false,
         message: 'No existing rating to update'
@@ -265,40 +304,17 @@ router.put('/:jobId', auth, [
     }
 
     // Update rating
-    if (isEmployer) {
-      job.completion.employerRating.rating = rating;
-      if (review !== undefined) {
-        job.completion.employerRating.review = review;
-      }
-      job.completion.employerRating.ratedAt = new Date();
-    } else {
-      job.completion.workerRating.rating = rating;
-      if (review !== undefined) {
-        job.completion.workerRating.review = review;
-      }
-      job.completion.workerRating.ratedAt = new Date();
+    existingRating.rating = rating;
+    if (review !== undefined) {
+      existingRating.review = review;
     }
+    existingRating.ratedAt = new Date();
 
     await job.save();
 
     // Update user stats if rating is for worker
     if (isEmployer) {
-      const worker = await User.findById(job.selectedWorker);
-      if (worker) {
-        // Recalculate average rating
-        const jobs = await Job.find({
-          selectedWorker: job.selectedWorker,
-          'completion.workerRating.rating': { $exists: true, $ne: null }
-        });
-
-        const totalRatings = jobs.length;
-        const totalRatingSum = jobs.reduce((sum, j) => sum + j.completion.workerRating.rating, 0);
-        const newAverageRating = totalRatingSum / totalRatings;
-
-        worker.stats.averageRating = Math.round(newAverageRating * 10) / 10;
-        worker.stats.totalReviews = totalRatings;
-        await worker.save();
-      }
+      await updateWorkerRating(assignment.worker);
     }
 
     res.json({
@@ -307,45 +323,40 @@ router.put('/:jobId', auth, [
       data: { job }
     });
   } catch (error) {
-    console.error('Update rating error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    handleError(res, error, 'Update rating');
   }
 });
 
 // @route   DELETE /api/ratings/:jobId
 // @desc    Delete rating
 // @access  Private
-router.delete('/:jobId', auth, async (req, res) => {
+router.delete('/:jobId', auth, [
+  body('workerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid worker id')
+], async (req, res) => {
   try {
-    const job = await Job.findById(req.params.jobId);
-    
-    if (!job) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Job not found'
+        errors: errors.array()
       });
     }
 
-    // Check if user is involved in the job
-    const isEmployer = job.employer.toString() === req.user._id.toString();
-    const isWorker = job.selectedWorker.toString() === req.user._id.toString();
+    const job = await Job.findById(req.params.jobId);
 
-    if (!isEmployer && !isWorker) {
-      return res.status(403).json({
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to delete rating for this job'
+        message: 'Job not found'
       });
     }
 
-    // Check if user has rated
-    const existingRating = isEmployer 
-      ? job.completion.employerRating.rating 
-      : job.completion.workerRating.rating;
+    const { assignment, isEmployer, field } = findRatedAssignment(job, req.user, req.body.workerId, 'delete rating for');
 
-    if (!existingRating) {
+    if (!assignment.completion[field].rating) {
       return res.status(400).json({
         success: false,
         message: 'No rating to delete'
@@ -353,35 +364,13 @@ router.delete('/:jobId', auth, async (req, res) => {
     }
 
     // Delete rating
-    if (isEmployer) {
-      job.completion.employerRating = {};
-    } else {
-      job.completion.workerRating = {};
-    }
+    assignment.completion[field] = {};
 
     await job.save();
 
     // Update user stats if rating was for worker
     if (isEmployer) {
-      const worker = await User.findById(job.selectedWorker);
-      if (worker) {
-        // Recalculate average rating
-        const jobs = await Job.find({
-          selectedWorker: job.selectedWorker,
-          'completion.workerRating.rating': { $exists: true, $ne: null }
-        });
-
-        const totalRatings = jobs.length;
-        if (totalRatings > 0) {
-          const totalRatingSum = jobs.reduce((sum, j) => sum + j.completion.workerRating.rating, 0);
-          const newAverageRating = totalRatingSum / totalRatings;
-          worker.stats.averageRating = Math.round(newAverageRating * 10) / 10;
-        } else {
-          worker.stats.averageRating = 0;
-        }
-        worker.stats.totalReviews = totalRatings;
-        await worker.save();
-      }
+      await updateWorkerRating(assignment.worker);
     }
 
     res.json({
@@ -390,12 +379,8 @@ router.delete('/:jobId', auth, async (req, res) => {
       data: { job }
     });
   } catch (error) {
-    console.error('Delete rating error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    handleError(res, error, 'Delete rating');
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
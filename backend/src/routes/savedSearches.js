@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const JobMatch = require('../models/JobMatch');
+const { auth } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const jobValidation = require('../middleware/jobValidation');
+const jobFilters = require('../services/jobFilters');
+const jobAlerts = require('../services/jobAlerts');
+const config = require('../../config');
+
+const router = express.Router();
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// Saved search owned by the current user
+const findOwnSearch = async (id, userId) => {
+  const search = await SavedSearch.findById(id);
+
+  if (!search || search.user.toString() !== userId.toString()) {
+    throw createError(404, 'Saved search not found');
+  }
+
+  return search;
+};
+
+const assertNameFree = async (user, name, searchId) => {
+  const existing = await SavedSearch.findOne({ user, name }).select('_id').lean();
+
+  if (existing && (!searchId || existing._id.toString() !== searchId.toString())) {
+    throw createError(409, `A saved search named "${name}" already exists`, 'SAVED_SEARCH_EXISTS');
+  }
+};
+
+// The job search parameters of a request body; paging and sorting are
+// not part of a saved search
+const searchQuery = (query = {}) => {
+  const picked = {};
+
+  jobFilters.FILTER_PARAMS.forEach(param => {
+    if (query[param] !== undefined && query[param] !== '') {
+      picked[param] = query[param];
+    }
+  });
+
+  if (Object.keys(picked).length === 0) {
+    throw createError(400, 'A saved search needs at least one filter', 'SAVED_SEARCH_EMPTY');
+  }
+
+  return picked;
+};
+
+const searchValidation = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  (optional ? body('query').optional() : body('query'))
+    .isObject()
+    .withMessage('Query must be an object of job search parameters'),
+  ...jobValidation.filterFields(name => body(`query.${name}`)),
+  body('frequency')
+    .optional()
+    .isIn(SavedSearch.FREQUENCIES)
+    .withMessage(`Frequency must be one of ${SavedSearch.FREQUENCIES.join(', ')}`),
+  body('muted')
+    .optional()
+    .isBoolean()
+    .withMessage('Muted must be a boolean')
+    .toBoolean()
+];
+
+// @route   GET /api/saved-searches
+// @desc    Get the current user's saved searches
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: { searches }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get saved searches');
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a job search to be alerted about new matches
+// @access  Private
+router.post('/', auth, searchValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = searchQuery(req.body.query);
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= config.jobAlerts.maxSavedSearches) {
+      throw createError(
+        400,
+        `You can save up to ${config.jobAlerts.maxSavedSearches} searches`,
+        'SAVED_SEARCH_LIMIT'
+      );
+    }
+
+    await assertNameFree(req.user._id, req.body.name);
+
+    const search = new SavedSearch({
+      user: req.user._id,
+      name: req.body.name,
+      query,
+      frequency: req.body.frequency,
+      muted: req.body.muted
+    });
+    await search.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: { search }
+    });
+  } catch (error) {
+    handleError(res, error, 'Create saved search');
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Rename, change the query, mute or change the alert frequency
+// @access  Private (search owner only)
+router.put('/:id', auth, searchValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const search = await findOwnSearch(req.params.id, req.user._id);
+
+    if (req.body.name !== undefined) {
+      await assertNameFree(req.user._id, req.body.name, search._id);
+      search.name = req.body.name;
+    }
+    if (req.body.query !== undefined) {
+      search.query = searchQuery(req.body.query);
+    }
+    if (req.body.muted !== undefined) {
+      search.muted = req.body.muted;
+    }
+
+    // Matches waiting for a digest move to the new schedule
+    if (req.body.frequency !== undefined && req.body.frequency !== search.frequency) {
+      search.frequency = req.body.frequency;
+      await JobMatch.updateMany(
+        { savedSearch: search._id, 'email.status': 'pending' },
+        { $set: { 'email.dueAt': jobAlerts.nextDigestAt(search.frequency) } }
+      );
+    }
+
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: { search }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update saved search');
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search and drop its unsent alerts
+// @access  Private (search owner only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const search = await findOwnSearch(req.params.id, req.user._id);
+
+    await JobMatch.deleteMany({ savedSearch: search._id, 'email.status': 'pending' });
+    await search.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete saved search');
+  }
+});
+
+module.exports = router;
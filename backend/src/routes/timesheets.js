@@ -0,0 +1,534 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const Timesheet = require('../models/Timesheet');
+const { auth } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const eventBus = require('../services/eventBus');
+const payCalculator = require('../services/payCalculator');
+
+const router = express.Router();
+
+// Job the current user works on, ready for time tracking
+const findWorkerJob = async (jobId, userId) => {
+  const job = await Job.findById(jobId);
+
+  if (!job) {
+    throw createError(404, 'Job not found');
+  }
+
+  const assignment = job.getAssignment(userId);
+  if (!assignment || assignment.status !== 'active') {
+    throw createError(403, 'Only a hired worker can track time for this job');
+  }
+
+  if (!payCalculator.requiresTimesheet(job)) {
+    throw createError(400, 'Fixed-pay jobs do not use timesheets', 'TIMESHEET_NOT_REQUIRED');
+  }
+
+  // A partly filled job is still active while hired workers start
+  if (!['active', 'in_progress'].includes(job.status)) {
+    throw createError(400, 'Job must be in progress to track time', 'JOB_NOT_IN_PROGRESS');
+  }
+
+  return job;
+};
+
+// Worker's timesheet that is still open for time tracking
+const findOpenTimesheet = async (job, userId) => {
+  const timesheet = await Timesheet.findOne({ job: job._id, worker: userId });
+
+  if (timesheet && timesheet.status !== 'open') {
+    throw createError(409, 'Timesheet has already been submitted', 'TIMESHEET_LOCKED');
+  }
+
+  return timesheet;
+};
+
+// Timesheet by id, checked against the party acting on it
+const findTimesheet = async (id, userId, party) => {
+  const timesheet = await Timesheet.findById(id);
+
+  if (!timesheet) {
+    throw createError(404, 'Timesheet not found');
+  }
+
+  if (timesheet[party].toString() !== userId.toString()) {
+    throw createError(403, `Only the ${party} can do this`);
+  }
+
+  return timesheet;
+};
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @route   GET /api/timesheets/job/:jobId
+// @desc    Get the worker's timesheet for a job; employers get every
+//          worker's timesheet, or one with ?workerId=
+// @access  Private (worker or employer)
+router.get('/job/:jobId', auth, [
+  query('workerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid worker id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const isEmployer = job.employer.toString() === req.user._id.toString();
+    const isWorker = Boolean(job.getAssignment(req.user._id));
+
+    if (!isEmployer && !isWorker) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this timesheet'
+      });
+    }
+
+    if (isEmployer && !req.query.workerId) {
+      const timesheets = await Timesheet.find({ job: job._id }).sort({ createdAt: 1 });
+
+      return res.json({
+        success: true,
+        data: { timesheets: timesheets.map(timesheet => timesheet.getSummary()) }
+      });
+    }
+
+    const worker = isEmployer ? req.query.workerId : req.user._id;
+    const timesheet = await Timesheet.findOne({ job: job._id, worker });
+
+    res.json({
+      success: true,
+      data: { timesheet: timesheet ? timesheet.getSummary() : null }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get timesheet');
+  }
+});
+
+// @route   POST /api/timesheets/job/:jobId/clock-in
+// @desc    Start a shift
+// @access  Private (hired worker)
+router.post('/job/:jobId/clock-in', auth, async (req, res) => {
+  try {
+    const job = await findWorkerJob(req.params.jobId, req.user._id);
+    let timesheet = await findOpenTimesheet(job, req.user._id);
+
+    if (!timesheet) {
+      timesheet = new Timesheet({
+        job: job._id,
+        worker: req.user._id,
+        employer: job.employer
+      });
+    }
+
+    if (timesheet.getOpenShift()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already clocked in',
+        code: 'ALREADY_CLOCKED_IN'
+      });
+    }
+
+    timesheet.shifts.push({ clockIn: new Date() });
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Clocked in',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'Clock in');
+  }
+});
+
+// @route   POST /api/timesheets/job/:jobId/clock-out
+// @desc    End the current shift
+// @access  Private (hired worker)
+router.post('/job/:jobId/clock-out', auth, async (req, res) => {
+  try {
+    const job = await findWorkerJob(req.params.jobId, req.user._id);
+    const timesheet = await findOpenTimesheet(job, req.user._id);
+    const shift = timesheet && timesheet.getOpenShift();
+
+    if (!shift) {
+      return res.status(409).json({
+        success: false,
+        message: 'Not clocked in',
+        code: 'NOT_CLOCKED_IN'
+      });
+    }
+
+    const now = new Date();
+
+    // Clocking out ends a break that is still running
+    shift.breaks
+      .filter(item => !item.endedAt)
+      .forEach(item => {
+        item.endedAt = now;
+      });
+    shift.clockOut = now;
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Clocked out',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'Clock out');
+  }
+});
+
+// @route   POST /api/timesheets/job/:jobId/break/start
+// @desc    Start a break in the current shift
+// @access  Private (hired worker)
+router.post('/job/:jobId/break/start', auth, async (req, res) => {
+  try {
+    const job = await findWorkerJob(req.params.jobId, req.user._id);
+    const timesheet = await findOpenTimesheet(job, req.user._id);
+    const shift = timesheet && timesheet.getOpenShift();
+
+    if (!shift) {
+      return res.status(409).json({
+        success: false,
+        message: 'Not clocked in',
+        code: 'NOT_CLOCKED_IN'
+      });
+    }
+
+    if (shift.breaks.some(item => !item.endedAt)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already on a break',
+        code: 'ALREADY_ON_BREAK'
+      });
+    }
+
+    shift.breaks.push({ startedAt: new Date() });
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Break started',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'Start break');
+  }
+});
+
+// @route   POST /api/timesheets/job/:jobId/break/end
+// @desc    End the current break
+// @access  Private (hired worker)
+router.post('/job/:jobId/break/end', auth, async (req, res) => {
+  try {
+    const job = await findWorkerJob(req.params.jobId, req.user._id);
+    const timesheet = await findOpenTimesheet(job, req.user._id);
+    const shift = timesheet && timesheet.getOpenShift();
+    const currentBreak = shift && shift.breaks.find(item => !item.endedAt);
+
+    if (!currentBreak) {
+      return res.status(409).json({
+        success: false,
+        message: 'Not on a break',
+        code: 'NOT_ON_BREAK'
+      });
+    }
+
+    currentBreak.endedAt = new Date();
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Break ended',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'End break');
+  }
+});
+
+// @route   PUT /api/timesheets/:id/shifts/:shiftId
+// @desc    Correct a finished shift before (re)submitting
+// @access  Private (worker)
+router.put('/:id/shifts/:shiftId', auth, [
+  body('clockIn')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid clock-in time'),
+  body('clockOut')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid clock-out time'),
+  body('breaks')
+    .optional()
+    .isArray()
+    .withMessage('Breaks must be an array'),
+  body('breaks.*.startedAt')
+    .isISO8601()
+    .withMessage('Invalid break start time'),
+  body('breaks.*.endedAt')
+    .isISO8601()
+    .withMessage('Invalid break end time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const timesheet = await findTimesheet(req.params.id, req.user._id, 'worker');
+
+    if (!['open', 'disputed'].includes(timesheet.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Timesheet can no longer be changed',
+        code: 'TIMESHEET_LOCKED'
+      });
+    }
+
+    const shift = timesheet.shifts.id(req.params.shiftId);
+    if (!shift || !shift.clockOut) {
+      return res.status(404).json({
+        success: false,
+        message: 'Finished shift not found'
+      });
+    }
+
+    const { clockIn, clockOut, breaks } = req.body;
+    const start = clockIn ? new Date(clockIn) : shift.clockIn;
+    const end = clockOut ? new Date(clockOut) : shift.clockOut;
+    const newBreaks = breaks
+      ? breaks.map(item => ({ startedAt: new Date(item.startedAt), endedAt: new Date(item.endedAt) }))
+      : shift.breaks;
+
+    const breaksValid = newBreaks.every(item => {
+      return item.startedAt >= start && item.endedAt <= end && item.startedAt < item.endedAt;
+    });
+
+    if (end <= start || end > new Date() || !breaksValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift times are inconsistent',
+        code: 'INVALID_SHIFT_TIMES'
+      });
+    }
+
+    shift.clockIn = start;
+    shift.clockOut = end;
+    shift.breaks = newBreaks;
+    await timesheet.save();
+
+    res.json({
+      success: true,
+      message: 'Shift updated',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update shift');
+  }
+});
+
+// @route   POST /api/timesheets/:id/submit
+// @desc    Submit the timesheet for employer approval
+// @access  Private (worker)
+router.post('/:id/submit', auth, [
+  body('reportedAmount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Reported amount must be a positive number')
+    .toFloat(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const timesheet = await findTimesheet(req.params.id, req.user._id, 'worker');
+    const job = await Job.findById(timesheet.job);
+
+    if (!['open', 'disputed'].includes(timesheet.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Timesheet has already been submitted',
+        code: 'TIMESHEET_LOCKED'
+      });
+    }
+
+    if (timesheet.getOpenShift()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Clock out before submitting the timesheet',
+        code: 'STILL_CLOCKED_IN'
+      });
+    }
+
+    const { reportedAmount, notes } = req.body;
+
+    if (job.pay.type === 'commission') {
+      if (reportedAmount === undefined && timesheet.reportedAmount === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reported amount is required for commission jobs',
+          code: 'REPORTED_AMOUNT_REQUIRED'
+        });
+      }
+    } else if (timesheet.getWorkedMinutes() === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No worked time on this timesheet',
+        code: 'TIMESHEET_EMPTY'
+      });
+    }
+
+    if (reportedAmount !== undefined) {
+      timesheet.reportedAmount = reportedAmount;
+    }
+    if (notes !== undefined) {
+      timesheet.notes = notes;
+    }
+
+    timesheet.status = 'submitted';
+    timesheet.submittedAt = new Date();
+    await timesheet.save();
+
+    eventBus.emit('timesheet:submitted', { job, timesheet });
+
+    res.json({
+      success: true,
+      message: 'Timesheet submitted for approval',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'Submit timesheet');
+  }
+});
+
+// @route   POST /api/timesheets/:id/approve
+// @desc    Approve the submitted hours
+// @access  Private (employer)
+router.post('/:id/approve', auth, async (req, res) => {
+  try {
+    const timesheet = await findTimesheet(req.params.id, req.user._id, 'employer');
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only submitted timesheets can be approved',
+        code: 'TIMESHEET_NOT_SUBMITTED'
+      });
+    }
+
+    timesheet.status = 'approved';
+    timesheet.approvedAt = new Date();
+    timesheet.approvedMinutes = timesheet.getWorkedMinutes();
+    await timesheet.save();
+
+    const job = await Job.findById(timesheet.job);
+    eventBus.emit('timesheet:approved', { job, timesheet });
+
+    res.json({
+      success: true,
+      message: 'Timesheet approved',
+      data: {
+        timesheet: timesheet.getSummary(),
+        payout: payCalculator.calculatePayout(job, timesheet)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Approve timesheet');
+  }
+});
+
+// @route   POST /api/timesheets/:id/dispute
+// @desc    Dispute the submitted hours; the worker can correct and resubmit
+// @access  Private (employer)
+router.post('/:id/dispute', auth, [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const timesheet = await findTimesheet(req.params.id, req.user._id, 'employer');
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only submitted timesheets can be disputed',
+        code: 'TIMESHEET_NOT_SUBMITTED'
+      });
+    }
+
+    timesheet.status = 'disputed';
+    timesheet.dispute = {
+      reason: req.body.reason,
+      disputedAt: new Date()
+    };
+    await timesheet.save();
+
+    const job = await Job.findById(timesheet.job);
+    eventBus.emit('timesheet:disputed', { job, timesheet });
+
+    res.json({
+      success: true,
+      message: 'Timesheet disputed',
+      data: { timesheet: timesheet.getSummary() }
+    });
+  } catch (error) {
+    handleError(res, error, 'Dispute timesheet');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Job = require('../models/Job');
 const { auth } = require('../middleware/auth');
+const { getSocket } = require('../socket');
+const currencyService = require('../services/currency');
 
 const router = express.Router();
 
@@ -58,7 +60,33 @@ router.put('/profile', auth, [
   body('skills')
     .optional()
     .isArray()
-    .withMessage('Skills must be an array')
+    .withMessage('Skills must be an array'),
+  body('dateOfBirth')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid date of birth')
+    .custom(value => new Date(value) < new Date())
+    .withMessage('Date of birth must be in the past'),
+  body('experienceLevel')
+    .optional()
+    .isIn(Job.EXPERIENCE_LEVELS)
+    .withMessage(`Experience level must be one of ${Job.EXPERIENCE_LEVELS.join(', ')}`),
+  body('education')
+    .optional()
+    .isIn(Job.EDUCATION_LEVELS)
+    .withMessage(`Education must be one of ${Job.EDUCATION_LEVELS.join(', ')}`),
+  body('certifications')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Certifications must be an array'),
+  body('homeCoordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Home coordinates must be [longitude, latitude]'),
+  body('homeCoordinates.*')
+    .isFloat()
+    .withMessage('Home coordinates must be numbers')
+    .toFloat()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -71,7 +99,8 @@ router.put('/profile', auth, [
 
     const allowedFields = [
       'firstName', 'lastName', 'phone', 'location', 'bio', 'skills',
-      'preferences'
+      'dateOfBirth', 'experienceLevel', 'education', 'certifications',
+      'homeCoordinates', 'preferences'
     ];
 
     const updateData = {};
@@ -101,27 +130,49 @@ router.put('/profile', auth, [
   }
 });
 
-// @route   GET /api/users/:id
-// @desc    Get public profile of a user
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @route   GET /api/users/presence
+// @desc    Get online status and last seen time of users
+// @access  Private
+router.get('/presence', auth, [
+  query('ids')
+    .notEmpty()
+    .withMessage('User IDs are required')
+    .customSanitizer(value => String(value).split(',').map(id => id.trim()).filter(Boolean))
+    .custom(ids => ids.length <= 100)
+    .withMessage('No more than 100 user IDs are allowed'),
+  query('ids.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('firstName lastName avatar location bio skills isVerified stats createdAt');
-
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        errors: errors.array()
       });
     }
 
+    const users = await User.find({ _id: { $in: req.query.ids } })
+      .select('lastSeenAt')
+      .lean();
+
+    const socket = getSocket();
+    const presence = users.map(user => {
+      const online = socket ? socket.isUserOnline(user._id) : false;
+      return {
+        userId: user._id,
+        online,
+        lastSeenAt: online ? new Date() : user.lastSeenAt || null
+      };
+    });
+
     res.json({
       success: true,
-      data: { user }
+      data: { presence }
     });
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Get presence error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -129,8 +180,10 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Registered before /:id, which would otherwise take "jobs" as a user id
 // @route   GET /api/users/jobs
-// @desc    Get user's jobs (as employer or worker)
+// @desc    Get user's jobs (as employer or worker). Jobs worked on carry the
+//          worker's own assignment as `slot`.
 // @access  Private
 router.get('/jobs', auth, async (req, res) => {
   try {
@@ -150,7 +203,7 @@ router.get('/jobs', auth, async (req, res) => {
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(parseInt(limit))
-          .populate('selectedWorker', 'firstName lastName avatar')
+          .populate('assignments.worker', 'firstName lastName avatar')
           .lean(),
         Job.countDocuments(employerFilter)
       ]);
@@ -160,8 +213,8 @@ router.get('/jobs', auth, async (req, res) => {
     }
 
     if (role === 'worker' || role === 'all') {
-      // Jobs where user is selected worker
-      const workerFilter = { selectedWorker: req.user._id };
+      // Jobs where user was hired for a position
+      const workerFilter = { 'assignments.worker': req.user._id };
       if (status) workerFilter.status = status;
 
       const [workerJobs, workerTotal] = await Promise.all([
@@ -174,6 +227,15 @@ router.get('/jobs', auth, async (req, res) => {
         Job.countDocuments(workerFilter)
       ]);
 
+      // Show the worker their own slot rather than everyone's
+      workerJobs.forEach(job => {
+        job.slot = job.assignments.find(
+          item => item.worker.toString() === req.user._id.toString()
+        );
+        job.openPositions = Job.getOpenPositions(job);
+        delete job.assignments;
+      });
+
       if (role === 'worker') {
         jobs = workerJobs;
         total = workerTotal;
@@ -207,6 +269,34 @@ router.get('/jobs', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id
+// @desc    Get public profile of a user
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('firstName lastName avatar location bio skills isVerified stats createdAt');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/users/upload-avatar
 // @desc    Upload user avatar
 // @access  Private
@@ -336,7 +426,23 @@ router.put('/preferences', auth, [
   body('jobAlerts.minPay')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Minimum pay must be a positive number')
+    .withMessage('Minimum pay must be a positive number'),
+  body('jobAlerts.coordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Job alert coordinates must be [longitude, latitude]'),
+  body('jobAlerts.coordinates.*')
+    .isFloat()
+    .withMessage('Job alert coordinates must be numbers')
+    .toFloat(),
+  body('jobAlerts.frequency')
+    .optional()
+    .isIn(['instant', 'daily', 'weekly'])
+    .withMessage('Job alert frequency must be instant, daily or weekly'),
+  body('currency')
+    .optional()
+    .custom(value => currencyService.isSupported(value))
+    .withMessage('Unsupported currency')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -347,9 +453,20 @@ router.put('/preferences', auth, [
       });
     }
 
+    // Only the preferences sent are changed
+    const update = {};
+    ['notifications', 'jobAlerts'].forEach(group => {
+      Object.entries(req.body[group] || {}).forEach(([key, value]) => {
+        update[`preferences.${group}.${key}`] = value;
+      });
+    });
+    if (req.body.currency) {
+      update['preferences.currency'] = req.body.currency;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
-      { preferences: req.body.preferences },
+      { $set: update },
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -376,7 +493,7 @@ router.delete('/account', auth, async (req, res) => {
     const activeJobs = await Job.find({
       $or: [
         { employer: req.user._id, status: { $in: ['active', 'in_progress'] } },
-        { selectedWorker: req.user._id, status: { $in: ['active', 'in_progress'] } }
+        { assignments: { $elemMatch: { worker: req.user._id, status: 'active' } } }
       ]
     });
 
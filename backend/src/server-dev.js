@@ -199,7 +199,7 @@ app.get('/api/users/profile', (req, res) => {
         bio: 'Mock user for testing',
         skills: ['Delivery', 'Customer Service'],
         isVerified: true,
-        wallet: { balance: 100, currency: 'USD' },
+        wallet: { balances: { USD: 100 } },
         stats: {
           totalJobs: 5,
           completedJobs: 4,
@@ -218,8 +218,13 @@ app.get('/api/payments/wallet', (req, res) => {
     success: true,
     data: {
       wallet: {
-        balance: 150,
-        currency: 'USD'
+        balances: [
+          { amount: 150, currency: 'USD', displayAmount: 150, displayCurrency: 'USD' },
+          { amount: 0, currency: 'KZT', displayAmount: 0, displayCurrency: 'USD' },
+          { amount: 0, currency: 'RUB', displayAmount: 0, displayCurrency: 'USD' }
+        ],
+        total: 150,
+        displayCurrency: 'USD'
       },
       paymentMethods: [
         {
@@ -10,11 +10,16 @@ const config = require('../config');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const jobRoutes = require('./routes/jobs');
+const jobSeriesRoutes = require('./routes/jobSeries');
+const jobTemplateRoutes = require('./routes/jobTemplates');
+const savedSearchRoutes = require('./routes/savedSearches');
 const applicationRoutes = require('./routes/applications');
 const paymentRoutes = require('./routes/payments');
+const paymentWebhookRoutes = require('./routes/paymentWebhook');
 const ratingRoutes = require('./routes/ratings');
 const { router: notificationRoutes } = require('./routes/notifications');
 const chatRoutes = require('./routes/chat');
+const timesheetRoutes = require('./routes/timesheets');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -38,7 +43,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for payment webhook signature verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
@@ -57,11 +68,16 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', auth, userRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/job-series', jobSeriesRoutes);
+app.use('/api/job-templates', auth, jobTemplateRoutes);
+app.use('/api/saved-searches', auth, savedSearchRoutes);
 app.use('/api/applications', auth, applicationRoutes);
+app.use('/api/payments/webhook', paymentWebhookRoutes);
 app.use('/api/payments', auth, paymentRoutes);
 app.use('/api/ratings', auth, ratingRoutes);
 app.use('/api/notifications', auth, notificationRoutes);
 app.use('/api/chat', auth, chatRoutes);
+app.use('/api/timesheets', auth, timesheetRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -110,9 +126,23 @@ const startServer = async () => {
   // Socket.io connection handling
   require('./socket')(io);
 
+  // Background jobs
+  const { startExpirySweeper, stopExpirySweeper } = require('./services/jobExpiry');
+  const { startSeriesScheduler, stopSeriesScheduler } = require('./services/jobSeries');
+  const { startPublishScheduler, stopPublishScheduler } = require('./services/jobPublisher');
+  const { startAlertScheduler, stopAlertScheduler } = require('./services/jobAlerts');
+  startExpirySweeper();
+  startSeriesScheduler();
+  startPublishScheduler();
+  startAlertScheduler();
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    stopExpirySweeper();
+    stopSeriesScheduler();
+    stopPublishScheduler();
+    stopAlertScheduler();
     server.close(() => {
       console.log('Process terminated');
     });
@@ -0,0 +1,50 @@
+const config = require('../../config');
+
+const HOUR = 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// The job's date combined with its start time ("HH:MM")
+const getJobStart = (job) => {
+  const start = new Date(job.date);
+  const [hours, minutes] = (job.time && job.time.start ? job.time.start : '00:00').split(':').map(Number);
+  start.setHours(hours || 0, minutes || 0, 0, 0);
+  return start;
+};
+
+// Decide how a cancellation by the employer or a drop-out by a worker is
+// treated. It is late when it happens inside the late window before the
+// job starts, or once one of the affected workers has checked in. A late
+// employer cancellation compensates the workers from escrow. Late
+// drop-outs, and late cancellations that leave workers without the job,
+// count against reliability.
+const evaluate = ({ job, by, assignments = [], now = new Date() }) => {
+  const { lateWindowHours, lateCompensationPercent } = config.cancellation;
+  const hoursUntilStart = round((getJobStart(job) - now) / HOUR);
+  const checkedIn = assignments.some(item => item.completion && item.completion.checkIn && item.completion.checkIn.at);
+  const late = checkedIn || hoursUntilStart < lateWindowHours;
+
+  return {
+    by,
+    late,
+    hoursUntilStart,
+    lateWindowHours,
+    compensationPercent: by === 'employer' && late ? lateCompensationPercent : 0,
+    countsAgainstReliability: late && (by === 'worker' || assignments.length > 0)
+  };
+};
+
+// Compensation owed to a worker under the policy
+const compensationFor = (policy, assignment) => {
+  if (!policy.compensationPercent || assignment.payment.status !== 'held') {
+    return 0;
+  }
+
+  return round(assignment.payment.amount * policy.compensationPercent / 100);
+};
+
+module.exports = {
+  getJobStart,
+  evaluate,
+  compensationFor
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const config = require('../../config');
+const { createError } = require('../middleware/errorHandler');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+let cache = null;
+
+// Read the rates table, reloading it whenever the file is modified
+const getRates = () => {
+  const file = config.currency.ratesFile;
+  const { mtimeMs } = fs.statSync(file);
+
+  if (!cache || cache.mtimeMs !== mtimeMs) {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (table.base !== config.currency.base) {
+      throw new Error(`Currency rates table must use ${config.currency.base} as its base`);
+    }
+
+    config.currency.supported.forEach(currency => {
+      if (!(table.rates[currency] > 0)) {
+        throw new Error(`Currency rates table has no rate for ${currency}`);
+      }
+    });
+
+    cache = { mtimeMs, table };
+  }
+
+  return cache.table;
+};
+
+const isSupported = (currency) => config.currency.supported.includes(currency);
+
+const getRate = (from, to) => {
+  if (!isSupported(from) || !isSupported(to)) {
+    throw createError(400, `Unsupported currency: ${isSupported(from) ? to : from}`, 'UNSUPPORTED_CURRENCY');
+  }
+
+  if (from === to) {
+    return 1;
+  }
+
+  const { rates } = getRates();
+  return rates[to] / rates[from];
+};
+
+const convert = (amount, from, to) => round(amount * getRate(from, to));
+
+const toBase = (amount, from) => convert(amount, from, config.currency.base);
+
+const fromBase = (amount, to) => convert(amount, config.currency.base, to);
+
+// An amount in its original currency together with the display currency
+const withDisplay = (amount, currency, displayCurrency) => ({
+  amount,
+  currency,
+  displayAmount: convert(amount, currency, displayCurrency),
+  displayCurrency
+});
+
+module.exports = {
+  getRates,
+  isSupported,
+  getRate,
+  convert,
+  toBase,
+  fromBase,
+  withDisplay
+};
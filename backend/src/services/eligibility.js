@@ -0,0 +1,150 @@
+// Checks a worker's profile against a job's requirements. Every requirement
+// the job sets is reported as met, unmet or unknown (the profile lacks the
+// information), with a message the worker can act on. Unmet or unknown
+// hard requirements make the worker ineligible; soft ones only warn.
+const Job = require('../models/Job');
+
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const normalize = (value) => value.trim().toLowerCase();
+
+// Required items the worker does not have, compared case-insensitively
+const missingItems = (required = [], held = []) => {
+  const have = new Set(held.map(normalize));
+  return required.filter(item => !have.has(normalize(item)));
+};
+
+const rank = (levels, level) => Math.max(0, levels.indexOf(level || 'none'));
+
+// Full years of age on a date
+const ageOn = (dateOfBirth, date) => Math.floor((date - dateOfBirth) / YEAR);
+
+const EXPERIENCE_LABELS = {
+  none: 'no experience',
+  beginner: '1-3 years of experience',
+  intermediate: '3-6 years of experience',
+  expert: 'more than 6 years of experience'
+};
+
+const EDUCATION_LABELS = {
+  none: 'no formal education',
+  vocational: 'vocational education',
+  higher: 'higher education'
+};
+
+// One check per requirement the job sets; requirements left at their
+// defaults are not checked
+const checks = {
+  skills: (requirements, worker) => {
+    if (!requirements.skills || requirements.skills.length === 0) return null;
+
+    const missing = missingItems(requirements.skills, worker.skills);
+    return {
+      status: missing.length === 0 ? 'met' : 'unmet',
+      required: requirements.skills,
+      missing,
+      message: missing.length === 0
+        ? 'You have all the required skills'
+        : `Missing skills: ${missing.join(', ')}`
+    };
+  },
+
+  experience: (requirements, worker) => {
+    if (!requirements.experience || requirements.experience === 'none') return null;
+
+    const met = rank(Job.EXPERIENCE_LEVELS, worker.experienceLevel) >= rank(Job.EXPERIENCE_LEVELS, requirements.experience);
+    return {
+      status: met ? 'met' : 'unmet',
+      required: requirements.experience,
+      actual: worker.experienceLevel || 'none',
+      message: met
+        ? 'Your experience is sufficient'
+        : `Requires ${EXPERIENCE_LABELS[requirements.experience]}`
+    };
+  },
+
+  education: (requirements, worker) => {
+    if (!requirements.education || requirements.education === 'none') return null;
+
+    const met = rank(Job.EDUCATION_LEVELS, worker.education) >= rank(Job.EDUCATION_LEVELS, requirements.education);
+    return {
+      status: met ? 'met' : 'unmet',
+      required: requirements.education,
+      actual: worker.education || 'none',
+      message: met
+        ? 'Your education is sufficient'
+        : `Requires ${EDUCATION_LABELS[requirements.education]}`
+    };
+  },
+
+  age: (requirements, worker, { date }) => {
+    const { min, max } = requirements.age || {};
+    if (!min && !max) return null;
+
+    const required = { min, max };
+    if (!worker.dateOfBirth) {
+      return {
+        status: 'unknown',
+        required,
+        message: 'Add your date of birth to your profile to show you meet the age requirement'
+      };
+    }
+
+    // Age on the day of the job
+    const age = ageOn(new Date(worker.dateOfBirth), date);
+    const met = (!min || age >= min) && (!max || age <= max);
+    return {
+      status: met ? 'met' : 'unmet',
+      required,
+      actual: age,
+      message: met
+        ? 'You meet the age requirement'
+        : `Workers must be ${min && max ? `${min}-${max}` : min ? `at least ${min}` : `at most ${max}`} years old`
+    };
+  },
+
+  certifications: (requirements, worker) => {
+    if (!requirements.certifications || requirements.certifications.length === 0) return null;
+
+    const missing = missingItems(requirements.certifications, worker.certifications);
+    return {
+      status: missing.length === 0 ? 'met' : 'unmet',
+      required: requirements.certifications,
+      missing,
+      message: missing.length === 0
+        ? 'You have all the required certifications'
+        : `Missing certifications: ${missing.join(', ')}`
+    };
+  }
+};
+
+// Evaluate a worker against a job's requirements: whether they may apply,
+// every check with its outcome, and the requirements that block the
+// application (hard) or only flag it (soft)
+const evaluate = (job, worker, now = new Date()) => {
+  const requirements = job.requirements || {};
+  const hard = new Set(requirements.hard || []);
+  const date = job.date && new Date(job.date) > now ? new Date(job.date) : now;
+
+  const results = Job.REQUIREMENTS
+    .map(requirement => {
+      const check = checks[requirement](requirements, worker, { date });
+      return check && { requirement, hard: hard.has(requirement), ...check };
+    })
+    .filter(Boolean);
+
+  const unmet = results.filter(check => check.status !== 'met');
+  const blocking = unmet.filter(check => check.hard).map(check => check.requirement);
+  const warnings = unmet.filter(check => !check.hard).map(check => check.requirement);
+
+  return {
+    eligible: blocking.length === 0,
+    checks: results,
+    blocking,
+    warnings
+  };
+};
+
+module.exports = {
+  evaluate
+};
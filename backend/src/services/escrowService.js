@@ -0,0 +1,305 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const feePolicy = require('./feePolicy');
+const payCalculator = require('./payCalculator');
+const { getPayoutProvider } = require('./payouts');
+const { createError } = require('../middleware/errorHandler');
+
+const { accounts, transfer } = ledger;
+
+// Undo a card charge whose escrow transaction rolled back. The charge is
+// refunded and the attempt kept as a cancelled deposit; if the refund
+// fails the money is credited to the employer's wallet instead, so a
+// charge is never left unrecorded.
+const reverseCharge = async ({ job, employer, paymentMethod, charge, amount, currency }) => {
+  const deposit = {
+    user: employer._id,
+    type: 'deposit',
+    amount,
+    currency,
+    job: job._id,
+    paymentMethod: paymentMethod._id,
+    stripePaymentIntentId: charge.paymentIntentId
+  };
+
+  const refund = await getPayoutProvider().refundCharge({
+    paymentIntentId: charge.paymentIntentId,
+    amount,
+    currency
+  });
+
+  if (refund.status === 'succeeded') {
+    return new Transaction({
+      ...deposit,
+      description: `Refunded top-up from ${paymentMethod.name} for ${job.title}`,
+      status: 'cancelled',
+      failedAt: new Date(),
+      failureReason: 'Escrow funding was rolled back',
+      metadata: { refundId: refund.refundId }
+    }).save();
+  }
+
+  console.error(`Refund of ${charge.paymentIntentId} failed, crediting the wallet: ${refund.failureReason}`);
+
+  return ledger.withTransaction(session => ledger.record({
+    ...deposit,
+    description: `Top-up from ${paymentMethod.name} for ${job.title} (escrow rolled back)`,
+    status: 'completed',
+    processedAt: new Date()
+  }, transfer(accounts.funding(employer._id), accounts.wallet(employer._id), amount), session));
+};
+
+// Move an amount into the job's escrow from the employer's wallet balance
+// in the job's currency. When the balance cannot cover it, the default
+// payment method is charged the shortfall into the wallet first. Resolves
+// to the payment transaction and the funding source.
+const fundEscrow = async (job, employer, amount, description, session) => {
+  const currency = job.pay.currency;
+  const shortfall = Math.round((amount - employer.getWalletBalance(currency)) * 100) / 100;
+  let source = 'wallet';
+  let paymentMethod;
+
+  if (shortfall > 0) {
+    paymentMethod = employer.paymentMethods.find(method => method.isDefault) ||
+      employer.paymentMethods[0];
+
+    if (!paymentMethod) {
+      throw createError(402, 'Insufficient wallet balance and no payment method on file', 'PAYMENT_METHOD_REQUIRED');
+    }
+
+    source = 'card';
+
+    const charge = await getPayoutProvider().chargePaymentMethod({
+      user: employer,
+      paymentMethod,
+      amount: shortfall,
+      currency,
+      description,
+      metadata: { jobId: job._id.toString() }
+    });
+
+    if (charge.status !== 'succeeded') {
+      throw createError(402, `Payment declined: ${charge.failureReason || 'unknown reason'}`, 'PAYMENT_DECLINED');
+    }
+
+    // The charge cannot roll back with the transaction
+    ledger.onAbort(session, () => reverseCharge({ job, employer, paymentMethod, charge, amount: shortfall, currency }));
+
+    // Credit the charge to the employer's wallet first
+    await ledger.record({
+      user: employer._id,
+      type: 'deposit',
+      amount: shortfall,
+      currency,
+      description: `Top-up from ${paymentMethod.name} for ${job.title}`,
+      job: job._id,
+      paymentMethod: paymentMethod._id,
+      stripePaymentIntentId: charge.paymentIntentId,
+      status: 'completed',
+      processedAt: new Date()
+    }, transfer(accounts.funding(employer._id), accounts.wallet(employer._id), shortfall), session);
+  }
+
+  const transaction = await ledger.record({
+    user: employer._id,
+    type: 'payment',
+    amount: -amount, // Negative for payment
+    currency,
+    description,
+    job: job._id,
+    paymentMethod: paymentMethod ? paymentMethod._id : undefined,
+    status: 'completed',
+    processedAt: new Date()
+  }, transfer(accounts.wallet(employer._id), accounts.escrow(job._id), amount), session);
+
+  return { transaction, source };
+};
+
+// Place one worker's pay into the job's escrow. Hourly jobs reserve an
+// estimate that is settled against the approved timesheet on release. The
+// assignment is updated in memory; the caller saves the job within the
+// same session.
+const holdFunds = async (job, assignment, employer, session) => {
+  const payment = assignment.payment;
+
+  if (payment.status !== 'pending') {
+    throw createError(400, 'Payment for this worker is already in escrow', 'ESCROW_ALREADY_FUNDED');
+  }
+
+  const amount = payCalculator.estimateAmount(job);
+  const { transaction, source } = await fundEscrow(job, employer, amount, `Escrow for ${job.title}`, session);
+
+  payment.status = 'held';
+  payment.source = source;
+  payment.amount = amount;
+  payment.heldAt = new Date();
+  payment.escrowTransactionId = transaction._id;
+
+  return transaction;
+};
+
+// Bring the escrow in line with the amount actually owed: take the shortfall
+// from the employer or give back what was reserved but not earned
+const settleEscrow = async (job, assignment, amount, session) => {
+  const difference = Math.round((amount - assignment.payment.amount) * 100) / 100;
+
+  if (difference > 0) {
+    const employer = await User.findById(job.employer).session(session);
+    await fundEscrow(job, employer, difference, `Additional escrow for ${job.title}`, session);
+  } else if (difference < 0) {
+    await ledger.record({
+      user: job.employer,
+      type: 'refund',
+      amount: -difference,
+      currency: job.pay.currency,
+      description: `Unused escrow for ${job.title}`,
+      job: job._id,
+      status: 'completed',
+      processedAt: new Date()
+    }, transfer(accounts.escrow(job._id), accounts.wallet(job.employer), -difference), session);
+  }
+
+  assignment.payment.amount = amount;
+};
+
+// Release a worker's escrowed funds to them, less the platform fee.
+// Hourly and commission jobs are paid from their approved timesheet.
+// Resolves to the earning, the fee transaction (if any) and the breakdown.
+const releaseFunds = async (job, assignment, session, timesheet) => {
+  const employer = await User.findById(job.employer).session(session);
+  const payment = assignment.payment;
+  const workerId = assignment.worker;
+
+  if (payment.status === 'pending') {
+    throw createError(409, 'Pay for this worker was never placed in escrow', 'ESCROW_NOT_FUNDED');
+  }
+
+  if (payment.status !== 'held') {
+    throw createError(400, 'No funds in escrow for this worker', 'ESCROW_NOT_FUNDED');
+  }
+
+  const payout = payCalculator.calculatePayout(job, timesheet);
+  if (payout.amount <= 0) {
+    throw createError(400, 'Nothing to pay for this job', 'NOTHING_TO_PAY');
+  }
+
+  await settleEscrow(job, assignment, payout.amount, session);
+
+  const amount = payout.amount;
+  const fee = feePolicy.calculateFee({ amount, currency: job.pay.currency, category: job.category, employer });
+
+  const transaction = await ledger.record({
+    user: workerId,
+    type: 'earned',
+    amount,
+    currency: job.pay.currency,
+    description: `${job.title} - ${job.companyName}`,
+    job: job._id,
+    status: 'completed',
+    processedAt: new Date(),
+    feeBreakdown: fee,
+    timesheet: timesheet ? timesheet._id : undefined
+  }, transfer(accounts.escrow(job._id), accounts.wallet(workerId), amount), session);
+
+  let feeTransaction = null;
+  if (fee.fee > 0) {
+    feeTransaction = await ledger.record({
+      user: workerId,
+      type: 'fee',
+      amount: -fee.fee, // Negative for fee
+      currency: job.pay.currency,
+      description: `Service fee (${fee.minimumApplied ? 'minimum' : `${fee.percentage}%`}) - ${job.title}`,
+      job: job._id,
+      relatedTransaction: transaction._id,
+      status: 'completed',
+      processedAt: new Date(),
+      feeBreakdown: fee
+    }, transfer(accounts.wallet(workerId), accounts.platformFees(), fee.fee), session);
+  }
+
+  payment.status = 'paid';
+  payment.paidAt = new Date();
+  payment.fee = fee.fee;
+  payment.transactionId = transaction._id;
+
+  if (timesheet) {
+    timesheet.status = 'paid';
+    timesheet.paidAt = new Date();
+    timesheet.payout = payout;
+    timesheet.transaction = transaction._id;
+    await timesheet.save({ session });
+  }
+
+  return { transaction, feeTransaction, fee, payout };
+};
+
+// Pay a worker part of their escrow as compensation, e.g. for a late
+// cancellation. The rest stays in escrow for refundFunds.
+const compensateWorker = async (job, assignment, amount, reason, session) => {
+  const payment = assignment.payment;
+  const workerId = assignment.worker;
+
+  if (payment.status !== 'held' || amount <= 0) {
+    return null;
+  }
+
+  const compensation = Math.min(Math.round(amount * 100) / 100, payment.amount);
+
+  const transaction = await ledger.record({
+    user: workerId,
+    type: 'earned',
+    amount: compensation,
+    currency: job.pay.currency,
+    description: `${reason} - ${job.title}`,
+    job: job._id,
+    status: 'completed',
+    processedAt: new Date()
+  }, transfer(accounts.escrow(job._id), accounts.wallet(workerId), compensation), session);
+
+  payment.amount = Math.round((payment.amount - compensation) * 100) / 100;
+  payment.compensation = compensation;
+
+  return transaction;
+};
+
+// Return a worker's escrowed funds to the employer's wallet
+const refundFunds = async (job, assignment, reason, session) => {
+  const payment = assignment.payment;
+
+  if (payment.status !== 'held') {
+    return null;
+  }
+
+  const amount = payment.amount;
+
+  // Everything went to the worker as compensation
+  if (amount <= 0) {
+    payment.status = 'refunded';
+    payment.refundedAt = new Date();
+    return null;
+  }
+
+  const transaction = await ledger.record({
+    user: job.employer,
+    type: 'refund',
+    amount,
+    currency: job.pay.currency,
+    description: `Refund for ${job.title}${reason ? ` (${reason})` : ''}`,
+    job: job._id,
+    status: 'completed',
+    processedAt: new Date()
+  }, transfer(accounts.escrow(job._id), accounts.wallet(job.employer), amount), session);
+
+  payment.status = 'refunded';
+  payment.refundedAt = new Date();
+
+  return transaction;
+};
+
+module.exports = {
+  holdFunds,
+  releaseFunds,
+  compensateWorker,
+  refundFunds
+};
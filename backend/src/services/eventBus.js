@@ -0,0 +1,10 @@
+const EventEmitter = require('events');
+
+// Application-wide event bus. Routes emit domain events here and
+// services (notifications, etc.) subscribe to them.
+const eventBus = new EventEmitter();
+
+// Listeners are added per service, not per request
+eventBus.setMaxListeners(50);
+
+module.exports = eventBus;
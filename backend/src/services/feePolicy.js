@@ -0,0 +1,49 @@
+const config = require('../../config');
+const currencyService = require('./currency');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Work out the platform fee taken from a job payout
+const calculateFee = ({ amount, currency = config.currency.base, category, employer }) => {
+  const policy = config.fees;
+
+  if (policy.waiveForFeaturedEmployers && employer && employer.isFeatured) {
+    return {
+      gross: round(amount),
+      fee: 0,
+      net: round(amount),
+      percentage: 0,
+      minimumApplied: false,
+      waived: true
+    };
+  }
+
+  const percentage = policy.categoryOverrides[category] !== undefined
+    ? policy.categoryOverrides[category]
+    : policy.percentage;
+
+  let fee = round(amount * percentage / 100);
+  // The minimum is configured in the base currency; a 0% rate means no fee
+  // at all
+  const minimum = currencyService.fromBase(policy.minimum, currency);
+  const minimumApplied = percentage > 0 && fee < minimum;
+  if (minimumApplied) {
+    fee = minimum;
+  }
+
+  // The fee can never exceed the payout itself
+  fee = Math.min(fee, round(amount));
+
+  return {
+    gross: round(amount),
+    fee,
+    net: round(amount - fee),
+    percentage,
+    minimumApplied,
+    waived: false
+  };
+};
+
+module.exports = {
+  calculateFee
+};
@@ -0,0 +1,270 @@
+const Job = require('../models/Job');
+const JobMatch = require('../models/JobMatch');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const jobFilters = require('./jobFilters');
+const currency = require('./currency');
+const mailer = require('./mailer');
+const { distanceMeters } = require('./geo');
+const { createNotification, subscribe } = require('./notificationService');
+const config = require('../../config');
+
+let timer = null;
+
+// When a match found now goes out by email: instant matches on the next
+// sweep, the others in the next daily or Monday digest
+const nextDigestAt = (frequency, now = new Date()) => {
+  if (frequency === 'instant') {
+    return now;
+  }
+
+  const next = new Date(now);
+  next.setUTCHours(config.jobAlerts.digestHour, 0, 0, 0);
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + (8 - next.getUTCDay()) % 7);
+  }
+
+  return next;
+};
+
+// Check the parts of a user's alert preferences that cannot be queried:
+// pay in the user's currency and distance from their alert location
+const satisfiesAlerts = (job, user) => {
+  const alerts = user.preferences.jobAlerts;
+
+  if (alerts.minPay) {
+    const pay = currency.convert(job.pay.amount, job.pay.currency, user.preferences.currency);
+    if (pay < alerts.minPay) return false;
+  }
+
+  const jobPoint = job.location.coordinates && job.location.coordinates.coordinates;
+  if (alerts.coordinates && alerts.coordinates.length === 2 && jobPoint && jobPoint.length === 2) {
+    if (distanceMeters(alerts.coordinates, jobPoint) > alerts.maxDistance * 1000) return false;
+  }
+
+  return true;
+};
+
+// Queue the job for the user's digest and tell them in-app. Resolves to
+// false if the user was already matched to the job.
+const recordMatch = async (job, userId, { savedSearch, frequency, now }) => {
+  try {
+    await JobMatch.create({
+      user: userId,
+      job: job._id,
+      savedSearch: savedSearch ? savedSearch._id : undefined,
+      email: { dueAt: nextDigestAt(frequency, now) }
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await createNotification(
+    userId,
+    'job_match',
+    savedSearch ? `New job for "${savedSearch.name}"` : 'New job alert',
+    savedSearch
+      ? `"${job.title}" at ${job.companyName} matches your saved search "${savedSearch.name}"`
+      : `"${job.title}" at ${job.companyName} matches your job alerts`,
+    { jobId: job._id, savedSearchId: savedSearch ? savedSearch._id : undefined }
+  );
+
+  return true;
+};
+
+// Find the saved searches and alert preferences a newly published job
+// satisfies and notify their users. Each user hears about a job once,
+// through their oldest matching search; alert preferences only apply to
+// users no saved search matched.
+const matchJob = async (job, now = new Date()) => {
+  const matched = new Set([job.employer._id.toString()]);
+
+  // Searches for another category cannot match, the rest are checked
+  // against the job one by one with the same filter as GET /api/jobs. The
+  // filter is evaluated in memory; only text and radius searches need a
+  // query, and only once the rest of their filter matched.
+  const searches = await SavedSearch.find({
+    muted: false,
+    'query.category': { $in: [null, 'All', job.category] }
+  }).sort({ createdAt: 1 }).lean();
+
+  const plainJob = job.toObject ? job.toObject() : job;
+
+  for (const search of searches) {
+    if (matched.has(search.user.toString())) continue;
+
+    const { database, memory } = jobFilters.splitFilter(jobFilters.buildJobFilter(search.query, { now }));
+    if (!jobFilters.matchesFilter(plainJob, memory)) continue;
+    if (Object.keys(database).length > 0 && !await Job.exists({ ...database, _id: job._id })) continue;
+
+    matched.add(search.user.toString());
+    if (await recordMatch(job, search.user, { savedSearch: search, frequency: search.frequency, now })) {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $set: { lastMatchedAt: now }, $inc: { matchCount: 1 } }
+      );
+    }
+  }
+
+  const users = User.find({
+    role: 'applicant',
+    isActive: true,
+    'preferences.jobAlerts.enabled': true,
+    $or: [
+      { 'preferences.jobAlerts.categories': { $size: 0 } },
+      { 'preferences.jobAlerts.categories': { $exists: false } },
+      { 'preferences.jobAlerts.categories': job.category }
+    ]
+  }).select('preferences').lean().cursor();
+
+  for await (const user of users) {
+    if (matched.has(user._id.toString()) || !satisfiesAlerts(job, user)) continue;
+
+    matched.add(user._id.toString());
+    await recordMatch(job, user._id, { frequency: user.preferences.jobAlerts.frequency, now });
+  }
+
+  return matched.size - 1;
+};
+
+const formatJob = (job) => {
+  const details = [
+    job.companyName,
+    `${job.pay.currency}${job.pay.amount} (${job.pay.type})`,
+    job.location.city,
+    job.date ? job.date.toISOString().slice(0, 10) : null
+  ].filter(Boolean);
+
+  return `- ${job.title}: ${details.join(', ')}`;
+};
+
+// Digest text with the jobs grouped by the search that found them
+const digestText = (user, matches) => {
+  const shown = matches.slice(0, config.jobAlerts.digestMaxJobs);
+  const groups = new Map();
+
+  for (const match of shown) {
+    const heading = match.savedSearch ? `Saved search "${match.savedSearch.name}"` : 'Your job alerts';
+    if (!groups.has(heading)) groups.set(heading, []);
+    groups.get(heading).push(formatJob(match.job));
+  }
+
+  const lines = [`Hi ${user.firstName},`, '', 'New jobs matching your searches:'];
+  for (const [heading, jobs] of groups) {
+    lines.push('', `${heading}:`, ...jobs);
+  }
+  if (matches.length > shown.length) {
+    lines.push('', `And ${matches.length - shown.length} more in the app.`);
+  }
+  lines.push('', 'Mute a search or change how often you hear about it in your saved searches.');
+
+  return lines.join('\n');
+};
+
+const markMatches = (matches, update) => JobMatch.updateMany(
+  { _id: { $in: matches.map(match => match._id) } },
+  { $set: update }
+);
+
+// Email one user the matches that are due. Matches for jobs no longer
+// open, muted searches, switched off alerts or users who turned off email
+// notifications are skipped.
+const sendDigest = async (userId, matches, now) => {
+  const user = await User.findById(userId).select('email firstName isActive preferences').lean();
+
+  const sendable = !user || !user.isActive || !user.preferences.notifications.email
+    ? []
+    : matches.filter(match => match.job && match.job.status === 'active' && (
+      match.savedSearch ? !match.savedSearch.muted : user.preferences.jobAlerts.enabled
+    ));
+  const skipped = matches.filter(match => !sendable.includes(match));
+
+  if (sendable.length > 0) {
+    await mailer.sendMail({
+      to: user.email,
+      subject: `${sendable.length} new job${sendable.length === 1 ? '' : 's'} for you on JobPop`,
+      text: digestText(user, sendable)
+    });
+    await markMatches(sendable, { 'email.status': 'sent', 'email.sentAt': now });
+  }
+
+  if (skipped.length > 0) {
+    await markMatches(skipped, { 'email.status': 'skipped' });
+  }
+
+  return sendable.length > 0;
+};
+
+// Send every user whose matches are due one digest email. A failed email
+// leaves the matches pending for the next run.
+const sendDueDigests = async (now = new Date()) => {
+  const due = await JobMatch.find({
+    'email.status': 'pending',
+    'email.dueAt': { $lte: now }
+  })
+    .populate('job', 'title companyName pay location date status')
+    .populate('savedSearch', 'name muted')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const byUser = new Map();
+  for (const match of due) {
+    const userId = match.user.toString();
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(match);
+  }
+
+  let sent = 0;
+
+  for (const [userId, matches] of byUser) {
+    try {
+      if (await sendDigest(userId, matches, now)) {
+        sent += 1;
+      }
+    } catch (error) {
+      console.error(`Job alert digest error (user ${userId}):`, error);
+    }
+  }
+
+  return sent;
+};
+
+const sweep = async () => {
+  try {
+    const sent = await sendDueDigests();
+    if (sent > 0) {
+      console.log(`Sent ${sent} job alert digests`);
+    }
+  } catch (error) {
+    console.error('Job alert sweep error:', error);
+  }
+};
+
+// Send due digests now and then on the configured interval
+const startAlertScheduler = async () => {
+  await sweep();
+
+  timer = setInterval(sweep, config.jobAlerts.sweepIntervalMinutes * 60 * 1000);
+  timer.unref();
+};
+
+const stopAlertScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+subscribe('job:published', ({ job }) => matchJob(job));
+
+module.exports = {
+  nextDigestAt,
+  matchJob,
+  sendDueDigests,
+  startAlertScheduler,
+  stopAlertScheduler
+};
@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const ledger = require('./ledger');
+const escrowService = require('./escrowService');
+const cancellationPolicy = require('./cancellationPolicy');
+const currencyService = require('./currency');
+const jobLifecycle = require('./jobLifecycle');
+const eventBus = require('./eventBus');
+const { createError } = require('../middleware/errorHandler');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Cancel a job on behalf of its employer: compensate each hired worker
+// under the cancellation policy, refund the rest of their escrow and move
+// the job to `cancelled`, atomically. Resolves to the policy and one
+// result per hired worker.
+const cancelJob = async (job, { actor, reason }) => {
+  reason = reason || 'Cancelled by employer';
+
+  if (!jobLifecycle.canTransition(job.status, 'cancelled')) {
+    throw createError(409, `Cannot cancel a job that is ${job.status}`, 'INVALID_STATUS_TRANSITION');
+  }
+
+  const assignments = job.getActiveAssignments();
+  const policy = cancellationPolicy.evaluate({ job, by: 'employer', assignments });
+
+  const results = await ledger.withTransaction(async (session) => {
+    job.$session(session);
+
+    const results = [];
+    for (const assignment of assignments) {
+      const compensation = await escrowService.compensateWorker(
+        job,
+        assignment,
+        cancellationPolicy.compensationFor(policy, assignment),
+        'Late cancellation compensation',
+        session
+      );
+      const refund = await escrowService.refundFunds(job, assignment, reason, session);
+
+      assignment.status = 'cancelled';
+      assignment.endedAt = new Date();
+      results.push({ assignment, compensation, refund });
+
+      if (compensation) {
+        await User.updateOne(
+          { _id: assignment.worker },
+          { $inc: { 'stats.totalEarnings': currencyService.toBase(compensation.amount, job.pay.currency) } },
+          { session }
+        );
+      }
+    }
+
+    jobLifecycle.transition(job, 'cancelled', { actor, reason });
+    job.cancellation = {
+      reason,
+      late: policy.late,
+      compensation: round(results.reduce((sum, item) => {
+        return sum + (item.compensation ? item.compensation.amount : 0);
+      }, 0)),
+      cancelledAt: new Date()
+    };
+    await job.save();
+
+    await User.updateOne(
+      { _id: job.employer },
+      { $inc: { 'stats.cancellations': 1, 'stats.lateCancellations': policy.countsAgainstReliability ? 1 : 0 } },
+      { session }
+    );
+
+    return results;
+  });
+  job.$session(null);
+  jobLifecycle.publish(job);
+
+  eventBus.emit('job:cancelled', { job, reason, policy, results });
+
+  return { policy, results };
+};
+
+module.exports = {
+  cancelJob
+};
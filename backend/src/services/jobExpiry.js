@@ -0,0 +1,101 @@
+const Job = require('../models/Job');
+const jobLifecycle = require('./jobLifecycle');
+const config = require('../../config');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+// Older versions created a TTL index on expiresAt that made MongoDB delete
+// jobs, including completed ones referenced by transactions and ratings
+const dropLegacyTtlIndex = async () => {
+  let indexes;
+  try {
+    indexes = await Job.collection.indexes();
+  } catch (error) {
+    // Nothing to drop before the collection exists
+    if (error.codeName === 'NamespaceNotFound') return;
+    throw error;
+  }
+
+  const ttlIndex = indexes.find(index => {
+    return index.key.expiresAt !== undefined && index.expireAfterSeconds !== undefined;
+  });
+
+  if (ttlIndex) {
+    await Job.collection.dropIndex(ttlIndex.name);
+    console.log(`Dropped TTL index ${ttlIndex.name} on jobs`);
+  }
+};
+
+// Move active jobs past their expiry date, or whose work date has long
+// passed, to `expired`. Partly filled jobs with hired workers still on
+// them are left for the employer to complete or cancel. Each job is moved
+// with a conditional update so concurrent sweepers never expire (and
+// notify about) a job twice.
+const expireStaleJobs = async (now = new Date()) => {
+  const staleJobs = await Job.find({
+    status: 'active',
+    'assignments.status': { $ne: 'active' },
+    $or: [
+      { expiresAt: { $lte: now } },
+      { date: { $lt: new Date(now - DAY) } }
+    ]
+  }).select('_id');
+
+  let expired = 0;
+
+  for (const { _id } of staleJobs) {
+    const job = await jobLifecycle.transitionById(
+      _id,
+      'active',
+      'expired',
+      { reason: 'No worker was selected before the job went stale' },
+      { expiredAt: now }
+    );
+
+    if (job) {
+      expired += 1;
+    }
+  }
+
+  return expired;
+};
+
+const sweep = async () => {
+  try {
+    const expired = await expireStaleJobs();
+    if (expired > 0) {
+      console.log(`Expired ${expired} stale jobs`);
+    }
+  } catch (error) {
+    console.error('Job expiry sweep error:', error);
+  }
+};
+
+// Run the sweeper now and then on the configured interval
+const startExpirySweeper = async () => {
+  try {
+    await dropLegacyTtlIndex();
+  } catch (error) {
+    console.error('Drop TTL index error:', error);
+  }
+
+  await sweep();
+
+  timer = setInterval(sweep, config.jobExpiry.sweepIntervalMinutes * 60 * 1000);
+  timer.unref();
+};
+
+const stopExpirySweeper = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  expireStaleJobs,
+  startExpirySweeper,
+  stopExpirySweeper
+};
@@ -0,0 +1,242 @@
+// Query filter for the public job list, built from the search and filter
+// parameters of GET /api/jobs
+const jobSearch = require('./jobSearch');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Earth radius in km, for $centerSphere distances
+const EARTH_RADIUS = 6378.1;
+
+// Fields a search can be limited to, by their searchIn name
+const SEARCH_IN_FIELDS = {
+  title: 'title',
+  companyName: 'companyName',
+  description: 'description'
+};
+
+// Fields checked for excluded words outside a text search
+const EXCLUDE_FIELDS = ['title', 'description', 'companyName', 'tags'];
+
+// List filters that match any of the given values, by parameter name
+const LIST_FILTERS = {
+  employmentType: 'employmentType',
+  workFormat: 'workFormat',
+  payFrequency: 'pay.frequency',
+  education: 'requirements.education',
+  experience: 'requirements.experience',
+  shift: 'shift'
+};
+
+// Query parameters that make up a job search, as kept by saved searches
+const FILTER_PARAMS = [
+  'category', 'city', 'minPay', 'maxPay', 'currency', 'metro', 'postedWithin',
+  'search', 'exclude', 'searchIn', ...Object.keys(LIST_FILTERS),
+  'lat', 'lng', 'radius'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Values of a list parameter, given comma separated or repeated
+const listParam = (value) => {
+  if (value === undefined || value === null) return [];
+
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Words of the exclude parameter, without a leading minus
+const excludedWords = (exclude) => listParam(exclude)
+  .flatMap(item => item.split(/\s+/))
+  .map(word => word.replace(/^-+/, ''))
+  .filter(Boolean);
+
+// Jobs where the searched words all appear in one of the given fields
+const searchInFilter = (search, fields) => {
+  const stems = jobSearch.queryStems(search);
+
+  return {
+    $or: fields.map(field => ({
+      $and: stems.map(stem => ({ [field]: { $regex: escapeRegex(stem), $options: 'i' } }))
+    }))
+  };
+};
+
+// Jobs that went live within the last `days` days. Jobs posted before
+// publishedAt was recorded count from their creation.
+const postedWithinFilter = (days, now) => {
+  const since = new Date(now.getTime() - days * DAY);
+
+  return {
+    $or: [
+      { publishedAt: { $gte: since } },
+      { publishedAt: { $exists: false }, createdAt: { $gte: since } }
+    ]
+  };
+};
+
+// Filter for active jobs matching the query parameters. Coordinates
+// become a $geoWithin filter unless `geoNear` says the caller applies the
+// radius itself with $geoNear.
+const buildJobFilter = (params, { now = new Date(), geoNear = false } = {}) => {
+  const {
+    category,
+    city,
+    minPay,
+    maxPay,
+    currency,
+    metro,
+    postedWithin,
+    lat,
+    lng,
+    radius = 50
+  } = params;
+
+  const filter = { status: 'active' };
+  const and = [];
+
+  if (category && category !== 'All') {
+    filter.category = category;
+  }
+
+  if (city && city !== 'All Cities') {
+    filter['location.city'] = { $regex: city, $options: 'i' };
+  }
+
+  if (metro) {
+    filter['location.metro'] = { $regex: escapeRegex(metro), $options: 'i' };
+  }
+
+  if (currency) {
+    filter['pay.currency'] = currency;
+  }
+
+  if (minPay || maxPay) {
+    filter['pay.amount'] = {};
+    if (minPay) filter['pay.amount'].$gte = parseFloat(minPay);
+    if (maxPay) filter['pay.amount'].$lte = parseFloat(maxPay);
+  }
+
+  for (const [param, field] of Object.entries(LIST_FILTERS)) {
+    const values = listParam(params[param]);
+    if (values.length > 0) {
+      filter[field] = { $in: values };
+    }
+  }
+
+  if (postedWithin) {
+    and.push(postedWithinFilter(parseFloat(postedWithin), now));
+  }
+
+  const search = params.search ? params.search.trim() : '';
+  const excluded = excludedWords(params.exclude);
+
+  if (search) {
+    // Excluded words become negated terms of the text search
+    const terms = [search, ...excluded.map(word => `-${word}`)].join(' ');
+    Object.assign(filter, jobSearch.textFilter(terms));
+
+    const fields = listParam(params.searchIn).map(name => SEARCH_IN_FIELDS[name]).filter(Boolean);
+    if (fields.length > 0 && fields.length < Object.keys(SEARCH_IN_FIELDS).length) {
+      and.push(searchInFilter(search, fields));
+    }
+  } else if (excluded.length > 0) {
+    filter.$nor = EXCLUDE_FIELDS.flatMap(field => excluded.map(word => ({
+      [field]: { $regex: escapeRegex(word), $options: 'i' }
+    })));
+  }
+
+  if (lat && lng && !geoNear) {
+    filter['location.coordinates'] = {
+      $geoWithin: {
+        $centerSphere: [[parseFloat(lng), parseFloat(lat)], radius / EARTH_RADIUS]
+      }
+    };
+  }
+
+  if (and.length > 0) {
+    filter.$and = and;
+  }
+
+  return filter;
+};
+
+// Clauses of a job filter only the database can evaluate: the text search
+// and the radius around a point
+const DATABASE_CLAUSES = ['$text', 'location.coordinates'];
+
+// Split a job filter into the clauses only the database can evaluate and
+// the rest, which matchesFilter can check in memory
+const splitFilter = (filter) => {
+  const database = {};
+  const memory = {};
+
+  for (const [key, value] of Object.entries(filter)) {
+    (DATABASE_CLAUSES.includes(key) ? database : memory)[key] = value;
+  }
+
+  return { database, memory };
+};
+
+// Values at a dotted path, with arrays along the way flattened as
+// MongoDB does
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values
+  .flatMap(value => (value === null || value === undefined ? [] : [value[key]]))
+  .flatMap(value => (Array.isArray(value) ? value : [value]))
+  .filter(value => value !== null && value !== undefined), [doc]);
+
+const compare = (value, operand) => (operand instanceof Date
+  ? new Date(value) - operand
+  : value - operand);
+
+const matchesCondition = (values, condition) => {
+  if (condition === null || typeof condition !== 'object') {
+    return values.some(value => String(value) === String(condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$exists':
+        return (values.length > 0) === Boolean(operand);
+      case '$in':
+        return values.some(value => operand.some(item => String(item) === String(value)));
+      case '$gte':
+        return values.some(value => compare(value, operand) >= 0);
+      case '$lte':
+        return values.some(value => compare(value, operand) <= 0);
+      case '$regex': {
+        const regex = new RegExp(operand, condition.$options);
+        return values.some(value => regex.test(String(value)));
+      }
+      case '$options':
+        return true;
+      default:
+        throw new Error(`Cannot match ${operator} in memory`);
+    }
+  });
+};
+
+// Whether a plain job object satisfies the in-memory part of a job filter
+// (see splitFilter), with the semantics of the MongoDB query
+const matchesFilter = (job, filter) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case '$and':
+      return condition.every(item => matchesFilter(job, item));
+    case '$or':
+      return condition.some(item => matchesFilter(job, item));
+    case '$nor':
+      return !condition.some(item => matchesFilter(job, item));
+    default:
+      return matchesCondition(valuesAt(job, key), condition);
+  }
+});
+
+module.exports = {
+  FILTER_PARAMS,
+  SEARCH_IN_FIELDS,
+  LIST_FILTERS,
+  listParam,
+  buildJobFilter,
+  splitFilter,
+  matchesFilter
+};
@@ -0,0 +1,115 @@
+const Job = require('../models/Job');
+const eventBus = require('./eventBus');
+const { createError } = require('../middleware/errorHandler');
+
+// Allowed job status changes. A job is in progress once all its positions
+// are filled and goes back to active when a worker drops out. A partly
+// filled job completes when its hired workers are done. Drafts are
+// published right away or scheduled for later; a scheduled job can go back
+// to being a draft. Expired and cancelled jobs can be reopened.
+const TRANSITIONS = {
+  draft: ['active', 'scheduled'],
+  scheduled: ['active', 'draft'],
+  active: ['in_progress', 'completed', 'cancelled', 'expired'],
+  in_progress: ['completed', 'cancelled', 'active'],
+  expired: ['active'],
+  cancelled: ['active'],
+  completed: []
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw createError(409, `Cannot change job status from ${from} to ${to}`, 'INVALID_STATUS_TRANSITION');
+  }
+};
+
+const historyEntry = (from, to, { actor, reason } = {}) => ({
+  from,
+  to,
+  actor,
+  reason,
+  at: new Date()
+});
+
+// Change a job's status in memory and record it in the status history.
+// The caller saves the job and then calls publish() so listeners only
+// hear about changes that were actually stored.
+const transition = (job, to, options = {}) => {
+  const from = job.status;
+  assertTransition(from, to);
+
+  const entry = historyEntry(from, to, options);
+  job.status = to;
+  job.statusHistory.push(entry);
+  job.$locals.statusChanges = [...(job.$locals.statusChanges || []), entry];
+
+  return job;
+};
+
+// Emit job:status_changed for transitions made since the last publish
+const publish = (job) => {
+  const changes = job.$locals.statusChanges || [];
+  job.$locals.statusChanges = [];
+
+  changes.forEach(change => {
+    eventBus.emit('job:status_changed', { job, ...change });
+  });
+};
+
+// Keep active/in_progress in line with the job's open positions after
+// workers are hired or leave
+const syncStaffing = (job, options = {}) => {
+  const open = job.getOpenPositions();
+
+  if (job.status === 'active' && open === 0) {
+    transition(job, 'in_progress', { reason: 'All positions filled', ...options });
+  } else if (job.status === 'in_progress' && open > 0) {
+    transition(job, 'active', { reason: 'Position reopened', ...options });
+  }
+
+  return job;
+};
+
+// Complete the job once every hired worker is done
+const completeIfFinished = (job, options = {}) => {
+  const finished = job.getActiveAssignments().length === 0 &&
+    job.assignments.some(item => item.status === 'completed');
+
+  if (finished && canTransition(job.status, 'completed')) {
+    transition(job, 'completed', options);
+  }
+
+  return job;
+};
+
+// Transition a job straight in the database, only if it is still in the
+// expected status. Used by background processes that must not race with
+// requests. Resolves to the updated job, or null if the status moved on.
+const transitionById = async (jobId, from, to, options = {}, update = {}) => {
+  assertTransition(from, to);
+
+  const entry = historyEntry(from, to, options);
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: from },
+    { $set: { ...update, status: to }, $push: { statusHistory: entry } },
+    { new: true }
+  );
+
+  if (job) {
+    eventBus.emit('job:status_changed', { job, ...entry });
+  }
+
+  return job;
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  transition,
+  syncStaffing,
+  completeIfFinished,
+  publish,
+  transitionById
+};
@@ -0,0 +1,146 @@
+const Job = require('../models/Job');
+const jobLifecycle = require('./jobLifecycle');
+const cancellationPolicy = require('./cancellationPolicy');
+const eventBus = require('./eventBus');
+const config = require('../../config');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+// A job is open for applications for its lifetime counted from the moment
+// it goes live
+const liveFields = (now) => ({
+  publishedAt: now,
+  expiresAt: new Date(now.getTime() + config.jobExpiry.lifetimeDays * DAY)
+});
+
+// Check that a job can be queued to go live at publishAt
+const checkPublishAt = (job, publishAt, now = new Date()) => {
+  if (publishAt <= now) {
+    throw createError(400, 'Publication time must be in the future', 'INVALID_PUBLISH_AT');
+  }
+
+  if (job.date && publishAt >= cancellationPolicy.getJobStart(job)) {
+    throw createError(400, 'Publication time must be before the job starts', 'INVALID_PUBLISH_AT');
+  }
+};
+
+// Save a job leaving the draft state. The job details are required from
+// now on, so a draft that is still missing some cannot be published.
+const saveComplete = async (job) => {
+  try {
+    await job.save();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+
+    throw createError(
+      400,
+      `Fill in ${Object.keys(error.errors).join(', ')} before publishing`,
+      'DRAFT_INCOMPLETE'
+    );
+  }
+};
+
+// Publish a draft or scheduled job now, or queue it to go live at
+// publishAt. A scheduled job given a new publishAt is rescheduled.
+const publishJob = async (job, { actor, publishAt, now = new Date() }) => {
+  if (publishAt) {
+    checkPublishAt(job, publishAt, now);
+
+    if (job.status !== 'scheduled') {
+      jobLifecycle.transition(job, 'scheduled', { actor, reason: 'Scheduled by employer' });
+    }
+    job.publishAt = publishAt;
+  } else {
+    if (job.date && cancellationPolicy.getJobStart(job) <= now) {
+      throw createError(400, 'Choose a new date to publish this job', 'JOB_DATE_PASSED');
+    }
+
+    jobLifecycle.transition(job, 'active', { actor, reason: 'Published by employer' });
+    job.set(liveFields(now));
+  }
+
+  await saveComplete(job);
+  jobLifecycle.publish(job);
+
+  if (job.status === 'active') {
+    eventBus.emit('job:published', { job });
+  }
+
+  return job;
+};
+
+// Take a scheduled job off the queue and back to a draft
+const unscheduleJob = async (job, { actor }) => {
+  jobLifecycle.transition(job, 'draft', { actor, reason: 'Unscheduled by employer' });
+  job.publishAt = undefined;
+  await job.save();
+  jobLifecycle.publish(job);
+
+  return job;
+};
+
+// Publish scheduled jobs whose time has come. Each job is moved with a
+// conditional update so concurrent runs never publish a job twice.
+const publishDueJobs = async (now = new Date()) => {
+  const dueJobs = await Job.find({
+    status: 'scheduled',
+    publishAt: { $lte: now }
+  }).select('_id');
+
+  let published = 0;
+
+  for (const { _id } of dueJobs) {
+    const job = await jobLifecycle.transitionById(
+      _id,
+      'scheduled',
+      'active',
+      { reason: 'Scheduled publication' },
+      liveFields(now)
+    );
+
+    if (job) {
+      published += 1;
+      eventBus.emit('job:published', { job });
+    }
+  }
+
+  return published;
+};
+
+const sweep = async () => {
+  try {
+    const published = await publishDueJobs();
+    if (published > 0) {
+      console.log(`Published ${published} scheduled jobs`);
+    }
+  } catch (error) {
+    console.error('Job publishing sweep error:', error);
+  }
+};
+
+// Publish due jobs now and then on the configured interval
+const startPublishScheduler = async () => {
+  await sweep();
+
+  timer = setInterval(sweep, config.jobPublishing.sweepIntervalMinutes * 60 * 1000);
+  timer.unref();
+};
+
+const stopPublishScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  checkPublishAt,
+  publishJob,
+  unscheduleJob,
+  publishDueJobs,
+  startPublishScheduler,
+  stopPublishScheduler
+};
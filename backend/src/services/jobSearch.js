@@ -0,0 +1,100 @@
+// Full-text job search on top of the weighted text index on the Job model.
+// MongoDB stems each job in its own `searchLanguage` and the query in the
+// language it is written in, so Russian and English postings both match
+// other forms of the searched words.
+
+const CYRILLIC = /[а-яё]/gi;
+const LATIN = /[a-z]/gi;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Characters of job text shown around the first match
+const SNIPPET_LENGTH = 160;
+
+// Text search language of a piece of text, by the script most of it is
+// written in
+const detectLanguage = (text = '') => {
+  const cyrillic = (text.match(CYRILLIC) || []).length;
+  const latin = (text.match(LATIN) || []).length;
+  return cyrillic > 0 && cyrillic >= latin ? 'russian' : 'english';
+};
+
+// Query filter for a search string. The string keeps MongoDB's text
+// search syntax: "quoted phrases" and -excluded words.
+const textFilter = (search) => ({
+  $text: { $search: search, $language: detectLanguage(search) }
+});
+
+// Words to highlight: the searched words, without excluded ones, cut down
+// to a rough stem so other forms of the word are highlighted too
+const queryStems = (search) => {
+  const stems = (search.toLowerCase().match(/-?[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !term.startsWith('-'))
+    .map(term => (term.length > 4 ? term.slice(0, Math.max(4, Math.ceil(term.length * 0.7))) : term));
+
+  return [...new Set(stems)];
+};
+
+const isMatch = (word, stems) => {
+  const lower = word.toLowerCase();
+  return stems.some(stem => lower.startsWith(stem));
+};
+
+// Split text into segments, marking the words that match the search
+const highlight = (text, stems) => {
+  const segments = [];
+  let last = 0;
+
+  for (const { 0: word, index } of text.matchAll(WORD)) {
+    if (!isMatch(word, stems)) continue;
+
+    if (index > last) {
+      segments.push({ text: text.slice(last, index), match: false });
+    }
+    segments.push({ text: word, match: true });
+    last = index + word.length;
+  }
+
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+
+  return segments;
+};
+
+// Part of the text around the first match, cut at word boundaries
+const snippet = (text, stems) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+
+  const first = [...text.matchAll(WORD)].find(({ 0: word }) => isMatch(word, stems));
+  let start = first ? Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3)) : 0;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1 || start;
+  }
+  if (end < text.length) {
+    end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+// Highlighted title and description snippet of a job found by a search.
+// Each is a list of { text, match } segments for the client to render.
+const highlights = (job, search) => {
+  const stems = queryStems(search);
+
+  return {
+    title: highlight(job.title || '', stems),
+    description: highlight(snippet(job.description || '', stems), stems)
+  };
+};
+
+module.exports = {
+  detectLanguage,
+  textFilter,
+  queryStems,
+  highlights
+};
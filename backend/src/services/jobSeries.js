@@ -0,0 +1,344 @@
+const Job = require('../models/Job');
+const JobSeries = require('../models/JobSeries');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const recurrence = require('./recurrence');
+const jobCancellation = require('./jobCancellation');
+const eligibility = require('./eligibility');
+const eventBus = require('./eventBus');
+const config = require('../../config');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+const horizon = (now) => new Date(now.getTime() + config.jobSeries.horizonDays * DAY);
+
+// Occurrences of the series that have not happened yet
+const findUpcoming = (series, filter = {}, now = new Date()) => Job.find({
+  series: series._id,
+  date: { $gte: recurrence.startOfDay(now) },
+  ...filter
+}).sort({ date: 1 });
+
+// Profiles of the series applicants, by id, for the eligibility check
+const loadApplicants = async (series) => {
+  const workers = await User.find({ _id: { $in: series.applicants.map(item => item.worker) } })
+    .select('skills experienceLevel education dateOfBirth certifications')
+    .lean();
+
+  return new Map(workers.map(worker => [worker._id.toString(), worker]));
+};
+
+// A job for one occurrence, with the series applicants already applied.
+// As in applyToSeries, applicants who miss a hard requirement are left
+// out and soft ones are recorded on the application.
+const buildOccurrence = (series, date, workers, now) => {
+  const job = new Job({
+    ...series.template,
+    employer: series.employer,
+    date,
+    // Open for applications until the day of the shift is over
+    expiresAt: new Date(date.getTime() + DAY),
+    series: series._id,
+    publishedAt: now
+  });
+
+  series.applicants.forEach(applicant => {
+    const worker = workers.get(applicant.worker.toString());
+    const result = worker && eligibility.evaluate(job, worker, now);
+    if (!result || !result.eligible) {
+      return;
+    }
+
+    job.applications.push({
+      worker: applicant.worker,
+      message: applicant.message,
+      fromSeries: true,
+      unmetRequirements: result.warnings
+    });
+  });
+  job.applicationsCount = job.applications.length;
+
+  return job;
+};
+
+// Create the occurrences due within the horizon that were not generated
+// yet. The generated range is claimed with a conditional update so
+// concurrent runs never create the same occurrence twice, and the claim
+// commits together with the new jobs: if one cannot be saved nothing is
+// generated and the next run tries again. Series with nothing left to
+// generate are marked ended. The new jobs are announced as published once
+// committed. Resolves to the new jobs.
+const generateOccurrences = async (series, now = new Date()) => {
+  if (series.status !== 'active') {
+    return [];
+  }
+
+  const through = horizon(now);
+  const { maxOccurrences } = config.jobSeries;
+  const rule = series.recurrence;
+  const all = recurrence.occurrenceDates(rule, through, maxOccurrences);
+  const today = recurrence.startOfDay(now);
+
+  // Past days of a series starting in the past are skipped
+  const dates = all.filter(date => {
+    return (!series.generatedThrough || date > series.generatedThrough) && date >= today;
+  });
+
+  const finished = (rule.until && recurrence.startOfDay(rule.until) <= through) ||
+    all.length >= Math.min(rule.count || Infinity, maxOccurrences);
+
+  if (dates.length === 0 && !finished) {
+    return [];
+  }
+
+  const update = {
+    generatedThrough: dates.length > 0 ? dates[dates.length - 1] : series.generatedThrough,
+    status: finished ? 'ended' : 'active'
+  };
+
+  const workers = await loadApplicants(series);
+
+  let jobs;
+  try {
+    jobs = await ledger.withTransaction(async (session) => {
+      const claim = await JobSeries.updateOne(
+        { _id: series._id, status: 'active', generatedThrough: series.generatedThrough || null },
+        { $set: update, $inc: { occurrencesCount: dates.length } },
+        { session }
+      );
+
+      if (claim.modifiedCount === 0) {
+        return null;
+      }
+
+      const created = [];
+      for (const date of dates) {
+        const job = buildOccurrence(series, date, workers, now);
+        await job.save({ session });
+        created.push(job);
+      }
+
+      return created;
+    });
+  } catch (error) {
+    // Another run claimed the same range at the same time
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      return [];
+    }
+    throw error;
+  }
+
+  if (!jobs) {
+    return [];
+  }
+  jobs.forEach(job => {
+    job.$session(null);
+    eventBus.emit('job:published', { job });
+  });
+
+  series.set(update);
+  series.occurrencesCount += dates.length;
+
+  return jobs;
+};
+
+// Generate occurrences for every running series that is not yet covered
+// up to the horizon
+const extendAllSeries = async (now = new Date()) => {
+  const seriesList = await JobSeries.find({
+    status: 'active',
+    $or: [
+      { generatedThrough: null },
+      { generatedThrough: { $lt: recurrence.startOfDay(horizon(now)) } }
+    ]
+  });
+
+  let created = 0;
+  for (const series of seriesList) {
+    // One series that cannot be generated does not hold up the others
+    try {
+      const jobs = await generateOccurrences(series, now);
+      created += jobs.length;
+    } catch (error) {
+      console.error(`Job series ${series._id} generation error:`, error);
+    }
+  }
+
+  return created;
+};
+
+// Change the job details of a series. Upcoming occurrences follow unless
+// they were edited on their own or already have hired workers, who agreed
+// to the old terms. Resolves to the number of occurrences updated and
+// skipped.
+const updateSeries = async (series, changes) => {
+  const template = Job.pickDetails(changes);
+
+  series.template = { ...series.template, ...template };
+  series.markModified('template');
+  await series.save();
+
+  const occurrences = await findUpcoming(series, { status: 'active', seriesDetached: { $ne: true } });
+
+  let updated = 0;
+  let skipped = 0;
+  for (const job of occurrences) {
+    if (job.getActiveAssignments().length > 0) {
+      skipped += 1;
+      continue;
+    }
+
+    job.set(template);
+    await job.save();
+    updated += 1;
+  }
+
+  return { updated, skipped };
+};
+
+// Stop a series and cancel its upcoming occurrences, compensating and
+// refunding hired workers under the cancellation policy. The series is
+// marked cancelled first so no occurrences are generated meanwhile; if
+// some occurrences fail to cancel, the others still are and cancelling
+// the series again retries the rest. Resolves to the cancelled jobs.
+const cancelSeries = async (series, { actor, reason }) => {
+  const retry = series.status === 'cancelled';
+
+  if (!retry) {
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+  }
+
+  const occurrences = await findUpcoming(series, { status: { $in: ['active', 'in_progress'] } });
+
+  if (retry && occurrences.length === 0) {
+    throw createError(409, 'This series was cancelled', 'SERIES_CANCELLED');
+  }
+
+  const cancelled = [];
+  let failure = null;
+  for (const job of occurrences) {
+    try {
+      await jobCancellation.cancelJob(job, { actor, reason: reason || 'Series cancelled' });
+      cancelled.push(job);
+    } catch (error) {
+      console.error(`Cancel series occurrence ${job._id} error:`, error);
+      failure = failure || error;
+    }
+  }
+
+  if (failure) {
+    throw failure;
+  }
+
+  return cancelled;
+};
+
+// Apply a worker to every upcoming occurrence they can still apply to and
+// remember them for occurrences generated later. Resolves to the number
+// of occurrences applied to.
+const applyToSeries = async (series, worker, message) => {
+  if (series.status === 'cancelled') {
+    throw createError(409, 'This series was cancelled', 'SERIES_CANCELLED');
+  }
+
+  if (series.employer.toString() === worker._id.toString()) {
+    throw createError(400, 'Cannot apply to your own series');
+  }
+
+  if (series.applicants.some(item => item.worker.toString() === worker._id.toString())) {
+    throw createError(409, 'You already applied to this series', 'ALREADY_APPLIED');
+  }
+
+  series.applicants.push({ worker: worker._id, message });
+  await series.save();
+
+  const occurrences = await findUpcoming(series, { status: 'active' });
+
+  let applied = 0;
+  for (const job of occurrences) {
+    // Occurrences edited to hard requirements the worker misses are skipped
+    const result = eligibility.evaluate(job, worker);
+    if (!job.canApply(worker._id) || !result.eligible) {
+      continue;
+    }
+
+    job.applications.push({ worker: worker._id, message, fromSeries: true, unmetRequirements: result.warnings });
+    job.applicationsCount = job.applications.length;
+    await job.save();
+    applied += 1;
+  }
+
+  eventBus.emit('series:applied', { series, worker, occurrences: applied });
+
+  return applied;
+};
+
+// Take a worker off the series and withdraw their pending series
+// applications. Occurrences they were already hired for are kept.
+const withdrawFromSeries = async (series, workerId) => {
+  const applicant = series.applicants.find(item => item.worker.toString() === workerId.toString());
+
+  if (!applicant) {
+    throw createError(404, 'You have not applied to this series');
+  }
+
+  series.applicants.pull(applicant._id);
+  await series.save();
+
+  const occurrences = await findUpcoming(series, {
+    applications: { $elemMatch: { worker: workerId, status: 'pending', fromSeries: true } }
+  });
+
+  for (const job of occurrences) {
+    job.applications = job.applications.filter(item => {
+      return !(item.worker.toString() === workerId.toString() && item.status === 'pending' && item.fromSeries);
+    });
+    job.applicationsCount = job.applications.length;
+    await job.save();
+  }
+
+  return occurrences.length;
+};
+
+const sweep = async () => {
+  try {
+    const created = await extendAllSeries();
+    if (created > 0) {
+      console.log(`Generated ${created} recurring job occurrences`);
+    }
+  } catch (error) {
+    console.error('Job series sweep error:', error);
+  }
+};
+
+// Generate occurrences now and then on the configured interval
+const startSeriesScheduler = async () => {
+  await sweep();
+
+  timer = setInterval(sweep, config.jobSeries.sweepIntervalMinutes * 60 * 1000);
+  timer.unref();
+};
+
+const stopSeriesScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  findUpcoming,
+  generateOccurrences,
+  extendAllSeries,
+  updateSeries,
+  cancelSeries,
+  applyToSeries,
+  withdrawFromSeries,
+  startSeriesScheduler,
+  stopSeriesScheduler
+};
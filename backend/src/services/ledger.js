@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const config = require('../../config');
+const { createError } = require('../middleware/errorHandler');
+
+// Ledger accounts. Balances are credit-normal: credits minus debits, so
+// wallets, escrow and fee revenue are positive while external accounts
+// (money entering or leaving the platform) go negative.
+const accounts = {
+  wallet: (userId) => ({ account: `wallet:${userId}`, user: userId }),
+  escrow: (jobId) => ({ account: `escrow:${jobId}`, job: jobId }),
+  platformFees: () => ({ account: 'platform:fees' }),
+  payoutsPending: (userId) => ({ account: 'payouts:pending', user: userId }),
+  payoutsSettled: (userId) => ({ account: 'external:payouts', user: userId }),
+  funding: (userId) => ({ account: 'external:funding', user: userId }),
+  openingBalance: () => ({ account: 'equity:opening' })
+};
+
+const WALLET_PREFIX = 'wallet:';
+
+// Round to cents to keep floating point noise out of the ledger
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Lines moving an amount from one account to another
+const transfer = (from, to, amount) => [
+  { ...from, debit: round(amount) },
+  { ...to, credit: round(amount) }
+];
+
+// Side effects outside the database to undo when a session's transaction
+// rolls back, e.g. refunding a card charged inside it
+const abortHandlers = new WeakMap();
+
+const onAbort = (session, handler) => {
+  if (!abortHandlers.has(session)) {
+    abortHandlers.set(session, []);
+  }
+  abortHandlers.get(session).push(handler);
+};
+
+const runAbortHandlers = async (session) => {
+  for (const handler of abortHandlers.get(session) || []) {
+    try {
+      await handler();
+    } catch (error) {
+      console.error('Transaction rollback handler error:', error);
+    }
+  }
+};
+
+// Run work inside a MongoDB transaction (requires a replica set)
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+
+    // A commit with an unknown result may have gone through, so nothing
+    // is undone; the handlers' side effects need manual reconciliation
+    if (error.hasErrorLabel && error.hasErrorLabel('UnknownTransactionCommitResult')) {
+      console.error('Transaction commit result unknown; rollback handlers skipped:', error);
+    } else {
+      await runAbortHandlers(session);
+    }
+    throw error;
+  } finally {
+    abortHandlers.delete(session);
+    await session.endSession();
+  }
+};
+
+// Post a balanced journal and keep cached wallet balances in step.
+// A journal moves money in a single currency.
+const post = async ({ lines, currency = config.currency.base, description, transaction, job }, session) => {
+  if (!lines || lines.length < 2) {
+    throw new Error('A journal needs at least two lines');
+  }
+
+  if (!config.currency.supported.includes(currency)) {
+    throw new Error(`Unsupported ledger currency ${currency}`);
+  }
+
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  lines.forEach(line => {
+    const debit = round(line.debit || 0);
+    const credit = round(line.credit || 0);
+
+    if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      throw new Error(`Invalid ledger line for ${line.account}`);
+    }
+
+    totalDebits += debit;
+    totalCredits += credit;
+  });
+
+  if (round(totalDebits) !== round(totalCredits)) {
+    throw new Error(`Unbalanced journal: debits ${round(totalDebits)} != credits ${round(totalCredits)}`);
+  }
+
+  const journal = `JRN-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+  const entries = lines.map(line => ({
+    journal,
+    account: line.account,
+    debit: round(line.debit || 0),
+    credit: round(line.credit || 0),
+    currency,
+    description,
+    user: line.user,
+    job: line.job || job,
+    transaction
+  }));
+
+  await LedgerEntry.insertMany(entries, { session });
+
+  // Apply net wallet changes; debits may never overdraw a wallet
+  const walletChanges = new Map();
+  entries
+    .filter(entry => entry.account.startsWith(WALLET_PREFIX))
+    .forEach(entry => {
+      const userId = entry.account.slice(WALLET_PREFIX.length);
+      const change = (walletChanges.get(userId) || 0) + entry.credit - entry.debit;
+      walletChanges.set(userId, round(change));
+    });
+
+  const balancePath = `wallet.balances.${currency}`;
+
+  for (const [userId, change] of walletChanges) {
+    if (change === 0) continue;
+
+    const filter = { _id: userId };
+    if (change < 0) {
+      filter[balancePath] = { $gte: -change };
+    }
+
+    const result = await User.updateOne(
+      filter,
+      { $inc: { [balancePath]: change } },
+      { session }
+    );
+
+    if (result.matchedCount === 0) {
+      throw createError(400, 'Insufficient balance', 'INSUFFICIENT_BALANCE');
+    }
+  }
+
+  return journal;
+};
+
+// Create a user-facing transaction together with its ledger postings
+const record = async (data, lines, session) => {
+  const transaction = new Transaction(data);
+  await transaction.save({ session });
+
+  await post({
+    lines,
+    currency: transaction.currency,
+    description: transaction.description,
+    transaction: transaction._id,
+    job: transaction.job
+  }, session);
+
+  return transaction;
+};
+
+// Derive an account balance from its entries
+const getBalance = async (account, currency) => {
+  const match = { account };
+  if (currency) {
+    match.currency = currency;
+  }
+
+  const result = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: '$debit' },
+        credits: { $sum: '$credit' }
+      }
+    }
+  ]);
+
+  return result.length > 0 ? round(result[0].credits - result[0].debits) : 0;
+};
+
+const getUserBalance = (userId, currency) => {
+  return getBalance(accounts.wallet(userId).account, currency);
+};
+
+// Wallet balances per user and currency as derived from the entries
+const getDerivedWalletBalances = async () => {
+  const walletBalances = await LedgerEntry.aggregate([
+    { $match: { account: { $regex: `^${WALLET_PREFIX}` } } },
+    {
+      $group: {
+        _id: { account: '$account', currency: '$currency' },
+        balance: { $sum: { $subtract: ['$credit', '$debit'] } }
+      }
+    }
+  ]);
+
+  const derived = new Map();
+  walletBalances.forEach(wallet => {
+    const userId = wallet._id.account.slice(WALLET_PREFIX.length);
+    const balances = derived.get(userId) || {};
+    balances[wallet._id.currency] = round(wallet.balance);
+    derived.set(userId, balances);
+  });
+
+  return derived;
+};
+
+// Check the ledger invariants: debits equal credits overall and per
+// journal, and cached wallet balances match the derived ones
+const verify = async () => {
+  const [totals] = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: '$debit' },
+        credits: { $sum: '$credit' }
+      }
+    }
+  ]);
+
+  const unbalancedJournals = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: '$journal',
+        debits: { $sum: '$debit' },
+        credits: { $sum: '$credit' }
+      }
+    },
+    {
+      $match: {
+        $expr: {
+          $gt: [{ $abs: { $subtract: ['$debits', '$credits'] } }, 0.005]
+        }
+      }
+    }
+  ]);
+
+  const derived = await getDerivedWalletBalances();
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: [...derived.keys()] } },
+      { 'wallet.balances': { $exists: true, $ne: {} } }
+    ]
+  }).select('wallet').lean();
+
+  const walletMismatches = [];
+  users.forEach(user => {
+    const cached = (user.wallet && user.wallet.balances) || {};
+    const ledgerBalances = derived.get(user._id.toString()) || {};
+    const currencies = new Set([...Object.keys(cached), ...Object.keys(ledgerBalances)]);
+
+    currencies.forEach(currency => {
+      const wallet = {
+        userId: user._id,
+        currency,
+        cached: round(cached[currency] || 0),
+        derived: ledgerBalances[currency] || 0
+      };
+
+      if (wallet.cached !== wallet.derived) {
+        walletMismatches.push(wallet);
+      }
+    });
+  });
+
+  const totalDebits = totals ? round(totals.debits) : 0;
+  const totalCredits = totals ? round(totals.credits) : 0;
+
+  return {
+    balanced: totalDebits === totalCredits &&
+      unbalancedJournals.length === 0 &&
+      walletMismatches.length === 0,
+    totalDebits,
+    totalCredits,
+    unbalancedJournals: unbalancedJournals.map(journal => ({
+      journal: journal._id,
+      debits: round(journal.debits),
+      credits: round(journal.credits)
+    })),
+    walletMismatches
+  };
+};
+
+// Rebuild every cached wallet from the ledger, e.g. after migrating data.
+// Legacy single-currency balances are not in the ledger yet and would be
+// wiped, so they must be migrated first.
+const syncWallets = async () => {
+  const legacy = await User.collection.countDocuments({ 'wallet.balance': { $exists: true } });
+  if (legacy > 0) {
+    throw new Error(`${legacy} users have unmigrated wallet balances; run npm run migrate:wallets first`);
+  }
+
+  const derived = await getDerivedWalletBalances();
+
+  await User.updateMany(
+    { _id: { $nin: [...derived.keys()] } },
+    { $set: { 'wallet.balances': {} } }
+  );
+
+  for (const [userId, balances] of derived) {
+    await User.updateOne({ _id: userId }, { $set: { 'wallet.balances': balances } });
+  }
+
+  return derived.size;
+};
+
+module.exports = {
+  accounts,
+  transfer,
+  withTransaction,
+  onAbort,
+  post,
+  record,
+  getBalance,
+  getUserBalance,
+  verify,
+  syncWallets
+};
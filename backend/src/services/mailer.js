@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+let transport = null;
+
+// Without SMTP settings emails are written to the log instead of sent,
+// so development needs no mail server
+const getTransport = () => {
+  if (!transport) {
+    transport = config.email.host
+      ? nodemailer.createTransport({
+        host: config.email.host,
+        port: parseInt(config.email.port) || 587,
+        secure: parseInt(config.email.port) === 465,
+        auth: config.email.user ? { user: config.email.user, pass: config.email.pass } : undefined
+      })
+      : nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const info = await getTransport().sendMail({
+    from: config.email.from,
+    to,
+    subject,
+    text
+  });
+
+  if (!config.email.host) {
+    console.log(`Email to ${to} (not sent, SMTP is not configured): ${subject}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,229 @@
+const Notification = require('../models/Notification');
+const eventBus = require('./eventBus');
+
+// Create and store a notification for a user
+const createNotification = async (userId, type, title, message, data = {}) => {
+  const notification = new Notification({
+    user: userId,
+    type,
+    title,
+    message,
+    data
+  });
+
+  await notification.save();
+  return notification;
+};
+
+// Subscribe to a domain event. Listeners run outside the request cycle,
+// so failures are logged instead of being thrown back at the emitter.
+const subscribe = (event, handler) => {
+  eventBus.on(event, async (payload) => {
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`Notification error (${event}):`, error);
+    }
+  });
+};
+
+// Applicants who miss soft requirements are flagged to the employer
+subscribe('application:submitted', ({ job, application, worker }) => {
+  const unmet = application.unmetRequirements || [];
+
+  return createNotification(
+    job.employer,
+    'application_submitted',
+    'New application',
+    `${worker.firstName} ${worker.lastName} applied for "${job.title}"` +
+      (unmet.length > 0 ? ` but does not meet: ${unmet.join(', ')}` : ''),
+    { jobId: job._id, workerId: worker._id, unmetRequirements: unmet }
+  );
+});
+
+subscribe('application:accepted', ({ job, application }) => createNotification(
+  application.worker,
+  'application_accepted',
+  'Application accepted',
+  `Your application for "${job.title}" at ${job.companyName} was accepted`,
+  { jobId: job._id, applicationId: application._id }
+));
+
+subscribe('application:rejected', ({ job, application }) => createNotification(
+  application.worker,
+  'application_rejected',
+  'Application rejected',
+  `Your application for "${job.title}" at ${job.companyName} was not accepted`,
+  { jobId: job._id, applicationId: application._id }
+));
+
+subscribe('series:applied', ({ series, worker, occurrences }) => createNotification(
+  series.employer,
+  'series_application',
+  'New series application',
+  `${worker.firstName} ${worker.lastName} applied to every "${series.template.title}" shift (${occurrences} upcoming)`,
+  { seriesId: series._id, workerId: worker._id, occurrences }
+));
+
+subscribe('job:completed', ({ job, transaction, fee }) => createNotification(
+  transaction.user,
+  'job_completed',
+  'Job completed and paid',
+  `You received ${transaction.currency}${fee.net} for "${job.title}"`,
+  { jobId: job._id, transactionId: transaction._id, amount: fee.net, fee: fee.fee }
+));
+
+subscribe('rating:received', ({ job, userId, rating }) => createNotification(
+  userId,
+  'rating_received',
+  'New rating',
+  `You received a ${rating}-star rating for "${job.title}"`,
+  { jobId: job._id, rating }
+));
+
+subscribe('withdrawal:completed', ({ transaction }) => createNotification(
+  transaction.user,
+  'withdrawal_completed',
+  'Withdrawal completed',
+  `Your withdrawal of ${transaction.currency}${Math.abs(transaction.amount)} has been processed`,
+  { transactionId: transaction._id, amount: Math.abs(transaction.amount) }
+));
+
+subscribe('withdrawal:failed', ({ transaction, reason }) => createNotification(
+  transaction.user,
+  'withdrawal_failed',
+  'Withdrawal failed',
+  `Your withdrawal of ${transaction.currency}${Math.abs(transaction.amount)} could not be processed`,
+  { transactionId: transaction._id, reason }
+));
+
+subscribe('withdrawal:reversed', ({ transaction, amount }) => createNotification(
+  transaction.user,
+  'withdrawal_reversed',
+  'Withdrawal returned',
+  `${transaction.currency}${amount} of your withdrawal was returned to your wallet`,
+  { transactionId: transaction._id, amount }
+));
+
+subscribe('timesheet:submitted', ({ job, timesheet }) => createNotification(
+  timesheet.employer,
+  'timesheet_submitted',
+  'Timesheet submitted',
+  `Hours for "${job.title}" are waiting for your approval`,
+  { jobId: job._id, timesheetId: timesheet._id }
+));
+
+subscribe('timesheet:approved', ({ job, timesheet }) => createNotification(
+  timesheet.worker,
+  'timesheet_approved',
+  'Timesheet approved',
+  `Your hours for "${job.title}" were approved`,
+  { jobId: job._id, timesheetId: timesheet._id, approvedMinutes: timesheet.approvedMinutes }
+));
+
+subscribe('timesheet:disputed', ({ job, timesheet }) => createNotification(
+  timesheet.worker,
+  'timesheet_disputed',
+  'Timesheet disputed',
+  `Your hours for "${job.title}" were disputed: ${timesheet.dispute.reason}`,
+  { jobId: job._id, timesheetId: timesheet._id, reason: timesheet.dispute.reason }
+));
+
+// Hired workers, or everyone still waiting on an application, hear about
+// a cancellation; the employer gets a summary of the money moved
+subscribe('job:cancelled', async ({ job, reason, policy, results }) => {
+  const currency = job.pay.currency;
+
+  if (results.length > 0) {
+    await Promise.all(results.map(({ assignment, compensation }) => createNotification(
+      assignment.worker,
+      'job_cancelled',
+      'Job cancelled',
+      compensation
+        ? `"${job.title}" was cancelled at short notice. You received ${currency}${compensation.amount} as compensation.`
+        : `"${job.title}" was cancelled: ${reason}`,
+      { jobId: job._id, reason, late: policy.late, compensation: compensation ? compensation.amount : 0 }
+    )));
+  } else {
+    const applicants = job.applications.filter(item => item.status === 'pending');
+
+    await Promise.all(applicants.map(item => createNotification(
+      item.worker,
+      'job_cancelled',
+      'Job cancelled',
+      `"${job.title}" was cancelled: ${reason}`,
+      { jobId: job._id, reason }
+    )));
+  }
+
+  const refunded = Math.round(results.reduce((sum, item) => sum + (item.refund ? item.refund.amount : 0), 0) * 100) / 100;
+  const compensated = job.cancellation.compensation;
+
+  const parts = [];
+  if (refunded > 0) parts.push(`${currency}${refunded} was refunded to your wallet`);
+  if (compensated > 0) parts.push(`${currency}${compensated} went to workers for the late cancellation`);
+
+  await createNotification(
+    job.employer,
+    'job_cancellation_confirmed',
+    'Job cancelled',
+    `"${job.title}" was cancelled${parts.length ? `. ${parts.join('; ')}.` : '.'}`,
+    { jobId: job._id, late: policy.late, refund: refunded, compensation: compensated }
+  );
+});
+
+subscribe('job:dropped_out', async ({ job, worker, reason, policy, refund }) => {
+  await createNotification(
+    job.employer,
+    'worker_dropped_out',
+    'Worker dropped out',
+    `${worker.firstName} ${worker.lastName} dropped out of "${job.title}". Their position is open to other applicants again.`,
+    { jobId: job._id, workerId: worker._id, reason, late: policy.late, refund: refund ? refund.amount : 0 }
+  );
+
+  await createNotification(
+    worker._id,
+    'job_drop_out_recorded',
+    'You dropped out',
+    policy.countsAgainstReliability
+      ? `You dropped out of "${job.title}" at short notice. This counts against your reliability.`
+      : `You dropped out of "${job.title}"`,
+    { jobId: job._id, late: policy.late }
+  );
+});
+
+// Notifications for job status changes, keyed by the new status
+const statusNotifications = {
+  // Scheduled jobs go live without the employer; tell them when it happens
+  active: ({ job, from, actor }) => (from === 'scheduled' && !actor ? createNotification(
+    job.employer,
+    'job_published',
+    'Job published',
+    `"${job.title}" is now live and open for applications.`,
+    { jobId: job._id }
+  ) : null),
+  expired: ({ job }) => createNotification(
+    job.employer,
+    'job_expired',
+    'Job expired',
+    `"${job.title}" expired without a worker. Repost it with one tap.`,
+    {
+      jobId: job._id,
+      action: {
+        type: 'repost',
+        method: 'POST',
+        url: `/api/jobs/${job._id}/repost`
+      }
+    }
+  )
+};
+
+subscribe('job:status_changed', (change) => {
+  const notify = statusNotifications[change.to];
+  return notify ? notify(change) : null;
+});
+
+module.exports = {
+  createNotification,
+  subscribe
+};
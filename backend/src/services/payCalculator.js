@@ -0,0 +1,53 @@
+const { createError } = require('../middleware/errorHandler');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Hourly and commission jobs are paid from an approved timesheet
+const requiresTimesheet = (job) => ['hourly', 'commission'].includes(job.pay.type);
+
+// Amount reserved in escrow when a worker is accepted. Hourly jobs are
+// estimated from the posted duration; commission jobs post their
+// expected payout as the pay amount.
+const estimateAmount = (job) => {
+  if (job.pay.type === 'hourly') {
+    return round(job.pay.amount * job.duration);
+  }
+
+  return round(job.pay.amount);
+};
+
+// Work out what the worker is owed for a job
+const calculatePayout = (job, timesheet) => {
+  const type = job.pay.type;
+
+  if (!requiresTimesheet(job)) {
+    return { type, amount: round(job.pay.amount) };
+  }
+
+  if (!timesheet || !['approved', 'paid'].includes(timesheet.status)) {
+    throw createError(400, 'The timesheet for this job has not been approved', 'TIMESHEET_NOT_APPROVED');
+  }
+
+  // Paid for the exact approved time; the hours are rounded for display only
+  if (type === 'hourly') {
+    return {
+      type,
+      amount: round(job.pay.amount * timesheet.approvedMinutes / 60),
+      hours: round(timesheet.approvedMinutes / 60),
+      rate: job.pay.amount
+    };
+  }
+
+  return {
+    type,
+    amount: round(timesheet.reportedAmount * job.pay.commissionRate / 100),
+    reportedAmount: timesheet.reportedAmount,
+    commissionRate: job.pay.commissionRate
+  };
+};
+
+module.exports = {
+  requiresTimesheet,
+  estimateAmount,
+  calculatePayout
+};
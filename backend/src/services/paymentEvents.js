@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const withdrawalService = require('./withdrawalService');
+
+const findPayoutTransaction = (event) => {
+  if (event.transactionId && mongoose.isValidObjectId(event.transactionId)) {
+    return Transaction.findOne({ _id: event.transactionId, type: 'withdrawal' });
+  }
+
+  if (event.transferId) {
+    return Transaction.findOne({ stripeTransferId: event.transferId, type: 'withdrawal' });
+  }
+
+  return null;
+};
+
+// Apply a verified payout provider event to our transactions. Providers
+// may deliver an event more than once, even concurrently, so a withdrawal
+// is settled by whichever delivery claims it first and the rest are skipped.
+const handleProviderEvent = async (event) => {
+  switch (event.type) {
+    case 'payout.succeeded':
+    case 'payout.failed': {
+      const transaction = await findPayoutTransaction(event);
+
+      if (!transaction) {
+        return { handled: false, reason: 'Transaction not found' };
+      }
+
+      const details = event.transferId && !transaction.stripeTransferId
+        ? { stripeTransferId: event.transferId }
+        : {};
+
+      try {
+        if (event.type === 'payout.succeeded') {
+          await withdrawalService.completeWithdrawal(transaction, details);
+        } else {
+          await withdrawalService.failWithdrawal(transaction, event.failureReason || 'Payout failed', details);
+        }
+      } catch (error) {
+        if (error.code === 'WITHDRAWAL_ALREADY_PROCESSED') {
+          return { handled: false, reason: 'Transaction already processed' };
+        }
+        throw error;
+      }
+
+      return { handled: true, transactionId: transaction._id };
+    }
+
+    // Money taken back from a payout. Before the payout completed this is
+    // a failure; afterwards the amount goes back to the user's wallet.
+    case 'payout.reversed': {
+      const transaction = await findPayoutTransaction(event);
+
+      if (!transaction) {
+        return { handled: false, reason: 'Transaction not found' };
+      }
+
+      const reason = event.failureReason || 'Payout reversed';
+
+      try {
+        if (transaction.status === 'pending') {
+          await withdrawalService.failWithdrawal(transaction, reason);
+        } else {
+          await withdrawalService.reverseWithdrawal(transaction, event.reversedAmount, reason);
+        }
+      } catch (error) {
+        if (error.code === 'WITHDRAWAL_ALREADY_PROCESSED') {
+          return { handled: false, reason: 'Transaction already processed' };
+        }
+        throw error;
+      }
+
+      return { handled: true, transactionId: transaction._id };
+    }
+
+    default:
+      return { handled: false, reason: `Unhandled event type ${event.type}` };
+  }
+};
+
+module.exports = {
+  handleProviderEvent
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const config = require('../../../config');
+const { createError } = require('../../middleware/errorHandler');
+
+// Local stand-in for Stripe used in development and tests. Payouts are
+// settled by a signed webhook event delivered in-process after a delay.
+const defaults = {
+  outcome: config.payouts.fake.outcome, // success | failure for payouts
+  chargeOutcome: config.payouts.fake.chargeOutcome, // success | failure for card charges
+  delayMs: config.payouts.fake.delayMs
+};
+
+let behavior = { ...defaults };
+
+// Change simulated behavior, e.g. configure({ outcome: 'failure', delayMs: 0 })
+const configure = (overrides = {}) => {
+  behavior = { ...behavior, ...overrides };
+};
+
+const reset = () => {
+  behavior = { ...defaults };
+};
+
+const generateId = (prefix) => {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// Signature sent in the X-Fake-Signature header
+const sign = (rawBody) => {
+  return crypto
+    .createHmac('sha256', config.payouts.fake.webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers['x-fake-signature'] || '';
+  const expected = sign(rawBody);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw createError(400, 'Webhook signature verification failed', 'INVALID_SIGNATURE');
+  }
+
+  return JSON.parse(rawBody.toString());
+};
+
+// Deliver an event to the webhook handler the way a real provider would
+const deliver = (event) => {
+  setTimeout(async () => {
+    const rawBody = Buffer.from(JSON.stringify(event));
+    try {
+      const { handleProviderEvent } = require('../paymentEvents');
+      await handleProviderEvent(parseWebhook(rawBody, { 'x-fake-signature': sign(rawBody) }));
+    } catch (error) {
+      console.error('Fake payout delivery error:', error);
+    }
+  }, behavior.delayMs);
+};
+
+const createPayout = async ({ transaction }) => {
+  const transferId = generateId('fake_tr');
+  const succeeded = behavior.outcome !== 'failure';
+
+  deliver({
+    id: generateId('fake_evt'),
+    type: succeeded ? 'payout.succeeded' : 'payout.failed',
+    transactionId: transaction._id.toString(),
+    transferId,
+    failureReason: succeeded ? undefined : 'Simulated payout failure'
+  });
+
+  return {
+    status: 'pending',
+    transferId
+  };
+};
+
+const chargePaymentMethod = async () => {
+  const succeeded = behavior.chargeOutcome !== 'failure';
+
+  return {
+    status: succeeded ? 'succeeded' : 'failed',
+    paymentIntentId: generateId('fake_pi'),
+    failureReason: succeeded ? undefined : 'Simulated card decline'
+  };
+};
+
+const refundCharge = async () => {
+  return {
+    status: 'succeeded',
+    refundId: generateId('fake_re')
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  createPayout,
+  chargePaymentMethod,
+  refundCharge,
+  parseWebhook,
+  configure,
+  reset,
+  sign
+};
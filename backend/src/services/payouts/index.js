@@ -0,0 +1,41 @@
+const config = require('../../../config');
+
+// Payout providers move money between the platform and the outside world.
+// Every provider implements:
+//
+//   createPayout({ transaction, user, paymentMethod })
+//     -> { status: 'pending' | 'completed' | 'failed', transferId, failureReason }
+//   chargePaymentMethod({ user, paymentMethod, amount, currency, description, metadata })
+//     -> { status: 'succeeded' | 'failed', paymentIntentId, failureReason }
+//   refundCharge({ paymentIntentId, amount, currency })
+//     -> { status: 'succeeded' | 'failed', refundId, failureReason }
+//        safe to retry: a charge is refunded at most once
+//   parseWebhook(rawBody, headers)
+//     -> { id, type, transactionId, transferId, paymentIntentId, failureReason,
+//          reversedAmount }
+//        where type is payout.succeeded, payout.failed, payout.reversed (money
+//        taken back after the payout, reversedAmount the total so far),
+//        charge.succeeded or charge.failed; throws an error with statusCode
+//        400 on a bad signature
+const providers = {
+  stripe: () => require('./stripeProvider'),
+  fake: () => require('./fakeProvider')
+};
+
+let provider = null;
+
+const getPayoutProvider = () => {
+  if (!provider) {
+    const createProvider = providers[config.payouts.provider];
+    if (!createProvider) {
+      throw new Error(`Unknown payout provider: ${config.payouts.provider}`);
+    }
+    provider = createProvider();
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPayoutProvider
+};
@@ -0,0 +1,154 @@
+const config = require('../../../config');
+const { createError } = require('../../middleware/errorHandler');
+
+const stripe = require('stripe')(config.stripe.secretKey);
+
+// Stripe amounts are in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(Math.abs(amount) * 100);
+const fromMinorUnits = (amount) => amount / 100;
+
+// Send a withdrawal to the worker's Stripe Connect account
+const createPayout = async ({ transaction, user }) => {
+  if (!user.stripeAccountId) {
+    return {
+      status: 'failed',
+      failureReason: 'No connected Stripe account'
+    };
+  }
+
+  try {
+    const transfer = await stripe.transfers.create({
+      amount: toMinorUnits(transaction.amount),
+      currency: transaction.currency.toLowerCase(),
+      destination: user.stripeAccountId,
+      description: transaction.description,
+      metadata: {
+        transactionId: transaction._id.toString()
+      }
+    }, {
+      idempotencyKey: `payout-${transaction._id}`
+    });
+
+    // Settled when the transfer.created webhook arrives
+    return {
+      status: 'pending',
+      transferId: transfer.id
+    };
+  } catch (error) {
+    console.error('Stripe transfer error:', error);
+    return {
+      status: 'failed',
+      failureReason: error.message
+    };
+  }
+};
+
+// Charge an employer's saved card off-session
+const chargePaymentMethod = async ({ user, paymentMethod, amount, currency, description, metadata = {} }) => {
+  if (!paymentMethod.stripePaymentMethodId || !user.stripeCustomerId) {
+    return {
+      status: 'failed',
+      failureReason: 'Payment method is not linked to Stripe'
+    };
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      customer: user.stripeCustomerId,
+      payment_method: paymentMethod.stripePaymentMethodId,
+      description,
+      metadata,
+      confirm: true,
+      off_session: true
+    });
+
+    return {
+      status: paymentIntent.status === 'succeeded' ? 'succeeded' : 'failed',
+      paymentIntentId: paymentIntent.id,
+      failureReason: paymentIntent.status === 'succeeded'
+        ? undefined
+        : `Payment ${paymentIntent.status}`
+    };
+  } catch (error) {
+    console.error('Stripe charge error:', error);
+    return {
+      status: 'failed',
+      paymentIntentId: error.payment_intent ? error.payment_intent.id : undefined,
+      failureReason: error.message
+    };
+  }
+};
+
+// Give back a charge, e.g. one made for escrow that was rolled back
+const refundCharge = async ({ paymentIntentId, amount }) => {
+  try {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: toMinorUnits(amount)
+    }, {
+      idempotencyKey: `refund-${paymentIntentId}`
+    });
+
+    const failed = ['failed', 'canceled'].includes(refund.status);
+    return {
+      status: failed ? 'failed' : 'succeeded',
+      refundId: refund.id,
+      failureReason: failed ? refund.failure_reason || `Refund ${refund.status}` : undefined
+    };
+  } catch (error) {
+    console.error('Stripe refund error:', error);
+    return {
+      status: 'failed',
+      failureReason: error.message
+    };
+  }
+};
+
+// Stripe event types mapped to provider-neutral ones
+const eventTypes = {
+  'transfer.created': 'payout.succeeded',
+  'transfer.reversed': 'payout.reversed',
+  'payment_intent.succeeded': 'charge.succeeded',
+  'payment_intent.payment_failed': 'charge.failed'
+};
+
+const parseWebhook = (rawBody, headers) => {
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      config.stripe.webhookSecret
+    );
+  } catch (error) {
+    throw createError(400, `Webhook signature verification failed: ${error.message}`, 'INVALID_SIGNATURE');
+  }
+
+  const object = event.data.object;
+  const isTransfer = object.object === 'transfer';
+
+  return {
+    id: event.id,
+    type: eventTypes[event.type] || event.type,
+    transactionId: object.metadata ? object.metadata.transactionId : undefined,
+    transferId: isTransfer ? object.id : undefined,
+    paymentIntentId: isTransfer ? undefined : object.id,
+    // Running total of the transfer reversed so far
+    reversedAmount: isTransfer && event.type === 'transfer.reversed'
+      ? fromMinorUnits(object.amount_reversed)
+      : undefined,
+    failureReason: object.last_payment_error
+      ? object.last_payment_error.message
+      : (event.type === 'transfer.reversed' ? 'Transfer reversed' : undefined)
+  };
+};
+
+module.exports = {
+  name: 'stripe',
+  createPayout,
+  chargePaymentMethod,
+  refundCharge,
+  parseWebhook
+};
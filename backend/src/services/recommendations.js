@@ -0,0 +1,171 @@
+// Personalized ranking of active jobs for a worker. Each job gets a score
+// from 0 to 100 built from weighted factors; factors that cannot be judged
+// for a job (no required skills, no home location...) are left out and the
+// remaining weights scaled up, so every score is explained by the factors
+// listed with it.
+const Job = require('../models/Job');
+const jobFilters = require('./jobFilters');
+const eligibility = require('./eligibility');
+const currency = require('./currency');
+const { distanceMeters } = require('./geo');
+const config = require('../../config');
+
+const WEIGHTS = {
+  skills: 30,
+  distance: 25,
+  pay: 20,
+  category: 15,
+  employerRating: 10
+};
+
+const normalize = (value) => value.trim().toLowerCase();
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Each factor returns { score (0 to 1), reason }, or null when it does not
+// apply to the job
+const factors = {
+  skills: (job, { user }) => {
+    const required = (job.requirements && job.requirements.skills) || [];
+    if (required.length === 0) return null;
+
+    const have = new Set((user.skills || []).map(normalize));
+    const matched = required.filter(skill => have.has(normalize(skill)));
+
+    return {
+      score: matched.length / required.length,
+      reason: matched.length > 0
+        ? `Matches your skills: ${matched.join(', ')}`
+        : `Requires ${required.join(', ')}`
+    };
+  },
+
+  distance: (job, { coordinates, radius, fromHome }) => {
+    const point = job.location && job.location.coordinates && job.location.coordinates.coordinates;
+    if (!coordinates || !point || point.length !== 2) return null;
+
+    const km = distanceMeters(coordinates, point) / 1000;
+    return {
+      score: Math.max(0, 1 - km / radius),
+      reason: `${round(km, 1)} km from ${fromHome ? 'home' : 'you'}`
+    };
+  },
+
+  // Pay against the worker's minimum, in their currency. Meeting the
+  // minimum scores half; pay twice the minimum or more scores full.
+  pay: (job, { user }) => {
+    const minPay = user.preferences.jobAlerts && user.preferences.jobAlerts.minPay;
+    if (!minPay) return null;
+
+    const displayCurrency = user.preferences.currency;
+    const pay = currency.convert(job.pay.amount, job.pay.currency, displayCurrency);
+
+    return {
+      score: pay < minPay ? 0 : Math.min(1, 0.5 + 0.5 * (pay - minPay) / minPay),
+      reason: pay < minPay
+        ? `Pays ${displayCurrency}${pay}, below your minimum of ${displayCurrency}${minPay}`
+        : `Pays ${displayCurrency}${pay}, your minimum is ${displayCurrency}${minPay}`
+    };
+  },
+
+  // Categories the worker completed most jobs in score highest
+  category: (job, { categoryCounts }) => {
+    const counts = Object.values(categoryCounts);
+    if (counts.length === 0) return null;
+
+    const count = categoryCounts[job.category] || 0;
+    return {
+      score: count / Math.max(...counts),
+      reason: count > 0
+        ? `You completed ${count} ${job.category} job${count === 1 ? '' : 's'}`
+        : `You have not worked in ${job.category} yet`
+    };
+  },
+
+  employerRating: (job) => {
+    const stats = job.employer && job.employer.stats;
+    if (!stats || !stats.totalReviews) return null;
+
+    return {
+      score: stats.averageRating / 5,
+      reason: `Employer rated ${stats.averageRating}/5 from ${stats.totalReviews} review${stats.totalReviews === 1 ? '' : 's'}`
+    };
+  }
+};
+
+// Score a job for the worker. `contribution` is the share of the total
+// score each factor adds, so the contributions sum to the score.
+const scoreJob = (job, context) => {
+  const applicable = Object.entries(factors)
+    .map(([factor, evaluate]) => {
+      const result = evaluate(job, context);
+      return result && { factor, weight: WEIGHTS[factor], ...result };
+    })
+    .filter(Boolean);
+
+  const totalWeight = applicable.reduce((sum, item) => sum + item.weight, 0);
+
+  const explained = applicable.map(item => ({
+    factor: item.factor,
+    weight: item.weight,
+    score: round(item.score),
+    contribution: round(100 * item.weight * item.score / totalWeight, 1),
+    reason: item.reason
+  }));
+
+  return {
+    score: totalWeight > 0 ? Math.round(explained.reduce((sum, item) => sum + item.contribution, 0)) : 0,
+    factors: explained
+  };
+};
+
+// Number of completed jobs per category for a worker
+const completedCategories = async (userId) => {
+  const rows = await Job.aggregate([
+    { $match: { assignments: { $elemMatch: { worker: userId, status: 'completed' } } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return Object.fromEntries(rows.map(row => [row._id, row.count]));
+};
+
+// Active jobs for the worker, best first. The most recent candidates the
+// worker can apply to are scored; with coordinates (given, or the home
+// location) only jobs within the radius are considered.
+const recommendJobs = async (user, { lat, lng, radius, now = new Date() } = {}) => {
+  const fromHome = !(lat && lng) && Boolean(user.homeCoordinates && user.homeCoordinates.length === 2);
+  const coordinates = lat && lng ? [parseFloat(lng), parseFloat(lat)] : fromHome ? user.homeCoordinates : null;
+  const maxDistance = parseFloat(radius) ||
+    (user.preferences.jobAlerts && user.preferences.jobAlerts.maxDistance) || 50;
+
+  const filter = {
+    ...jobFilters.buildJobFilter(coordinates
+      ? { lng: coordinates[0], lat: coordinates[1], radius: maxDistance }
+      : {}, { now }),
+    employer: { $ne: user._id },
+    'applications.worker': { $ne: user._id }
+  };
+
+  const [candidates, categoryCounts] = await Promise.all([
+    Job.find(filter)
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(config.recommendations.candidateLimit)
+      .populate('employer', 'firstName lastName avatar isVerified companyName stats.averageRating stats.totalReviews')
+      .lean(),
+    completedCategories(user._id)
+  ]);
+
+  const context = { user, coordinates, radius: maxDistance, fromHome, categoryCounts };
+
+  return candidates
+    .filter(job => eligibility.evaluate(job, user, now).eligible)
+    .map(job => ({ ...job, recommendation: scoreJob(job, context) }))
+    // Stable sort keeps newer jobs first among equal scores
+    .sort((a, b) => b.recommendation.score - a.recommendation.score);
+};
+
+module.exports = {
+  WEIGHTS,
+  scoreJob,
+  recommendJobs
+};
@@ -0,0 +1,53 @@
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// Midnight UTC of the given date; job dates are stored as calendar days
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Monday of the week containing the given day
+const startOfWeek = (day) => new Date(day - ((day.getUTCDay() + 6) % 7) * DAY);
+
+const matches = (rule, day, start) => {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'daily') {
+    return Math.round((day - start) / DAY) % interval === 0;
+  }
+
+  const weeks = Math.round((startOfWeek(day) - startOfWeek(start)) / WEEK);
+  return weeks % interval === 0 && rule.weekdays.includes(day.getUTCDay());
+};
+
+// Dates a recurrence rule produces, in order, from its start date up to
+// and including `through`. Stops at the rule's `until` date, its `count`
+// or `limit` occurrences, whichever comes first.
+//
+// A rule is { frequency: 'daily' | 'weekly', interval, weekdays, startDate,
+// until, count }; weekdays are 0 (Sunday) to 6 (Saturday).
+const occurrenceDates = (rule, through, limit = Infinity) => {
+  const start = startOfDay(rule.startDate);
+  let end = startOfDay(through);
+  if (rule.until && startOfDay(rule.until) < end) {
+    end = startOfDay(rule.until);
+  }
+
+  const max = Math.min(rule.count || Infinity, limit);
+  const dates = [];
+
+  for (let day = start; day <= end && dates.length < max; day = new Date(day.getTime() + DAY)) {
+    if (matches(rule, day, start)) {
+      dates.push(day);
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  startOfDay,
+  occurrenceDates
+};
@@ -0,0 +1,149 @@
+const Transaction = require('../models/Transaction');
+const config = require('../../config');
+const currencyService = require('./currency');
+const { createError } = require('../middleware/errorHandler');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Withdrawals that still count towards limits
+const ACTIVE_STATUSES = ['pending', 'completed'];
+
+// Withdrawals since a date, totalled in the base currency
+const sumWithdrawals = async (userId, since, session) => {
+  const results = await Transaction.aggregate([
+    {
+      $match: {
+        user: userId,
+        type: 'withdrawal',
+        status: { $in: ACTIVE_STATUSES },
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: '$currency',
+        total: { $sum: { $abs: '$amount' } },
+        count: { $sum: 1 }
+      }
+    }
+  ]).session(session || null);
+
+  return results.reduce((sum, result) => ({
+    total: round(sum.total + currencyService.toBase(result.total, result._id)),
+    count: sum.count + result.count
+  }), { total: 0, count: 0 });
+};
+
+// Earnings in a currency still inside the hold period, net of the platform fee
+const getHeldAmount = async (userId, currency, now = new Date(), session) => {
+  const policy = config.withdrawals;
+  if (!policy.holdHours) {
+    return 0;
+  }
+
+  const earnings = await Transaction.find({
+    user: userId,
+    type: 'earned',
+    currency,
+    status: 'completed',
+    createdAt: { $gt: new Date(now - policy.holdHours * HOUR) }
+  }).select('amount feeBreakdown createdAt').session(session || null).lean();
+
+  return round(earnings.reduce((sum, earning) => {
+    return sum + (earning.feeBreakdown ? earning.feeBreakdown.net : earning.amount);
+  }, 0));
+};
+
+// Wallet balance in one currency split into what can be withdrawn now and
+// what is on hold. Limits are configured in the base currency and reported
+// in the requested one. With a session the figures are read inside its
+// transaction.
+const getAvailability = async (user, currency, now = new Date(), session) => {
+  const policy = config.withdrawals;
+  const balance = round(user.getWalletBalance(currency));
+  const held = Math.min(balance, await getHeldAmount(user._id, currency, now, session));
+
+  // One at a time: a session cannot run operations in parallel
+  const daily = await sumWithdrawals(user._id, new Date(now - DAY), session);
+  const weekly = await sumWithdrawals(user._id, new Date(now - 7 * DAY), session);
+
+  const inCurrency = (amount) => currencyService.fromBase(amount, currency);
+
+  return {
+    currency,
+    balance,
+    held,
+    available: round(balance - held),
+    minimumAmount: inCurrency(policy.minimumAmount),
+    dailyLimit: inCurrency(policy.dailyLimit),
+    dailyRemaining: inCurrency(Math.max(0, policy.dailyLimit - daily.total)),
+    weeklyLimit: inCurrency(policy.weeklyLimit),
+    weeklyRemaining: inCurrency(Math.max(0, policy.weeklyLimit - weekly.total)),
+    holdHours: policy.holdHours,
+    withdrawalsToday: daily.count
+  };
+};
+
+// Reasons a withdrawal should be looked at by a person before paying out
+const getReviewReasons = (user, amount, currency, availability, now) => {
+  const velocity = config.withdrawals.velocity;
+  const reasons = [];
+
+  if (availability.withdrawalsToday + 1 > velocity.maxDailyCount) {
+    reasons.push(`More than ${velocity.maxDailyCount} withdrawals in 24 hours`);
+  }
+
+  if (currencyService.toBase(amount, currency) >= velocity.largeAmount) {
+    reasons.push(`Amount of ${velocity.largeAmount} ${config.currency.base} or more`);
+  }
+
+  if (user.createdAt && now - user.createdAt < velocity.newAccountDays * DAY) {
+    reasons.push(`Account younger than ${velocity.newAccountDays} days`);
+  }
+
+  return reasons;
+};
+
+// Check a withdrawal against the policy. Throws a coded error when it is
+// not allowed, otherwise resolves to the review reasons (possibly empty).
+// Run it in the session that records the withdrawal so the limits hold
+// under concurrent requests.
+const evaluateWithdrawal = async (user, amount, currency, { now = new Date(), session } = {}) => {
+  const policy = config.withdrawals;
+
+  if (policy.requireVerification && !user.isVerified) {
+    throw createError(403, 'Verify your account before withdrawing funds', 'ACCOUNT_NOT_VERIFIED');
+  }
+
+  const availability = await getAvailability(user, currency, now, session);
+
+  if (amount < availability.minimumAmount) {
+    throw createError(400, `The minimum withdrawal is ${availability.minimumAmount} ${currency}`, 'WITHDRAWAL_BELOW_MINIMUM');
+  }
+
+  if (amount > availability.balance) {
+    throw createError(400, 'Insufficient balance', 'INSUFFICIENT_BALANCE');
+  }
+
+  if (amount > availability.available) {
+    throw createError(400, `Only ${availability.available} ${currency} is available now; recent earnings are on hold for ${policy.holdHours} hours`, 'FUNDS_ON_HOLD');
+  }
+
+  if (amount > availability.dailyRemaining) {
+    throw createError(400, `Daily withdrawal limit reached (${availability.dailyRemaining} ${currency} remaining)`, 'DAILY_LIMIT_EXCEEDED');
+  }
+
+  if (amount > availability.weeklyRemaining) {
+    throw createError(400, `Weekly withdrawal limit reached (${availability.weeklyRemaining} ${currency} remaining)`, 'WEEKLY_LIMIT_EXCEEDED');
+  }
+
+  return getReviewReasons(user, amount, currency, availability, now);
+};
+
+module.exports = {
+  getAvailability,
+  evaluateWithdrawal
+};
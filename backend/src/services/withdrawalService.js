@@ -0,0 +1,248 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const eventBus = require('./eventBus');
+const withdrawalPolicy = require('./withdrawalPolicy');
+const { getPayoutProvider } = require('./payouts');
+const { createError } = require('../middleware/errorHandler');
+
+const { accounts, transfer } = ledger;
+
+// Move a pending withdrawal to its final status. The status check and the
+// update are one operation, so of two concurrent settlements (e.g. a
+// webhook delivered twice) only one posts to the ledger; the other throws
+// WITHDRAWAL_ALREADY_PROCESSED and its transaction rolls back.
+const settle = async (transaction, update, session) => {
+  const settled = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: update },
+    { new: true, session }
+  );
+
+  if (!settled) {
+    throw createError(409, 'Withdrawal was already processed', 'WITHDRAWAL_ALREADY_PROCESSED');
+  }
+
+  return settled;
+};
+
+// Check a withdrawal against the policy and move the amount out of the
+// user's wallet balance in the given currency into pending payouts.
+// Withdrawals flagged for review are recorded the same way but not paid
+// out yet. The limits are read in the same transaction that debits the
+// wallet, so of two concurrent requests the later one hits a write
+// conflict on the user's wallet and is refused instead of both passing.
+const requestWithdrawal = async (user, amount, currency, paymentMethod) => {
+  try {
+    return await ledger.withTransaction(async (session) => {
+      const current = await User.findById(user._id).session(session);
+      const reviewReasons = await withdrawalPolicy.evaluateWithdrawal(current, amount, currency, { session });
+
+      return ledger.record({
+        user: user._id,
+        type: 'withdrawal',
+        amount: -amount, // Negative for withdrawal
+        currency,
+        description: `Withdrawal to ${paymentMethod.name}`,
+        paymentMethod: paymentMethod._id,
+        status: 'pending',
+        review: reviewReasons.length > 0
+          ? { required: true, reasons: reviewReasons, flaggedAt: new Date() }
+          : undefined
+      }, transfer(accounts.wallet(user._id), accounts.payoutsPending(user._id), amount), session);
+    });
+  } catch (error) {
+    if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+      throw createError(409, 'Another withdrawal is in progress, try again', 'WITHDRAWAL_CONFLICT');
+    }
+    throw error;
+  }
+};
+
+// Settle a pending withdrawal once the money has left the platform.
+// Resolves to the updated transaction.
+const completeWithdrawal = async (transaction, details = {}) => {
+  const amount = Math.abs(transaction.amount);
+
+  const completed = await ledger.withTransaction(async (session) => {
+    const settled = await settle(transaction, { ...details, status: 'completed', processedAt: new Date() }, session);
+
+    await ledger.post({
+      lines: transfer(accounts.payoutsPending(transaction.user), accounts.payoutsSettled(transaction.user), amount),
+      currency: transaction.currency,
+      description: transaction.description,
+      transaction: transaction._id
+    }, session);
+
+    return settled;
+  });
+
+  eventBus.emit('withdrawal:completed', { transaction: completed });
+  return completed;
+};
+
+// Return a failed withdrawal to the user's wallet. Resolves to the updated
+// transaction.
+const failWithdrawal = async (transaction, reason, details = {}) => {
+  const amount = Math.abs(transaction.amount);
+
+  const failed = await ledger.withTransaction(async (session) => {
+    const settled = await settle(transaction, {
+      ...details,
+      status: 'failed',
+      failedAt: new Date(),
+      failureReason: reason
+    }, session);
+
+    await ledger.post({
+      lines: transfer(accounts.payoutsPending(transaction.user), accounts.wallet(transaction.user), amount),
+      currency: transaction.currency,
+      description: `Reversal: ${transaction.description}`,
+      transaction: transaction._id
+    }, session);
+
+    return settled;
+  });
+
+  eventBus.emit('withdrawal:failed', { transaction: failed, reason });
+  return failed;
+};
+
+// Return to the user's wallet money the provider took back after a
+// completed payout. `reversedAmount` is the provider's running total, so
+// only what it adds to the reversals already booked is credited; the
+// total is claimed with a conditional update like settle, so a reversal
+// delivered twice is credited once. Resolves to the updated transaction.
+const reverseWithdrawal = async (transaction, reversedAmount, reason) => {
+  const amount = Math.abs(transaction.amount);
+  const previous = transaction.reversal && transaction.reversal.amount;
+  const total = Math.min(amount, reversedAmount === undefined ? amount : reversedAmount);
+  const credit = Math.round((total - (previous || 0)) * 100) / 100;
+
+  if (credit <= 0) {
+    throw createError(409, 'Withdrawal was already reversed', 'WITHDRAWAL_ALREADY_PROCESSED');
+  }
+
+  const reversed = await ledger.withTransaction(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'completed', 'reversal.amount': previous || null },
+      { $set: { reversal: { amount: total, reversedAt: new Date(), reason } } },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      throw createError(409, 'Withdrawal was already processed', 'WITHDRAWAL_ALREADY_PROCESSED');
+    }
+
+    await ledger.post({
+      lines: transfer(accounts.payoutsSettled(transaction.user), accounts.wallet(transaction.user), credit),
+      currency: transaction.currency,
+      description: `Reversal: ${transaction.description}`,
+      transaction: transaction._id
+    }, session);
+
+    return claimed;
+  });
+
+  eventBus.emit('withdrawal:reversed', { transaction: reversed, amount: credit, reason });
+  return reversed;
+};
+
+// Hand a pending withdrawal to the payout provider. Most providers settle
+// asynchronously and report back through the payment webhook.
+const startPayout = async (transaction, user, paymentMethod) => {
+  let result;
+
+  try {
+    result = await getPayoutProvider().createPayout({ transaction, user, paymentMethod });
+  } catch (error) {
+    console.error('Payout provider error:', error);
+    result = { status: 'failed', failureReason: 'Payout provider unavailable' };
+  }
+
+  if (result.transferId) {
+    transaction.stripeTransferId = result.transferId;
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { stripeTransferId: result.transferId } });
+  }
+
+  try {
+    if (result.status === 'completed') {
+      return await completeWithdrawal(transaction);
+    }
+
+    if (result.status === 'failed') {
+      return await failWithdrawal(transaction, result.failureReason || 'Payout failed');
+    }
+  } catch (error) {
+    // The provider's webhook got there first
+    if (error.code === 'WITHDRAWAL_ALREADY_PROCESSED') {
+      return Transaction.findById(transaction._id);
+    }
+    throw error;
+  }
+
+  return transaction;
+};
+
+// Record a reviewer's decision on a flagged withdrawal. The decision is
+// claimed atomically, so a withdrawal is never both paid out and rejected.
+const decideReview = async (transactionId, reviewer, decision, note) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    {
+      _id: transactionId,
+      type: 'withdrawal',
+      status: 'pending',
+      'review.required': true,
+      'review.decision': null
+    },
+    {
+      $set: {
+        'review.decision': decision,
+        'review.reviewedBy': reviewer._id,
+        'review.reviewedAt': new Date(),
+        'review.note': note
+      }
+    },
+    { new: true }
+  );
+
+  if (!transaction) {
+    const flagged = await Transaction.exists({ _id: transactionId, type: 'withdrawal', 'review.required': true });
+    throw flagged
+      ? createError(409, 'Withdrawal was already reviewed', 'WITHDRAWAL_ALREADY_REVIEWED')
+      : createError(404, 'Withdrawal not found');
+  }
+
+  return transaction;
+};
+
+// Clear a flagged withdrawal and hand it to the payout provider
+const approveWithdrawal = async (transactionId, reviewer, note) => {
+  const transaction = await decideReview(transactionId, reviewer, 'approved', note);
+
+  const user = await User.findById(transaction.user);
+  const paymentMethod = user && user.paymentMethods.id(transaction.paymentMethod);
+
+  if (!paymentMethod) {
+    return failWithdrawal(transaction, 'Payment method was removed before the withdrawal was approved');
+  }
+
+  return startPayout(transaction, user, paymentMethod);
+};
+
+// Refuse a flagged withdrawal and return the money to the user's wallet
+const rejectWithdrawal = async (transactionId, reviewer, reason) => {
+  const transaction = await decideReview(transactionId, reviewer, 'rejected', reason);
+
+  return failWithdrawal(transaction, `Rejected in review: ${reason}`);
+};
+
+module.exports = {
+  requestWithdrawal,
+  startPayout,
+  completeWithdrawal,
+  failWithdrawal,
+  reverseWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal
+};
@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('./models/User');
+const Conversation = require('./models/Conversation');
 const config = require('../config');
 
-module.exports = (io) => {
-  // Store connected users
+// Helpers of the running Socket.io server, set once it is initialized
+let socketHelpers = null;
+
+const initSocket = (io) => {
+  // Store connected users: userId -> { sockets: Set of socket ids, user }
   const connectedUsers = new Map();
 
   // Authentication middleware
@@ -32,15 +36,57 @@ module.exports = (io) => {
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.user.firstName} ${socket.user.lastName} (${socket.user._id})`);
     
-    // Store connected user
-    connectedUsers.set(socket.user._id.toString(), {
-      socketId: socket.id,
-      user: socket.user
-    });
+    // Store connected user, one entry per user across all devices
+    const userId = socket.user._id.toString();
+    let userData = connectedUsers.get(userId);
+    if (!userData) {
+      userData = { sockets: new Set(), user: socket.user };
+      connectedUsers.set(userId, userData);
+    }
+    userData.sockets.add(socket.id);
+
+    // Broadcast online status when the first device connects
+    if (userData.sockets.size === 1) {
+      socket.broadcast.emit('user-online', {
+        userId: socket.user._id,
+        userName: `${socket.user.firstName} ${socket.user.lastName}`
+      });
+    }
 
     // Join user to their personal room
     socket.join(`user_${socket.user._id}`);
 
+    // Join rooms of all conversations the user takes part in
+    Conversation.find({ participants: socket.user._id })
+      .distinct('_id')
+      .then(conversationIds => {
+        conversationIds.forEach(conversationId => {
+          socket.join(`conversation_${conversationId}`);
+        });
+      })
+      .catch(error => {
+        console.error('Join conversations error:', error);
+      });
+
+    // Handle user opening a conversation
+    socket.on('join-conversation', async (conversationId) => {
+      try {
+        const conversation = await Conversation.findForUser(conversationId, socket.user._id);
+        if (conversation) {
+          socket.join(`conversation_${conversation._id}`);
+          console.log(`User ${socket.user._id} joined conversation room: ${conversationId}`);
+        }
+      } catch (error) {
+        console.error('Join conversation error:', error);
+      }
+    });
+
+    // Handle user leaving a conversation room
+    socket.on('leave-conversation', (conversationId) => {
+      socket.leave(`conversation_${conversationId}`);
+      console.log(`User ${socket.user._id} left conversation room: ${conversationId}`);
+    });
+
     // Handle user joining job-specific rooms
     socket.on('join-job', (jobId) => {
       socket.join(`job_${jobId}`);
@@ -101,26 +147,44 @@ module.exports = (io) => {
     });
 
     // Handle disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       console.log(`User disconnected: ${socket.user.firstName} ${socket.user.lastName} (${socket.user._id})`);
       
-      // Remove from connected users
-      connectedUsers.delete(socket.user._id.toString());
+      // Remove this device from connected users
+      userData.sockets.delete(socket.id);
+
+      // User stays online while any other device is connected
+      if (userData.sockets.size > 0) {
+        return;
+      }
+
+      connectedUsers.delete(userId);
+
+      const lastSeenAt = new Date();
       
       // Broadcast offline status
       socket.broadcast.emit('user-offline', {
         userId: socket.user._id,
-        userName: `${socket.user.firstName} ${socket.user.lastName}`
+        userName: `${socket.user.firstName} ${socket.user.lastName}`,
+        lastSeenAt
       });
+
+      try {
+        await User.updateOne({ _id: socket.user._id }, { lastSeenAt });
+      } catch (error) {
+        console.error('Update last seen error:', error);
+      }
     });
   });
 
   // Helper functions to emit events from other parts of the app
   const emitToUser = (userId, event, data) => {
-    const userData = connectedUsers.get(userId.toString());
-    if (userData) {
-      io.to(userData.socketId).emit(event, data);
-    }
+    // Personal room reaches every device of the user
+    io.to(`user_${userId}`).emit(event, data);
+  };
+
+  const isUserOnline = (userId) => {
+    return connectedUsers.has(userId.toString());
   };
 
   const emitToJob = (jobId, event, data) => {
@@ -135,12 +199,29 @@ module.exports = (io) => {
     io.emit(event, data);
   };
 
+  // Subscribe all connected sockets of the users to a conversation room
+  const joinConversation = (userIds, conversationId) => {
+    userIds.forEach(userId => {
+      io.in(`user_${userId}`).socketsJoin(`conversation_${conversationId}`);
+    });
+  };
+
   // Export helper functions
-  return {
+  socketHelpers = {
     emitToUser,
     emitToJob,
     emitToConversation,
     emitToAll,
+    joinConversation,
+    isUserOnline,
     connectedUsers
   };
-}; 
\ No newline at end of file
+
+  return socketHelpers;
+};
+
+// Get socket helpers from route handlers; null until the server is started
+const getSocket = () => socketHelpers;
+
+module.exports = initSocket;
+module.exports.getSocket = getSocket; 
\ No newline at end of file
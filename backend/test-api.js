@@ -136,7 +136,8 @@ async function testWallet() {
   try {
     console.log('🔍 Testing wallet...');
     const response = await authRequest.get('/payments/wallet');
-    console.log('✅ Get wallet successful:', response.data.data.wallet.balance);
+    const { wallet } = response.data.data;
+    console.log('✅ Get wallet successful:', `${wallet.total} ${wallet.displayCurrency}`);
     return true;
   } catch (error) {
     console.error('❌ Get wallet failed:', error.response?.data?.message || error.message);
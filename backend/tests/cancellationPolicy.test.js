@@ -0,0 +1,67 @@
+const config = require('../config');
+const cancellationPolicy = require('../src/services/cancellationPolicy');
+
+// Job dates are calendar days and start times local, as getJobStart reads them
+const job = { date: new Date(2026, 2, 10), time: { start: '09:30' } };
+const start = new Date(2026, 2, 10, 9, 30);
+const hoursBefore = (hours) => new Date(start.getTime() - hours * 60 * 60 * 1000);
+
+const held = { payment: { status: 'held', amount: 120 } };
+const checkedIn = { ...held, completion: { checkIn: { at: hoursBefore(1) } } };
+
+describe('cancellationPolicy.getJobStart', () => {
+  it('combines the job date with its start time', () => {
+    expect(cancellationPolicy.getJobStart(job)).toEqual(start);
+    expect(cancellationPolicy.getJobStart({ date: job.date })).toEqual(new Date(2026, 2, 10));
+  });
+});
+
+describe('cancellationPolicy.evaluate', () => {
+  const { lateWindowHours, lateCompensationPercent } = config.cancellation;
+
+  it('treats an early employer cancellation as free', () => {
+    const policy = cancellationPolicy.evaluate({ job, by: 'employer', assignments: [held], now: hoursBefore(lateWindowHours + 1) });
+
+    expect(policy).toMatchObject({
+      by: 'employer',
+      late: false,
+      hoursUntilStart: lateWindowHours + 1,
+      compensationPercent: 0,
+      countsAgainstReliability: false
+    });
+  });
+
+  it('compensates workers when the employer cancels inside the late window', () => {
+    const policy = cancellationPolicy.evaluate({ job, by: 'employer', assignments: [held], now: hoursBefore(lateWindowHours - 1) });
+
+    expect(policy).toMatchObject({ late: true, compensationPercent: lateCompensationPercent, countsAgainstReliability: true });
+  });
+
+  it('does not count a late cancellation without hired workers against the employer', () => {
+    const policy = cancellationPolicy.evaluate({ job, by: 'employer', assignments: [], now: hoursBefore(1) });
+
+    expect(policy).toMatchObject({ late: true, countsAgainstReliability: false });
+  });
+
+  it('treats any cancellation after a check-in as late', () => {
+    const policy = cancellationPolicy.evaluate({ job, by: 'employer', assignments: [checkedIn], now: hoursBefore(lateWindowHours + 5) });
+
+    expect(policy.late).toBe(true);
+  });
+
+  it('never compensates a worker dropping out, but counts a late drop-out', () => {
+    const policy = cancellationPolicy.evaluate({ job, by: 'worker', assignments: [held], now: hoursBefore(1) });
+
+    expect(policy).toMatchObject({ late: true, compensationPercent: 0, countsAgainstReliability: true });
+  });
+});
+
+describe('cancellationPolicy.compensationFor', () => {
+  it('pays the compensation share of held pay only', () => {
+    const policy = { compensationPercent: 25 };
+
+    expect(cancellationPolicy.compensationFor(policy, { payment: { status: 'held', amount: 99.99 } })).toBe(25);
+    expect(cancellationPolicy.compensationFor(policy, { payment: { status: 'pending', amount: 120 } })).toBe(0);
+    expect(cancellationPolicy.compensationFor({ compensationPercent: 0 }, held)).toBe(0);
+  });
+});
@@ -0,0 +1,40 @@
+const currency = require('../src/services/currency');
+
+// Rates from currency-rates.json: units of each currency per 1 USD
+const { rates } = currency.getRates();
+
+describe('currency', () => {
+  it('knows the supported currencies', () => {
+    expect(currency.isSupported('KZT')).toBe(true);
+    expect(currency.isSupported('kzt')).toBe(false);
+    expect(currency.isSupported('EUR')).toBe(false);
+  });
+
+  it('converts between currencies through the base rates', () => {
+    expect(currency.getRate('USD', 'USD')).toBe(1);
+    expect(currency.getRate('KZT', 'RUB')).toBeCloseTo(rates.RUB / rates.KZT);
+    expect(currency.convert(10, 'USD', 'KZT')).toBe(10 * rates.KZT);
+    expect(currency.toBase(rates.RUB * 2.5, 'RUB')).toBe(2.5);
+    expect(currency.fromBase(1, 'RUB')).toBe(rates.RUB);
+  });
+
+  it('rounds conversions to cents', () => {
+    const amount = currency.convert(1, 'KZT', 'USD');
+
+    expect(amount).toBe(Math.round(100 / rates.KZT) / 100);
+  });
+
+  it('rejects an unsupported currency with a coded error', () => {
+    expect(() => currency.convert(1, 'EUR', 'USD'))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'UNSUPPORTED_CURRENCY', message: 'Unsupported currency: EUR' }));
+  });
+
+  it('reports an amount with its display currency', () => {
+    expect(currency.withDisplay(2, 'USD', 'KZT')).toEqual({
+      amount: 2,
+      currency: 'USD',
+      displayAmount: 2 * rates.KZT,
+      displayCurrency: 'KZT'
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const eligibility = require('../src/services/eligibility');
+
+const now = new Date('2026-03-01T12:00:00Z');
+const jobDate = new Date('2026-03-10T00:00:00Z');
+
+const makeJob = (requirements) => ({ date: jobDate, requirements });
+
+const check = (result, requirement) => result.checks.find(item => item.requirement === requirement);
+
+describe('eligibility.evaluate', () => {
+  it('checks nothing for a job without requirements', () => {
+    const result = eligibility.evaluate(makeJob({ skills: [], experience: 'none', education: 'none', age: {} }), {}, now);
+
+    expect(result).toEqual({ eligible: true, checks: [], blocking: [], warnings: [] });
+  });
+
+  it('blocks a worker who misses a hard requirement', () => {
+    const job = makeJob({ skills: ['Forklift', 'First aid'], experience: 'intermediate', hard: ['skills'] });
+    const worker = { skills: ['forklift'], experienceLevel: 'expert' };
+
+    const result = eligibility.evaluate(job, worker, now);
+
+    expect(result.eligible).toBe(false);
+    expect(result.blocking).toEqual(['skills']);
+    expect(result.warnings).toEqual([]);
+    expect(check(result, 'skills')).toMatchObject({ status: 'unmet', hard: true, missing: ['First aid'] });
+    expect(check(result, 'experience')).toMatchObject({ status: 'met', hard: false });
+  });
+
+  it('only flags a worker who misses a soft requirement', () => {
+    const job = makeJob({ education: 'higher', certifications: ['Food safety'] });
+    const worker = { education: 'vocational', certifications: ['FOOD SAFETY'] };
+
+    const result = eligibility.evaluate(job, worker, now);
+
+    expect(result.eligible).toBe(true);
+    expect(result.blocking).toEqual([]);
+    expect(result.warnings).toEqual(['education']);
+    expect(check(result, 'education')).toMatchObject({ status: 'unmet', actual: 'vocational' });
+    expect(check(result, 'certifications')).toMatchObject({ status: 'met' });
+  });
+
+  it('reports an age requirement as unknown without a date of birth', () => {
+    const soft = eligibility.evaluate(makeJob({ age: { min: 18 } }), {}, now);
+
+    expect(soft.eligible).toBe(true);
+    expect(soft.warnings).toEqual(['age']);
+    expect(check(soft, 'age')).toMatchObject({ status: 'unknown', required: { min: 18 } });
+
+    const hard = eligibility.evaluate(makeJob({ age: { min: 18 }, hard: ['age'] }), {}, now);
+
+    expect(hard.eligible).toBe(false);
+    expect(hard.blocking).toEqual(['age']);
+  });
+
+  it('checks the age on the day of the job', () => {
+    const job = makeJob({ age: { min: 18, max: 65 }, hard: ['age'] });
+
+    // Turns 18 between today and the job
+    const result = eligibility.evaluate(job, { dateOfBirth: new Date('2008-03-05T00:00:00Z') }, now);
+    expect(result.eligible).toBe(true);
+    expect(check(result, 'age')).toMatchObject({ status: 'met', actual: 18 });
+
+    const tooYoung = eligibility.evaluate(job, { dateOfBirth: new Date('2008-03-20T00:00:00Z') }, now);
+    expect(tooYoung.eligible).toBe(false);
+    expect(check(tooYoung, 'age')).toMatchObject({ status: 'unmet', message: 'Workers must be 18-65 years old' });
+  });
+});
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const ledger = require('../src/services/ledger');
+const fakeProvider = require('../src/services/payouts/fakeProvider');
+const escrowService = require('../src/services/escrowService');
+
+const { accounts } = ledger;
+
+const session = {};
+let recorded;
+
+beforeEach(() => {
+  recorded = [];
+
+  jest.spyOn(ledger, 'record').mockImplementation(async (data, lines) => {
+    recorded.push({ data, lines });
+    return { _id: new mongoose.Types.ObjectId(), ...data };
+  });
+  jest.spyOn(ledger, 'onAbort').mockImplementation(() => {});
+  jest.spyOn(fakeProvider, 'chargePaymentMethod').mockResolvedValue({
+    status: 'succeeded',
+    paymentIntentId: 'fake_pi_1'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const makeEmployer = (balance) => new User({
+  email: 'employer@example.com',
+  firstName: 'Ada',
+  lastName: 'Employer',
+  role: 'employer',
+  wallet: { balances: { USD: balance } },
+  paymentMethods: [{ type: 'card', name: 'Visa Card', last4: '1234', isDefault: true }]
+});
+
+const makeJob = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Event setup',
+  pay: { amount: 100, currency: 'USD', type: 'fixed' }
+});
+
+const makeAssignment = () => ({ payment: { status: 'pending' } });
+
+describe('escrowService.holdFunds', () => {
+  it('pays from the wallet alone when it covers the amount', async () => {
+    const assignment = makeAssignment();
+
+    await escrowService.holdFunds(makeJob(), assignment, makeEmployer(150), session);
+
+    expect(fakeProvider.chargePaymentMethod).not.toHaveBeenCalled();
+    expect(recorded).toHaveLength(1);
+    expect(assignment.payment).toMatchObject({ status: 'held', source: 'wallet', amount: 100 });
+  });
+
+  it('charges the card only the shortfall of a partial wallet balance', async () => {
+    const employer = makeEmployer(30.25);
+    const job = makeJob();
+    const assignment = makeAssignment();
+
+    await escrowService.holdFunds(job, assignment, employer, session);
+
+    expect(fakeProvider.chargePaymentMethod).toHaveBeenCalledWith(expect.objectContaining({ amount: 69.75, currency: 'USD' }));
+
+    const [deposit, payment] = recorded;
+    expect(deposit.data).toMatchObject({ type: 'deposit', amount: 69.75 });
+    expect(deposit.lines).toEqual([
+      { ...accounts.funding(employer._id), debit: 69.75 },
+      { ...accounts.wallet(employer._id), credit: 69.75 }
+    ]);
+    expect(payment.data).toMatchObject({ type: 'payment', amount: -100 });
+    expect(payment.lines).toEqual([
+      { ...accounts.wallet(employer._id), debit: 100 },
+      { ...accounts.escrow(job._id), credit: 100 }
+    ]);
+    expect(assignment.payment).toMatchObject({ status: 'held', source: 'card', amount: 100 });
+    expect(ledger.onAbort).toHaveBeenCalledWith(session, expect.any(Function));
+  });
+
+  it('refuses when the wallet is short and there is no payment method', async () => {
+    const employer = makeEmployer(0);
+    employer.paymentMethods = [];
+
+    await expect(escrowService.holdFunds(makeJob(), makeAssignment(), employer, session))
+      .rejects.toMatchObject({ statusCode: 402, code: 'PAYMENT_METHOD_REQUIRED' });
+    expect(recorded).toHaveLength(0);
+  });
+});
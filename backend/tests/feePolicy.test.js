@@ -0,0 +1,58 @@
+const config = require('../config');
+const currency = require('../src/services/currency');
+const feePolicy = require('../src/services/feePolicy');
+
+// Fee settings for one test, restored afterwards
+const original = { ...config.fees };
+const setFees = (overrides) => Object.assign(config.fees, overrides);
+
+afterEach(() => {
+  Object.assign(config.fees, original);
+});
+
+describe('feePolicy.calculateFee', () => {
+  beforeEach(() => {
+    setFees({ percentage: 10, minimum: 1, categoryOverrides: { Digital: 15 }, waiveForFeaturedEmployers: true });
+  });
+
+  it('takes the percentage of the payout', () => {
+    expect(feePolicy.calculateFee({ amount: 123.45, currency: 'USD' })).toEqual({
+      gross: 123.45,
+      fee: 12.35,
+      net: 111.1,
+      percentage: 10,
+      minimumApplied: false,
+      waived: false
+    });
+  });
+
+  it('uses the category override', () => {
+    expect(feePolicy.calculateFee({ amount: 100, currency: 'USD', category: 'Digital' })).toMatchObject({ fee: 15, percentage: 15 });
+  });
+
+  it('raises small fees to the minimum, converted to the payout currency', () => {
+    expect(feePolicy.calculateFee({ amount: 5, currency: 'USD' })).toMatchObject({ fee: 1, net: 4, minimumApplied: true });
+    expect(feePolicy.calculateFee({ amount: currency.fromBase(5, 'KZT'), currency: 'KZT' }))
+      .toMatchObject({ fee: currency.fromBase(1, 'KZT'), minimumApplied: true });
+  });
+
+  it('never takes more than the payout', () => {
+    expect(feePolicy.calculateFee({ amount: 0.5, currency: 'USD' })).toMatchObject({ fee: 0.5, net: 0 });
+  });
+
+  it('takes nothing at 0%, minimum included', () => {
+    setFees({ percentage: 0 });
+
+    expect(feePolicy.calculateFee({ amount: 5, currency: 'USD' })).toMatchObject({ fee: 0, net: 5, minimumApplied: false });
+    expect(feePolicy.calculateFee({ amount: 100, currency: 'USD', category: 'Digital' })).toMatchObject({ fee: 15 });
+  });
+
+  it('waives the fee for featured employers', () => {
+    expect(feePolicy.calculateFee({ amount: 100, currency: 'USD', employer: { isFeatured: true } }))
+      .toMatchObject({ fee: 0, net: 100, waived: true });
+
+    setFees({ waiveForFeaturedEmployers: false });
+    expect(feePolicy.calculateFee({ amount: 100, currency: 'USD', employer: { isFeatured: true } }))
+      .toMatchObject({ fee: 10, waived: false });
+  });
+});
@@ -0,0 +1,107 @@
+const jobFilters = require('../src/services/jobFilters');
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+const job = {
+  status: 'active',
+  title: 'Barista for a weekend market',
+  description: 'Make coffee at our stall',
+  companyName: 'Bean There',
+  tags: ['coffee', 'weekend'],
+  category: 'Food Service',
+  employmentType: 'part_time',
+  shift: 'morning',
+  pay: { amount: 2500, currency: 'KZT', type: 'hourly' },
+  location: { city: 'Almaty', metro: 'Abay', coordinates: { type: 'Point', coordinates: [76.9, 43.2] } },
+  publishedAt: new Date('2026-02-28T09:00:00Z')
+};
+
+// Whether a saved search query matches the job in memory
+const matches = (query) => {
+  const { memory } = jobFilters.splitFilter(jobFilters.buildJobFilter(query, { now }));
+  return jobFilters.matchesFilter(job, memory);
+};
+
+describe('jobFilters.matchesFilter', () => {
+  it('matches the plain filters of a search like the database would', () => {
+    expect(matches({})).toBe(true);
+    expect(matches({ category: 'Food Service', city: 'almaty', currency: 'KZT' })).toBe(true);
+    expect(matches({ category: 'Delivery' })).toBe(false);
+    expect(matches({ city: 'Astana' })).toBe(false);
+  });
+
+  it('checks pay ranges, list filters and the posting date', () => {
+    expect(matches({ minPay: '2000', maxPay: '3000' })).toBe(true);
+    expect(matches({ minPay: '3000' })).toBe(false);
+    expect(matches({ employmentType: 'full_time,part_time', shift: 'morning' })).toBe(true);
+    expect(matches({ shift: 'night' })).toBe(false);
+    expect(matches({ postedWithin: '3' })).toBe(true);
+    expect(matches({ postedWithin: '1' })).toBe(false);
+  });
+
+  it('applies excluded words to array fields too', () => {
+    expect(matches({ exclude: 'tea' })).toBe(true);
+    expect(matches({ exclude: '-weekend' })).toBe(false);
+  });
+
+  it('leaves text and radius clauses to the database', () => {
+    const { database, memory } = jobFilters.splitFilter(jobFilters.buildJobFilter({
+      search: 'barista',
+      lat: '43.2',
+      lng: '76.9',
+      city: 'Almaty'
+    }, { now }));
+
+    expect(Object.keys(database).sort()).toEqual(['$text', 'location.coordinates']);
+    expect(memory).not.toHaveProperty('$text');
+    expect(jobFilters.matchesFilter(job, memory)).toBe(true);
+  });
+});
+
+describe('jobFilters.buildJobFilter', () => {
+  it('lists only active jobs without parameters', () => {
+    expect(jobFilters.buildJobFilter({}, { now })).toEqual({ status: 'active' });
+  });
+
+  it('turns the plain parameters into field conditions', () => {
+    expect(jobFilters.buildJobFilter({
+      category: 'Delivery',
+      city: 'Almaty',
+      currency: 'KZT',
+      minPay: '1000',
+      maxPay: '5000',
+      employmentType: 'full_time,part_time',
+      shift: ['day']
+    }, { now })).toEqual({
+      status: 'active',
+      category: 'Delivery',
+      'location.city': { $regex: 'Almaty', $options: 'i' },
+      'pay.currency': 'KZT',
+      'pay.amount': { $gte: 1000, $lte: 5000 },
+      employmentType: { $in: ['full_time', 'part_time'] },
+      shift: { $in: ['day'] }
+    });
+  });
+
+  it('ignores the catch-all category and city', () => {
+    expect(jobFilters.buildJobFilter({ category: 'All', city: 'All Cities' }, { now })).toEqual({ status: 'active' });
+  });
+
+  it('adds excluded words to a text search, or excludes them by field without one', () => {
+    const text = jobFilters.buildJobFilter({ search: 'barista', exclude: '-night' }, { now });
+    expect(text.$text.$search).toBe('barista -night');
+    expect(text).not.toHaveProperty('$nor');
+
+    const plain = jobFilters.buildJobFilter({ exclude: 'night' }, { now });
+    expect(plain.$nor).toHaveLength(4);
+  });
+
+  it('leaves the radius to $geoNear when the caller asks', () => {
+    const params = { lat: '43.2', lng: '76.9', radius: '10' };
+
+    expect(jobFilters.buildJobFilter(params, { now })['location.coordinates']).toEqual({
+      $geoWithin: { $centerSphere: [[76.9, 43.2], 10 / 6378.1] }
+    });
+    expect(jobFilters.buildJobFilter(params, { now, geoNear: true })).not.toHaveProperty('location.coordinates');
+  });
+});
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const jobCancellation = require('../src/services/jobCancellation');
+const jobSeries = require('../src/services/jobSeries');
+
+// A series document that records how often it was saved
+const makeSeries = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'active',
+  save: jest.fn().mockResolvedValue()
+});
+
+const makeOccurrence = (status = 'active') => ({ _id: new mongoose.Types.ObjectId(), status });
+
+// Job.find resolving to the given upcoming occurrences
+const mockUpcoming = (occurrences) => {
+  jest.spyOn(Job, 'find').mockImplementation(() => ({
+    sort: async () => occurrences.filter(job => ['active', 'in_progress'].includes(job.status))
+  }));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('jobSeries.cancelSeries', () => {
+  const actor = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('marks the series cancelled and cancels every upcoming occurrence', async () => {
+    const series = makeSeries();
+    const occurrences = [makeOccurrence(), makeOccurrence('in_progress')];
+    mockUpcoming(occurrences);
+    const cancelJob = jest.spyOn(jobCancellation, 'cancelJob').mockResolvedValue({});
+
+    const cancelled = await jobSeries.cancelSeries(series, { actor });
+
+    expect(series.status).toBe('cancelled');
+    expect(series.save).toHaveBeenCalledTimes(1);
+    expect(cancelJob).toHaveBeenCalledTimes(2);
+    expect(cancelled).toEqual(occurrences);
+  });
+
+  it('cancels the other occurrences when one fails and retries the rest later', async () => {
+    const series = makeSeries();
+    const occurrences = [makeOccurrence(), makeOccurrence(), makeOccurrence()];
+    mockUpcoming(occurrences);
+
+    const refundError = new Error('Refund failed');
+    jest.spyOn(jobCancellation, 'cancelJob').mockImplementation(async (job) => {
+      if (job === occurrences[1]) throw refundError;
+      job.status = 'cancelled';
+    });
+
+    await expect(jobSeries.cancelSeries(series, { actor })).rejects.toBe(refundError);
+
+    expect(series.status).toBe('cancelled');
+    expect(occurrences.map(job => job.status)).toEqual(['cancelled', 'active', 'cancelled']);
+
+    // The retry on the cancelled series picks up the occurrence left over
+    jobCancellation.cancelJob.mockImplementation(async (job) => {
+      job.status = 'cancelled';
+    });
+
+    const cancelled = await jobSeries.cancelSeries(series, { actor });
+
+    expect(cancelled).toEqual([occurrences[1]]);
+    expect(occurrences[1].status).toBe('cancelled');
+    expect(series.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects cancelling a cancelled series with nothing left to cancel', async () => {
+    const series = { ...makeSeries(), status: 'cancelled' };
+    mockUpcoming([makeOccurrence('cancelled')]);
+    const cancelJob = jest.spyOn(jobCancellation, 'cancelJob');
+
+    await expect(jobSeries.cancelSeries(series, { actor }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'SERIES_CANCELLED' });
+    expect(cancelJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const User = require('../src/models/User');
+const ledger = require('../src/services/ledger');
+
+const { accounts, transfer } = ledger;
+
+// In-memory stand-ins for the collections the ledger writes to
+let entries;
+let wallets;
+
+const walletKey = (userId, currency) => `${userId}:${currency}`;
+
+beforeEach(() => {
+  entries = [];
+  wallets = new Map();
+
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (docs) => {
+    entries.push(...docs);
+    return docs;
+  });
+
+  // Applies the $inc of a cached wallet balance, honoring the overdraft guard
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    const [[path, change]] = Object.entries(update.$inc);
+    const key = walletKey(filter._id, path.split('.').pop());
+    const balance = wallets.get(key) || 0;
+
+    if (filter[path] && balance < filter[path].$gte) {
+      return { matchedCount: 0 };
+    }
+
+    wallets.set(key, Math.round((balance + change) * 100) / 100);
+    return { matchedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sum = (items, field) => Math.round(items.reduce((total, item) => total + item[field], 0) * 100) / 100;
+
+// Wallet balances derived from the entries, keyed like the cached ones
+const derivedWallets = () => {
+  const derived = new Map();
+  entries
+    .filter(entry => entry.account.startsWith('wallet:'))
+    .forEach(entry => {
+      const key = walletKey(entry.account.slice('wallet:'.length), entry.currency);
+      derived.set(key, Math.round(((derived.get(key) || 0) + entry.credit - entry.debit) * 100) / 100);
+    });
+  return derived;
+};
+
+describe('ledger.post', () => {
+  const employer = new mongoose.Types.ObjectId().toString();
+  const worker = new mongoose.Types.ObjectId().toString();
+  const job = new mongoose.Types.ObjectId().toString();
+
+  it('keeps debits equal to credits and cached wallets equal to the ledger', async () => {
+    await ledger.post({ lines: transfer(accounts.openingBalance(), accounts.wallet(employer), 100), currency: 'USD' });
+    await ledger.post({ lines: transfer(accounts.wallet(employer), accounts.escrow(job), 60.5), currency: 'USD' });
+    await ledger.post({ lines: transfer(accounts.escrow(job), accounts.wallet(worker), 50.25), currency: 'USD' });
+    await ledger.post({ lines: transfer(accounts.escrow(job), accounts.wallet(employer), 10.25), currency: 'USD' });
+    await ledger.post({ lines: transfer(accounts.wallet(worker), accounts.platformFees(), 5.03), currency: 'USD' });
+    await ledger.post({ lines: transfer(accounts.funding(employer), accounts.wallet(employer), 20), currency: 'KZT' });
+
+    expect(sum(entries, 'debit')).toBe(sum(entries, 'credit'));
+
+    const journals = new Set(entries.map(entry => entry.journal));
+    expect(journals.size).toBe(6);
+    journals.forEach(journal => {
+      const lines = entries.filter(entry => entry.journal === journal);
+      expect(sum(lines, 'debit')).toBe(sum(lines, 'credit'));
+    });
+
+    expect(wallets).toEqual(derivedWallets());
+    expect(wallets.get(walletKey(employer, 'USD'))).toBe(49.75);
+    expect(wallets.get(walletKey(employer, 'KZT'))).toBe(20);
+    expect(wallets.get(walletKey(worker, 'USD'))).toBe(45.22);
+  });
+
+  it('rejects an unbalanced journal without writing it', async () => {
+    await expect(ledger.post({
+      lines: [
+        { ...accounts.openingBalance(), debit: 10 },
+        { ...accounts.wallet(employer), credit: 9.99 }
+      ],
+      currency: 'USD'
+    })).rejects.toThrow('Unbalanced journal');
+
+    expect(entries).toHaveLength(0);
+    expect(wallets.size).toBe(0);
+  });
+
+  it('rejects a line that both debits and credits', async () => {
+    await expect(ledger.post({
+      lines: [
+        { ...accounts.openingBalance(), debit: 10, credit: 10 },
+        { ...accounts.wallet(employer), credit: 0 }
+      ],
+      currency: 'USD'
+    })).rejects.toThrow('Invalid ledger line');
+  });
+
+  it('refuses to overdraw a wallet', async () => {
+    await ledger.post({ lines: transfer(accounts.openingBalance(), accounts.wallet(employer), 10), currency: 'USD' });
+
+    await expect(ledger.post({
+      lines: transfer(accounts.wallet(employer), accounts.escrow(job), 10.01),
+      currency: 'USD'
+    })).rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_BALANCE' });
+
+    expect(wallets.get(walletKey(employer, 'USD'))).toBe(10);
+  });
+});
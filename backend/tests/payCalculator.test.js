@@ -0,0 +1,63 @@
+const payCalculator = require('../src/services/payCalculator');
+
+const hourlyJob = { pay: { type: 'hourly', amount: 1000, currency: 'KZT' }, duration: 8 };
+const commissionJob = { pay: { type: 'commission', amount: 200, commissionRate: 12.5, currency: 'USD' } };
+const fixedJob = { pay: { type: 'fixed', amount: 49.999, currency: 'USD' } };
+
+describe('payCalculator.estimateAmount', () => {
+  it('reserves the rate times the posted duration for hourly jobs', () => {
+    expect(payCalculator.estimateAmount(hourlyJob)).toBe(8000);
+    expect(payCalculator.estimateAmount({ pay: { type: 'hourly', amount: 12.5 }, duration: 2.5 })).toBe(31.25);
+  });
+
+  it('reserves the pay amount for fixed and commission jobs', () => {
+    expect(payCalculator.estimateAmount(fixedJob)).toBe(50);
+    expect(payCalculator.estimateAmount(commissionJob)).toBe(200);
+  });
+});
+
+describe('payCalculator.calculatePayout', () => {
+  it('pays fixed jobs their amount without a timesheet', () => {
+    expect(payCalculator.requiresTimesheet(fixedJob)).toBe(false);
+    expect(payCalculator.calculatePayout(fixedJob)).toEqual({ type: 'fixed', amount: 50 });
+  });
+
+  it('requires an approved timesheet for hourly and commission jobs', () => {
+    expect(payCalculator.requiresTimesheet(hourlyJob)).toBe(true);
+    expect(payCalculator.requiresTimesheet(commissionJob)).toBe(true);
+
+    expect(() => payCalculator.calculatePayout(hourlyJob))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'TIMESHEET_NOT_APPROVED' }));
+    expect(() => payCalculator.calculatePayout(commissionJob, { status: 'submitted', reportedAmount: 100 }))
+      .toThrow(expect.objectContaining({ code: 'TIMESHEET_NOT_APPROVED' }));
+
+    expect(payCalculator.calculatePayout(hourlyJob, { status: 'paid', approvedMinutes: 60 }).amount).toBe(1000);
+  });
+
+  it('pays hourly jobs for the exact approved minutes', () => {
+    // 50 minutes is 0.8333 hours; rounding the hours first would pay 830
+    expect(payCalculator.calculatePayout(hourlyJob, { status: 'approved', approvedMinutes: 50 })).toEqual({
+      type: 'hourly',
+      amount: 833.33,
+      hours: 0.83,
+      rate: 1000
+    });
+    expect(payCalculator.calculatePayout(hourlyJob, { status: 'approved', approvedMinutes: 0 }).amount).toBe(0);
+  });
+
+  it('pays commission jobs their rate of the reported amount', () => {
+    expect(payCalculator.calculatePayout(commissionJob, { status: 'approved', reportedAmount: 1234.56 })).toEqual({
+      type: 'commission',
+      amount: 154.32,
+      reportedAmount: 1234.56,
+      commissionRate: 12.5
+    });
+  });
+
+  it('pays nothing for a 0% commission or a zero reported amount', () => {
+    const zeroRate = { pay: { ...commissionJob.pay, commissionRate: 0 } };
+
+    expect(payCalculator.calculatePayout(zeroRate, { status: 'approved', reportedAmount: 500 }).amount).toBe(0);
+    expect(payCalculator.calculatePayout(commissionJob, { status: 'approved', reportedAmount: 0 }).amount).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const mongoose = require('mongoose');
+const stripe = require('stripe')('sk_test_placeholder');
+const Transaction = require('../src/models/Transaction');
+const ledger = require('../src/services/ledger');
+const stripeProvider = require('../src/services/payouts/stripeProvider');
+const { handleProviderEvent } = require('../src/services/paymentEvents');
+
+const { accounts } = ledger;
+
+const userId = new mongoose.Types.ObjectId();
+
+// The withdrawal as stored, updated in place by the conditional claims
+let stored;
+let posted;
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    type: 'withdrawal',
+    amount: -100,
+    currency: 'USD',
+    description: 'Withdrawal to Visa Card',
+    status: 'completed',
+    stripeTransferId: 'tr_123'
+  };
+  posted = [];
+
+  jest.spyOn(Transaction, 'findOne').mockImplementation(async (filter) => {
+    return filter.stripeTransferId === stored.stripeTransferId ? { ...stored } : null;
+  });
+
+  // Applies the $set when the filter still matches, like MongoDB would
+  jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const reversed = stored.reversal ? stored.reversal.amount : null;
+    if (filter.status !== stored.status || ('reversal.amount' in filter && filter['reversal.amount'] !== reversed)) {
+      return null;
+    }
+    Object.assign(stored, update.$set);
+    return { ...stored };
+  });
+
+  jest.spyOn(ledger, 'withTransaction').mockImplementation(async (work) => work({}));
+  jest.spyOn(ledger, 'post').mockImplementation(async (journal) => {
+    posted.push(journal);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A signed Stripe transfer.reversed delivery, parsed by the provider
+const transferReversed = (amountReversed) => {
+  const payload = JSON.stringify({
+    id: `evt_${amountReversed}`,
+    type: 'transfer.reversed',
+    data: { object: { object: 'transfer', id: 'tr_123', amount: 10000, amount_reversed: amountReversed } }
+  });
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_test' });
+
+  return stripeProvider.parseWebhook(Buffer.from(payload), { 'stripe-signature': header });
+};
+
+describe('payout reversal webhook', () => {
+  it('returns a reversed completed payout to the wallet once', async () => {
+    const event = transferReversed(10000);
+    expect(event).toMatchObject({ type: 'payout.reversed', transferId: 'tr_123', reversedAmount: 100 });
+
+    await expect(handleProviderEvent(event)).resolves.toMatchObject({ handled: true });
+
+    expect(stored.reversal).toMatchObject({ amount: 100, reason: 'Transfer reversed' });
+    expect(posted).toHaveLength(1);
+    expect(posted[0].lines).toEqual([
+      { ...accounts.payoutsSettled(userId), debit: 100 },
+      { ...accounts.wallet(userId), credit: 100 }
+    ]);
+
+    // The provider delivers the same event again
+    await expect(handleProviderEvent(event)).resolves.toEqual({
+      handled: false,
+      reason: 'Transaction already processed'
+    });
+    expect(posted).toHaveLength(1);
+  });
+
+  it('credits only what each partial reversal adds', async () => {
+    await handleProviderEvent(transferReversed(3000));
+    await handleProviderEvent(transferReversed(10000));
+
+    expect(posted.map(journal => journal.lines[1].credit)).toEqual([30, 70]);
+    expect(stored.reversal.amount).toBe(100);
+  });
+
+  it('fails a payout reversed before it completed', async () => {
+    stored.status = 'pending';
+
+    await expect(handleProviderEvent(transferReversed(10000))).resolves.toMatchObject({ handled: true });
+
+    expect(stored).toMatchObject({ status: 'failed', failureReason: 'Transfer reversed' });
+    expect(stored.reversal).toBeUndefined();
+    expect(posted[0].lines).toEqual([
+      { ...accounts.payoutsPending(userId), debit: 100 },
+      { ...accounts.wallet(userId), credit: 100 }
+    ]);
+  });
+});
@@ -0,0 +1,41 @@
+const recurrence = require('../src/services/recurrence');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+const days = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+describe('recurrence.occurrenceDates', () => {
+  it('repeats daily rules every interval days up to the given date', () => {
+    const rule = { frequency: 'daily', interval: 3, startDate: day('2026-03-01') };
+
+    expect(days(recurrence.occurrenceDates(rule, new Date('2026-03-10T18:00:00Z'))))
+      .toEqual(['2026-03-01', '2026-03-04', '2026-03-07', '2026-03-10']);
+  });
+
+  it('repeats weekly rules on the chosen weekdays of every interval weeks', () => {
+    // Sunday 2026-03-01 falls in the week starting Monday 2026-02-23
+    const rule = { frequency: 'weekly', interval: 2, weekdays: [1, 3], startDate: day('2026-03-01') };
+
+    expect(days(recurrence.occurrenceDates(rule, day('2026-03-25'))))
+      .toEqual(['2026-03-09', '2026-03-11', '2026-03-23', '2026-03-25']);
+  });
+
+  it('stops at until, count or the limit, whichever comes first', () => {
+    const rule = { frequency: 'daily', startDate: day('2026-03-01'), until: day('2026-03-05') };
+
+    expect(recurrence.occurrenceDates(rule, day('2026-04-01'))).toHaveLength(5);
+    expect(recurrence.occurrenceDates({ ...rule, count: 2 }, day('2026-04-01'))).toHaveLength(2);
+    expect(recurrence.occurrenceDates({ ...rule, count: 4 }, day('2026-04-01'), 3)).toHaveLength(3);
+  });
+
+  it('produces nothing before the start date', () => {
+    const rule = { frequency: 'daily', startDate: day('2026-03-10') };
+
+    expect(recurrence.occurrenceDates(rule, day('2026-03-09'))).toEqual([]);
+  });
+});
+
+describe('recurrence.startOfDay', () => {
+  it('drops the time of day in UTC', () => {
+    expect(recurrence.startOfDay(new Date('2026-03-01T23:59:59Z'))).toEqual(day('2026-03-01'));
+  });
+});
@@ -0,0 +1,28 @@
+const Timesheet = require('../src/models/Timesheet');
+
+const at = (time) => new Date(`2026-03-10T${time}:00Z`);
+
+describe('Timesheet.getWorkedMinutes', () => {
+  it('totals the shifts without their breaks', () => {
+    const timesheet = new Timesheet({
+      shifts: [
+        {
+          clockIn: at('09:00'),
+          clockOut: at('13:00'),
+          breaks: [{ startedAt: at('11:00'), endedAt: at('11:30') }]
+        },
+        { clockIn: at('14:00'), clockOut: at('15:20'), breaks: [] }
+      ]
+    });
+
+    expect(timesheet.getWorkedMinutes()).toBe(210 + 80);
+  });
+
+  it('counts an open shift and an open break up to now', () => {
+    const timesheet = new Timesheet({
+      shifts: [{ clockIn: at('09:00'), breaks: [{ startedAt: at('10:00') }] }]
+    });
+
+    expect(timesheet.getWorkedMinutes(at('10:45'))).toBe(60);
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const currency = require('../src/services/currency');
+const withdrawalPolicy = require('../src/services/withdrawalPolicy');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = new Date('2026-03-10T12:00:00Z');
+const ago = (ms) => new Date(now.getTime() - ms);
+
+const original = { ...config.withdrawals };
+
+// Earlier withdrawals and earnings of the user, as the queries see them
+let withdrawals;
+let earnings;
+
+beforeEach(() => {
+  Object.assign(config.withdrawals, {
+    minimumAmount: 10,
+    dailyLimit: 1000,
+    weeklyLimit: 3000,
+    holdHours: 72,
+    requireVerification: true,
+    velocity: { maxDailyCount: 3, largeAmount: 500, newAccountDays: 7 }
+  });
+  withdrawals = [];
+  earnings = [];
+
+  // Totals per currency of the withdrawals since the $match date
+  jest.spyOn(Transaction, 'aggregate').mockImplementation((pipeline) => ({
+    session: async () => {
+      const since = pipeline[0].$match.createdAt.$gte;
+      const totals = new Map();
+      withdrawals.filter(item => item.createdAt >= since).forEach(item => {
+        const total = totals.get(item.currency) || { _id: item.currency, total: 0, count: 0 };
+        total.total += Math.abs(item.amount);
+        total.count += 1;
+        totals.set(item.currency, total);
+      });
+      return [...totals.values()];
+    }
+  }));
+
+  jest.spyOn(Transaction, 'find').mockImplementation((filter) => ({
+    select: () => ({
+      session: () => ({
+        lean: async () => earnings.filter(item => item.currency === filter.currency && item.createdAt > filter.createdAt.$gt)
+      })
+    })
+  }));
+});
+
+afterEach(() => {
+  Object.assign(config.withdrawals, original);
+  jest.restoreAllMocks();
+});
+
+const makeUser = (balance, overrides = {}) => new User({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'worker@example.com',
+  firstName: 'Sam',
+  lastName: 'Worker',
+  isVerified: true,
+  createdAt: ago(30 * DAY),
+  wallet: { balances: { USD: balance } },
+  ...overrides
+});
+
+const evaluate = (user, amount) => withdrawalPolicy.evaluateWithdrawal(user, amount, 'USD', { now });
+
+describe('withdrawalPolicy.evaluateWithdrawal', () => {
+  it('allows a withdrawal within every limit without review', async () => {
+    await expect(evaluate(makeUser(200), 100)).resolves.toEqual([]);
+  });
+
+  it('requires a verified account', async () => {
+    await expect(evaluate(makeUser(200, { isVerified: false }), 100))
+      .rejects.toMatchObject({ statusCode: 403, code: 'ACCOUNT_NOT_VERIFIED' });
+  });
+
+  it('refuses amounts below the minimum or above the balance', async () => {
+    await expect(evaluate(makeUser(200), 5)).rejects.toMatchObject({ code: 'WITHDRAWAL_BELOW_MINIMUM' });
+    await expect(evaluate(makeUser(50), 60)).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+  });
+
+  it('holds earnings younger than the hold period, net of fees', async () => {
+    earnings = [
+      { currency: 'USD', amount: 100, feeBreakdown: { net: 90 }, createdAt: ago(10 * HOUR) },
+      { currency: 'USD', amount: 50, createdAt: ago(100 * HOUR) }
+    ];
+    const user = makeUser(200);
+
+    const availability = await withdrawalPolicy.getAvailability(user, 'USD', now);
+    expect(availability).toMatchObject({ balance: 200, held: 90, available: 110 });
+
+    await expect(evaluate(user, 111)).rejects.toMatchObject({ code: 'FUNDS_ON_HOLD' });
+    await expect(evaluate(user, 110)).resolves.toEqual([]);
+  });
+
+  it('counts earlier withdrawals in any currency against the daily and weekly limits', async () => {
+    withdrawals = [
+      { currency: 'USD', amount: -900, createdAt: ago(2 * HOUR) },
+      { currency: 'KZT', amount: -currency.fromBase(1900, 'KZT'), createdAt: ago(3 * DAY) }
+    ];
+    const user = makeUser(5000);
+
+    await expect(evaluate(user, 150)).rejects.toMatchObject({ code: 'DAILY_LIMIT_EXCEEDED' });
+
+    withdrawals[0].createdAt = ago(2 * DAY);
+    await expect(evaluate(user, 250)).rejects.toMatchObject({ code: 'WEEKLY_LIMIT_EXCEEDED' });
+    await expect(evaluate(user, 200)).resolves.toEqual([]);
+  });
+
+  it('flags frequent, large and new-account withdrawals for review', async () => {
+    withdrawals = [1, 2, 3].map(hours => ({ currency: 'USD', amount: -10, createdAt: ago(hours * HOUR) }));
+    const user = makeUser(1000, { createdAt: ago(2 * DAY) });
+
+    await expect(evaluate(user, 500)).resolves.toEqual([
+      'More than 3 withdrawals in 24 hours',
+      'Amount of 500 USD or more',
+      'Account younger than 7 days'
+    ]);
+  });
+});
@@ -1,19 +1,31 @@
 "use client"
 
-import { useState } from "react"
+import { useEffect, useState } from "react"
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
 import { MapPin, DollarSign, Clock, Heart, X, RotateCcw, Star, Users, Zap, Sparkles, TrendingUp, Plus, Briefcase, Search } from "lucide-react"
+import { api, RecommendedJob } from "@/lib/api"
 import { useAuth } from "@/lib/auth-context"
 import { useLanguage } from "@/lib/language-context"
 
 export default function HomeScreen() {
   const { user } = useAuth()
   const { t } = useLanguage()
-  const [jobs, setJobs] = useState<any[]>([])
+  const [jobs, setJobs] = useState<RecommendedJob[]>([])
   const [loading, setLoading] = useState(false)
 
+  // Соискатели видят подборку вакансий под свой профиль
+  useEffect(() => {
+    if (user?.role !== 'applicant') return
+
+    setLoading(true)
+    api.getRecommendedJobs({ limit: 10 })
+      .then(response => setJobs(response.data.jobs))
+      .catch(error => console.error('Recommended jobs error:', error))
+      .finally(() => setLoading(false))
+  }, [user])
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-[#0D1B2A] via-[#1e3a5f] to-[#2d4a6b] relative">
       {/* Floating particles */}
@@ -124,8 +136,42 @@ export default function HomeScreen() {
               </CardContent>
             </Card>
           ) : (
-            <div className="text-center text-gray-300">
-              <p>Вакансии будут загружены здесь</p>
+            <div className="w-full max-w-md space-y-3">
+              {jobs.map((job) => (
+                <Card key={job._id} className="bg-gray-800/80 backdrop-blur-sm border-gray-600">
+                  <CardContent className="p-4 space-y-2">
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <h3 className="text-white font-semibold">{job.title}</h3>
+                        <p className="text-gray-400 text-sm">{job.companyName}</p>
+                      </div>
+                      <Badge className="bg-[#457B9D] text-white shrink-0">
+                        <TrendingUp className="w-3 h-3 mr-1" />
+                        {job.recommendation.score}%
+                      </Badge>
+                    </div>
+                    <div className="flex items-center gap-4 text-sm text-gray-300">
+                      <span className="flex items-center">
+                        <DollarSign className="w-4 h-4 mr-1" />
+                        {job.pay.currency}{job.pay.amount}
+                      </span>
+                      <span className="flex items-center">
+                        <MapPin className="w-4 h-4 mr-1" />
+                        {job.location.city}
+                      </span>
+                    </div>
+                    {/* Главные причины оценки */}
+                    <ul className="text-xs text-gray-400 space-y-1">
+                      {[...job.recommendation.factors]
+                        .sort((a, b) => b.contribution - a.contribution)
+                        .slice(0, 2)
+                        .map((factor) => (
+                          <li key={factor.factor}>{factor.reason}</li>
+                        ))}
+                    </ul>
+                  </CardContent>
+                </Card>
+              ))}
             </div>
           )}
         </div>
@@ -2,47 +2,220 @@
 
 import type React from "react"
 
-import { useState } from "react"
+import { useEffect, useRef, useState } from "react"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Textarea } from "@/components/ui/textarea"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Badge } from "@/components/ui/badge"
-import { Camera, Shield, AlertCircle, CheckCircle, MapPin, DollarSign, Clock, Calendar } from "lucide-react"
-import { api, Job } from "@/lib/api"
+import { Camera, Shield, AlertCircle, CheckCircle, MapPin, DollarSign, Clock, Calendar, Copy, Save, Trash2, CloudUpload } from "lucide-react"
+import { api, ExperienceLevel, Job, JobDetails, JobTemplate } from "@/lib/api"
 import { useAuth } from "@/lib/auth-context"
 import { useLanguage } from "@/lib/language-context"
 
 const categories = ["Delivery", "Events", "Digital", "Retail", "Food Service", "Other"]
 
+const emptyForm = {
+  title: "",
+  category: "",
+  description: "",
+  date: "",
+  timeStart: "",
+  timeEnd: "",
+  duration: "",
+  payAmount: "",
+  payType: "hourly",
+  locationAddress: "",
+  locationCity: "",
+  locationCoordinates: [0, 0],
+  requirements: {
+    skills: [] as string[],
+    experience: "none" as ExperienceLevel,
+    // No age range unless the employer sets one: workers without a date
+    // of birth would have every application flagged
+    age: {} as { min?: number; max?: number },
+    ownVehicle: false,
+    validLicense: false
+  }
+}
+
+type PostJobForm = typeof emptyForm
+
+// Fill the form from saved job details, keeping what the details leave out
+const formFromJob = (job: JobDetails & { date?: string }, current: PostJobForm): PostJobForm => ({
+  ...current,
+  title: job.title ?? current.title,
+  category: job.category ?? current.category,
+  description: job.description ?? current.description,
+  date: job.date ? job.date.slice(0, 10) : current.date,
+  timeStart: job.time?.start ?? current.timeStart,
+  timeEnd: job.time?.end ?? current.timeEnd,
+  duration: job.duration !== undefined ? job.duration.toString() : current.duration,
+  payAmount: job.pay?.amount !== undefined ? job.pay.amount.toString() : current.payAmount,
+  payType: job.pay?.type ?? current.payType,
+  locationAddress: job.location?.address ?? current.locationAddress,
+  locationCity: job.location?.city ?? current.locationCity,
+  locationCoordinates: job.location?.coordinates?.coordinates ?? current.locationCoordinates,
+  requirements: { ...current.requirements, ...job.requirements }
+})
+
 export default function PostJobScreen() {
   const { user } = useAuth()
   const { t } = useLanguage()
   const [isVerified, setIsVerified] = useState(true) // Set to true for demo
   const [isSubmitting, setIsSubmitting] = useState(false)
-  const [formData, setFormData] = useState({
-    title: "",
-    category: "",
-    description: "",
-    date: "",
-    timeStart: "",
-    timeEnd: "",
-    duration: "",
-    payAmount: "",
-    payType: "hourly",
-    locationAddress: "",
-    locationCity: "",
-    locationCoordinates: [0, 0],
-    requirements: {
-      skills: [] as string[],
-      experience: "",
-      age: { min: 18, max: 65 },
-      ownVehicle: false,
-      validLicense: false
-    }
+  const [formData, setFormData] = useState(emptyForm)
+  const [templates, setTemplates] = useState<JobTemplate[]>([])
+  const [recentJobs, setRecentJobs] = useState<Job[]>([])
+  // Draft the form is saved to, autosaved or cloned from a past job;
+  // submitting publishes it
+  const [draftId, setDraftId] = useState<string | null>(null)
+  const [isClone, setIsClone] = useState(false)
+  const [saveState, setSaveState] = useState<"idle" | "saving" | "saved" | "error">("idle")
+  const [publishAt, setPublishAt] = useState("")
+  // Saves run one after another so the first one creates the only draft
+  const pendingSave = useRef<Promise<void> | null>(null)
+  const draftRef = useRef<string | null>(null)
+
+  const rememberDraft = (id: string | null) => {
+    draftRef.current = id
+    setDraftId(id)
+  }
+
+  useEffect(() => {
+    if (!user) return
+
+    Promise.all([
+      api.getJobTemplates(),
+      api.getMyPostedJobs({ limit: 5 })
+    ])
+      .then(([templatesResponse, jobsResponse]) => {
+        setTemplates(templatesResponse.data.templates)
+        setRecentJobs(jobsResponse.data.jobs.filter((job) => !["draft", "scheduled"].includes(job.status)))
+      })
+      .catch((error) => console.error('Load templates error:', error))
+  }, [user])
+
+  // Autosave the form as a draft a moment after the employer stops typing
+  useEffect(() => {
+    if (!user || JSON.stringify(formData) === JSON.stringify(emptyForm)) return
+
+    const timer = setTimeout(() => {
+      const save = (pendingSave.current ?? Promise.resolve()).then(saveDraft)
+      pendingSave.current = save
+      save.finally(() => {
+        if (pendingSave.current === save) pendingSave.current = null
+      })
+    }, 2000)
+
+    return () => clearTimeout(timer)
+  }, [formData])
+
+  const buildJobDetails = (): JobDetails => ({
+    title: formData.title,
+    description: formData.description,
+    category: formData.category,
+    pay: {
+      amount: parseFloat(formData.payAmount),
+      currency: "USD",
+      type: formData.payType as "hourly" | "fixed" | "commission"
+    },
+    location: {
+      address: formData.locationAddress,
+      city: formData.locationCity,
+      coordinates: {
+        type: "Point",
+        coordinates: formData.locationCoordinates
+      }
+    },
+    time: {
+      start: formData.timeStart,
+      end: formData.timeEnd
+    },
+    duration: parseFloat(formData.duration),
+    requirements: formData.requirements
   })
 
+  // Only the filled-in fields, for drafts and templates
+  const filledJobDetails = (): JobDetails => {
+    const { pay, location, time, duration, ...rest } = buildJobDetails()
+    const details: JobDetails = Object.fromEntries(
+      Object.entries(rest).filter(([, value]) => value !== "")
+    )
+    if (pay && !Number.isNaN(pay.amount)) details.pay = pay
+    if (location?.address && location.city) details.location = location
+    if (time?.start && time.end) details.time = time
+    if (duration !== undefined && !Number.isNaN(duration)) details.duration = duration
+    return details
+  }
+
+  const saveDraft = async () => {
+    const details = { ...filledJobDetails(), ...(formData.date ? { date: formData.date } : {}) }
+
+    setSaveState("saving")
+    try {
+      if (draftRef.current) {
+        await api.updateJob(draftRef.current, details)
+      } else {
+        const response = await api.createDraft(details)
+        rememberDraft(response.data.job._id)
+      }
+      setSaveState("saved")
+    } catch (error) {
+      // Drafts accept half-typed fields, so only server or network errors
+      // land here; the next change saves again
+      console.error('Autosave error:', error)
+      setSaveState("error")
+    }
+  }
+
+  const handleUseTemplate = (templateId: string) => {
+    const template = templates.find((item) => item._id === templateId)
+    if (!template) return
+
+    setIsClone(false)
+    setFormData(formFromJob(template.job, emptyForm))
+  }
+
+  const handleSaveTemplate = async () => {
+    const name = window.prompt("Название шаблона", formData.title)
+    if (!name) return
+
+    try {
+      const response = await api.createJobTemplate(name, filledJobDetails())
+      setTemplates([response.data.template, ...templates])
+      alert("Шаблон сохранен")
+    } catch (error) {
+      console.error('Save template error:', error)
+      alert(error instanceof Error ? error.message : "Не удалось сохранить шаблон")
+    }
+  }
+
+  const handleDeleteTemplate = async (templateId: string) => {
+    try {
+      await api.deleteJobTemplate(templateId)
+      setTemplates(templates.filter((item) => item._id !== templateId))
+    } catch (error) {
+      console.error('Delete template error:', error)
+    }
+  }
+
+  const handleCloneJob = async (jobId: string) => {
+    try {
+      const response = await api.cloneJob(jobId)
+      const draft = response.data.job
+      await pendingSave.current
+      rememberDraft(draft._id)
+      setIsClone(true)
+      setSaveState("saved")
+      setFormData(formFromJob(draft, emptyForm))
+    } catch (error) {
+      console.error('Clone job error:', error)
+      alert("Не удалось скопировать вакансию")
+    }
+  }
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!isVerified) {
@@ -53,57 +226,32 @@ export default function PostJobScreen() {
     setIsSubmitting(true)
     try {
       const jobData = {
-        title: formData.title,
-        description: formData.description,
-        category: formData.category,
-        pay: {
-          amount: parseFloat(formData.payAmount),
-          currency: "USD",
-          type: formData.payType
-        },
-        location: {
-          address: formData.locationAddress,
-          city: formData.locationCity,
-          coordinates: {
-            type: "Point",
-            coordinates: formData.locationCoordinates
-          }
-        },
-        date: formData.date,
-        time: {
-          start: formData.timeStart,
-          end: formData.timeEnd
-        },
-        duration: parseFloat(formData.duration),
-        requirements: formData.requirements,
-        status: "active"
+        ...buildJobDetails(),
+        date: formData.date
       }
+      const scheduledAt = publishAt ? new Date(publishAt).toISOString() : undefined
+
+      // Let an autosave in flight create its draft first
+      await pendingSave.current
 
-      await api.createJob(jobData)
-      alert("Вакансия успешно размещена!")
+      const id = draftRef.current
+      if (id) {
+        // The draft is updated with the form and then published
+        await api.updateJob(id, jobData)
+        await api.publishJob(id, scheduledAt)
+      } else {
+        await api.createJob({ ...jobData, status: "active", publishAt: scheduledAt })
+      }
+      alert(scheduledAt
+        ? `Вакансия будет опубликована ${new Date(scheduledAt).toLocaleString()}`
+        : "Вакансия успешно размещена!")
       
       // Reset form
-      setFormData({
-        title: "",
-        category: "",
-        description: "",
-        date: "",
-        timeStart: "",
-        timeEnd: "",
-        duration: "",
-        payAmount: "",
-        payType: "hourly",
-        locationAddress: "",
-        locationCity: "",
-        locationCoordinates: [0, 0],
-        requirements: {
-          skills: [],
-          experience: "",
-          age: { min: 18, max: 65 },
-          ownVehicle: false,
-          validLicense: false
-        }
-      })
+      rememberDraft(null)
+      setIsClone(false)
+      setSaveState("idle")
+      setPublishAt("")
+      setFormData(emptyForm)
     } catch (error) {
       console.error('Job creation error:', error)
       alert("Ошибка при размещении вакансии. Попробуйте еще раз.")
@@ -166,12 +314,92 @@ export default function PostJobScreen() {
     <div className="p-4 space-y-6">
       <div className="flex items-center justify-between">
         <h1 className="text-2xl font-bold">{t('postJob.title')}</h1>
+        {saveState !== "idle" && (
+          <span className="flex items-center text-xs text-gray-400">
+            <CloudUpload className="w-4 h-4 mr-1" />
+            {saveState === "saving" && "Сохранение..."}
+            {saveState === "saved" && "Черновик сохранен"}
+            {saveState === "error" && "Черновик не сохранен"}
+          </span>
+        )}
         <Badge className="bg-green-500">
           <Shield className="w-3 h-3 mr-1" />
           {t('postJob.verified')}
         </Badge>
       </div>
 
+      {(templates.length > 0 || recentJobs.length > 0) && (
+        <Card className="bg-gray-800 border-gray-700">
+          <CardHeader>
+            <CardTitle>Быстрый старт</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {templates.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Из шаблона</label>
+                <div className="space-y-2">
+                  {templates.map((template) => (
+                    <div key={template._id} className="flex items-center justify-between p-3 bg-gray-700 rounded-lg">
+                      <button
+                        type="button"
+                        className="text-left flex-1"
+                        onClick={() => handleUseTemplate(template._id)}
+                      >
+                        <p className="font-medium">{template.name}</p>
+                        {template.job.title && (
+                          <p className="text-gray-400 text-sm">{template.job.title}</p>
+                        )}
+                      </button>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDeleteTemplate(template._id)}
+                      >
+                        <Trash2 className="w-4 h-4 text-gray-400" />
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {recentJobs.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Повторить прошлую вакансию</label>
+                <div className="space-y-2">
+                  {recentJobs.map((job) => (
+                    <div key={job._id} className="flex items-center justify-between p-3 bg-gray-700 rounded-lg">
+                      <div>
+                        <p className="font-medium">{job.title}</p>
+                        <p className="text-gray-400 text-sm">{new Date(job.date).toLocaleDateString()}</p>
+                      </div>
+                      <Button
+                        type="button"
+                        size="sm"
+                        className="bg-[#457B9D] hover:bg-[#457B9D]/80"
+                        onClick={() => handleCloneJob(job._id)}
+                      >
+                        <Copy className="w-4 h-4 mr-1" />
+                        Копировать
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {draftId && isClone && (
+        <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-4">
+          <p className="text-yellow-400 text-sm">
+            Черновик создан из прошлой вакансии. Проверьте дату и данные перед публикацией.
+          </p>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         <Card className="bg-gray-800 border-gray-700">
           <CardHeader>
@@ -339,12 +567,40 @@ export default function PostJobScreen() {
           </CardContent>
         </Card>
 
+        <Card className="bg-gray-800 border-gray-700">
+          <CardHeader>
+            <CardTitle>Публикация</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <label className="block text-sm font-medium mb-2">Опубликовать позже (необязательно)</label>
+            <Input
+              type="datetime-local"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+              className="bg-gray-700 border-gray-600 text-white"
+            />
+            <p className="text-gray-500 text-xs mt-1">
+              Оставьте пустым, чтобы разместить вакансию сразу
+            </p>
+          </CardContent>
+        </Card>
+
         <div className="bg-blue-500/10 border border-blue-500/20 rounded-lg p-4">
           <p className="text-blue-400 text-sm">
             <strong>💡 Совет:</strong> Будьте конкретны в требованиях и предлагайте конкурентоспособную оплату для привлечения лучших кандидатов!
           </p>
         </div>
 
+        <Button
+          type="button"
+          variant="outline"
+          onClick={handleSaveTemplate}
+          className="w-full border-gray-600 text-white"
+        >
+          <Save className="w-5 h-5 mr-2" />
+          Сохранить как шаблон
+        </Button>
+
         <Button 
           type="submit" 
           disabled={isSubmitting}
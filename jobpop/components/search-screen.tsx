@@ -9,8 +9,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Checkbox } from "@/components/ui/checkbox"
 import { Label } from "@/components/ui/label"
 import { Separator } from "@/components/ui/separator"
-import { MapPin, DollarSign, Clock, Search, Filter, X, Calendar, Users, Building, GraduationCap, Briefcase, Globe, Star, Heart } from "lucide-react"
-import { api, Job } from "@/lib/api"
+import { MapPin, DollarSign, Clock, Search, Filter, X, Calendar, Users, Building, GraduationCap, Briefcase, Globe, Star, Heart, Bell, BellOff, Trash2 } from "lucide-react"
+import { AlertFrequency, api, HighlightSegment, Job, JobSearchParams, SavedSearch } from "@/lib/api"
 import { useAuth } from "@/lib/auth-context"
 import { useLanguage } from "@/lib/language-context"
 
@@ -128,12 +128,92 @@ const timeFilters = [
   "За сутки"
 ]
 
+// Значения фильтров в API
+const paymentFrequencyValues: Record<string, string> = {
+  "Ежедневно": "daily",
+  "Раз в неделю": "weekly",
+  "Два раза в месяц": "biweekly",
+  "Раз в месяц": "monthly",
+  "За проект": "per_project"
+}
+
+const educationValues: Record<string, string> = {
+  "Не требуется или не указано": "none",
+  "Среднее профессиональное": "vocational",
+  "Высшее": "higher"
+}
+
+const experienceValues: Record<string, string> = {
+  "Нет опыта": "none",
+  "От 1 года до 3 лет": "beginner",
+  "От 3 до 6 лет": "intermediate",
+  "Более 6 лет": "expert"
+}
+
+const employmentTypeValues: Record<string, string> = {
+  "Полная занятость": "full_time",
+  "Частичная занятость": "part_time",
+  "Проектная работа": "project",
+  "Вахта": "rotation",
+  "Оформление по ГПХ или по совместительству": "contract",
+  "Стажировка": "internship"
+}
+
+const workScheduleValues: Record<string, string[]> = {
+  "Рабочие часы в день": ["day"],
+  "Вечерние или ночные смены": ["evening", "night"]
+}
+
+const workFormatValues: Record<string, string> = {
+  "На месте работодателя": "on_site",
+  "Удалённо": "remote",
+  "Гибрид": "hybrid",
+  "Разъездной": "traveling"
+}
+
+const searchInValues: Record<string, string> = {
+  title: "title",
+  company: "companyName",
+  description: "description"
+}
+
+const postedWithinDays: Record<string, number> = {
+  "За месяц": 30,
+  "За неделю": 7,
+  "За последние три дня": 3,
+  "За сутки": 1
+}
+
+const alertFrequencies: { value: AlertFrequency; label: string }[] = [
+  { value: "instant", label: "Сразу" },
+  { value: "daily", label: "Раз в день" },
+  { value: "weekly", label: "Раз в неделю" }
+]
+
+// Список значений для параметра запроса, пустой список не отправляется
+const listValue = (values: string[]) => (values.length > 0 ? values.join(",") : undefined)
+
 const pageSizes = [
   "20 вакансий",
   "50 вакансий", 
   "100 вакансий"
 ]
 
+// Search result text with the matched words marked
+function Highlighted({ segments }: { segments: HighlightSegment[] }) {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="bg-[#457B9D]/40 text-white rounded px-0.5">{segment.text}</mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  )
+}
+
 export default function SearchScreen() {
   const { user } = useAuth()
   const { t } = useLanguage()
@@ -163,6 +243,8 @@ export default function SearchScreen() {
   const [currentPage, setCurrentPage] = useState(1)
   const [totalPages, setTotalPages] = useState(1)
   const [totalJobs, setTotalJobs] = useState(0)
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([])
+  const [saveSearchState, setSaveSearchState] = useState<"idle" | "saving" | "saved" | "error">("idle")
 
   const handleSearchInChange = (value: string) => {
     if (searchIn.includes(value)) {
@@ -225,21 +307,40 @@ export default function SearchScreen() {
     setSearchResults([])
   }
 
+  // Фильтры поиска в формате API, без страниц и сортировки
+  const filterParams = (): JobSearchParams => ({
+    search: searchQuery || undefined,
+    category: selectedSpecialization !== "Любая" ? selectedSpecialization : undefined,
+    city: selectedRegion !== "Любая" ? selectedRegion : undefined,
+    minPay: salaryFrom ? parseFloat(salaryFrom) : undefined,
+    maxPay: salaryTo ? parseFloat(salaryTo) : undefined,
+    exclude: excludeWords.trim() || undefined,
+    searchIn: searchQuery ? listValue(searchIn.map(value => searchInValues[value])) : undefined,
+    metro: selectedMetro !== "Любая" ? selectedMetro : undefined,
+    payFrequency: paymentFrequencyValues[paymentFrequency],
+    education: educationValues[education],
+    experience: experienceValues[experience],
+    employmentType: listValue(employmentType.map(value => employmentTypeValues[value])),
+    shift: listValue(workSchedule.flatMap(value => workScheduleValues[value])),
+    workFormat: listValue(workFormat.map(value => workFormatValues[value])),
+    postedWithin: postedWithinDays[timeFilter],
+  })
+
   const handleSearch = async () => {
     setIsSearching(true)
+    setSaveSearchState("idle")
     try {
       const params: any = {
+        ...filterParams(),
         page: currentPage,
         limit: parseInt(pageSize.split(' ')[0]),
-        search: searchQuery || undefined,
-        category: selectedSpecialization !== "Любая" ? selectedSpecialization : undefined,
-        city: selectedRegion !== "Любая" ? selectedRegion : undefined,
-        minPay: salaryFrom ? parseFloat(salaryFrom) : undefined,
-        maxPay: salaryTo ? parseFloat(salaryTo) : undefined,
       }
 
       // Map sort options to API format
       switch (sortBy) {
+        case "По соответствию":
+          params.sort = "relevance"
+          break
         case "По дате изменения":
           params.sort = "recent"
           break
@@ -270,6 +371,49 @@ export default function SearchScreen() {
     handleSearch()
   }, [currentPage, pageSize])
 
+  useEffect(() => {
+    if (!user) return
+    api.getSavedSearches()
+      .then(response => setSavedSearches(response.data.searches))
+      .catch(error => console.error('Saved searches error:', error))
+  }, [user])
+
+  // Новые вакансии по сохранённому поиску приходят в уведомления и на почту
+  const handleSaveSearch = async () => {
+    const query = Object.fromEntries(
+      Object.entries(filterParams()).filter(([, value]) => value !== undefined)
+    ) as JobSearchParams
+    const name = searchQuery.trim() || `Поиск от ${new Date().toLocaleDateString("ru-RU")}`
+
+    setSaveSearchState("saving")
+    try {
+      const response = await api.saveSearch(name, query)
+      setSavedSearches([response.data.search, ...savedSearches])
+      setSaveSearchState("saved")
+    } catch (error) {
+      console.error('Save search error:', error)
+      setSaveSearchState("error")
+    }
+  }
+
+  const handleUpdateSavedSearch = async (id: string, changes: { muted?: boolean; frequency?: AlertFrequency }) => {
+    try {
+      const response = await api.updateSavedSearch(id, changes)
+      setSavedSearches(savedSearches.map(item => (item._id === id ? response.data.search : item)))
+    } catch (error) {
+      console.error('Update saved search error:', error)
+    }
+  }
+
+  const handleDeleteSavedSearch = async (id: string) => {
+    try {
+      await api.deleteSavedSearch(id)
+      setSavedSearches(savedSearches.filter(item => item._id !== id))
+    } catch (error) {
+      console.error('Delete saved search error:', error)
+    }
+  }
+
   const handleApplyToJob = async (jobId: string) => {
     if (!user) return
     
@@ -674,7 +818,7 @@ export default function SearchScreen() {
                 </Select>
               </div>
 
-              <div className="flex items-end">
+              <div className="flex items-end gap-2">
                 <Button 
                   className="w-full bg-[#457B9D] hover:bg-[#457B9D]/80"
                   onClick={handleSearch}
@@ -682,12 +826,72 @@ export default function SearchScreen() {
                 >
                   {isSearching ? 'Поиск...' : 'Найти вакансии'}
                 </Button>
+                {user && (
+                  <Button
+                    variant="outline"
+                    className="w-full border-[#457B9D] text-[#457B9D]"
+                    onClick={handleSaveSearch}
+                    disabled={saveSearchState === "saving"}
+                  >
+                    <Bell className="w-4 h-4 mr-2" />
+                    {saveSearchState === "saved" ? 'Поиск сохранён' : saveSearchState === "error" ? 'Не удалось сохранить' : 'Сохранить поиск'}
+                  </Button>
+                )}
               </div>
             </div>
           </CardContent>
         </Card>
       )}
 
+      {/* Saved searches */}
+      {savedSearches.length > 0 && (
+        <Card className="bg-gray-800 border-gray-700">
+          <CardHeader>
+            <CardTitle className="text-white text-base">Сохранённые поиски</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {savedSearches.map((item) => (
+              <div key={item._id} className="flex items-center justify-between gap-3">
+                <span className={item.muted ? "text-gray-500 text-sm" : "text-white text-sm"}>{item.name}</span>
+                <div className="flex items-center gap-2">
+                  <Select
+                    value={item.frequency}
+                    onValueChange={(value) => handleUpdateSavedSearch(item._id, { frequency: value as AlertFrequency })}
+                  >
+                    <SelectTrigger className="w-36 bg-gray-700 border-gray-600 text-white">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-gray-800 border-gray-700">
+                      {alertFrequencies.map((option) => (
+                        <SelectItem key={option.value} value={option.value} className="text-white">
+                          {option.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleUpdateSavedSearch(item._id, { muted: !item.muted })}
+                    title={item.muted ? "Включить уведомления" : "Отключить уведомления"}
+                  >
+                    {item.muted ? <BellOff className="w-4 h-4 text-gray-500" /> : <Bell className="w-4 h-4 text-[#457B9D]" />}
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDeleteSavedSearch(item._id)}
+                    title="Удалить поиск"
+                  >
+                    <Trash2 className="w-4 h-4 text-gray-400" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Results */}
       <div className="space-y-3">
         <div className="flex items-center justify-between">
@@ -752,7 +956,9 @@ export default function SearchScreen() {
                   <div className="flex justify-between items-start mb-4">
                     <div className="flex-1">
                       <div className="flex items-center space-x-2 mb-2">
-                        <h3 className="text-lg font-semibold text-white">{job.title}</h3>
+                        <h3 className="text-lg font-semibold text-white">
+                          {job.highlights ? <Highlighted segments={job.highlights.title} /> : job.title}
+                        </h3>
                         {job.isUrgent && (
                           <Badge className="bg-red-500 text-white">{t('search.urgent')}</Badge>
                         )}
@@ -775,7 +981,7 @@ export default function SearchScreen() {
                         </div>
                       </div>
                       <p className="text-gray-300 text-sm mb-4 line-clamp-2">
-                        {job.description}
+                        {job.highlights ? <Highlighted segments={job.highlights.description} /> : job.description}
                       </p>
                       <div className="flex items-center justify-between">
                         <div className="flex items-center space-x-4">
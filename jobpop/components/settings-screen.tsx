@@ -1,6 +1,8 @@
 "use client"
 
 import { useState } from "react"
+import { api, type Currency } from "@/lib/api"
+import { useAuth } from "@/lib/auth-context"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Switch } from "@/components/ui/switch"
@@ -46,13 +48,14 @@ interface SettingsState {
     activityStatus: boolean
   }
   preferences: {
-    currency: string
+    currency: Currency
     distanceUnit: string
     autoApply: boolean
   }
 }
 
 export default function SettingsScreen() {
+  const { user } = useAuth()
   const [settings, setSettings] = useState<SettingsState>({
     language: "english",
     darkMode: true,
@@ -69,7 +72,7 @@ export default function SettingsScreen() {
       activityStatus: true,
     },
     preferences: {
-      currency: "usd",
+      currency: user?.preferences?.currency ?? "USD",
       distanceUnit: "km",
       autoApply: false,
     },
@@ -81,10 +84,10 @@ export default function SettingsScreen() {
     { value: "kazakh", label: "Қазақша", flag: "🇰🇿" },
   ]
 
-  const currencies = [
-    { value: "usd", label: "USD ($)", flag: "🇺🇸" },
-    { value: "kzt", label: "KZT (₸)", flag: "🇰🇿" },
-    { value: "rub", label: "RUB (₽)", flag: "🇷🇺" },
+  const currencies: { value: Currency; label: string; flag: string }[] = [
+    { value: "USD", label: "USD ($)", flag: "🇺🇸" },
+    { value: "KZT", label: "KZT (₸)", flag: "🇰🇿" },
+    { value: "RUB", label: "RUB (₽)", flag: "🇷🇺" },
   ]
 
   const updateNotificationSetting = (key: keyof typeof settings.notifications, value: boolean) => {
@@ -108,6 +111,18 @@ export default function SettingsScreen() {
     }))
   }
 
+  // The display currency is kept on the account; the other settings are local
+  const updateCurrency = async (currency: Currency) => {
+    const previous = settings.preferences.currency
+    updatePreferenceSetting("currency", currency)
+    try {
+      await api.updatePreferences({ currency })
+    } catch (error) {
+      console.error("Update currency error:", error)
+      updatePreferenceSetting("currency", previous)
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-[#0D1B2A] via-[#1e3a5f] to-[#2d4a6b] p-4 space-y-6">
       {/* Floating particles */}
@@ -178,7 +193,7 @@ export default function SettingsScreen() {
                 <label className="text-sm font-bold text-gray-300 uppercase tracking-wide">Currency</label>
                 <Select
                   value={settings.preferences.currency}
-                  onValueChange={(value) => updatePreferenceSetting("currency", value)}
+                  onValueChange={(value) => updateCurrency(value as Currency)}
                 >
                   <SelectTrigger className="bg-gray-700/50 backdrop-blur-sm border-gray-600 text-white h-12">
                     <SelectValue />
@@ -1,5 +1,20 @@
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
+export type Currency = 'USD' | 'KZT' | 'RUB';
+
+export interface MoneyAmount {
+  amount: number;
+  currency: Currency;
+  displayAmount: number;
+  displayCurrency: Currency;
+}
+
+export interface Wallet {
+  balances: MoneyAmount[];
+  total: number;
+  displayCurrency: Currency;
+}
+
 export interface User {
   _id: string;
   email: string;
@@ -9,13 +24,21 @@ export interface User {
   location?: string;
   bio?: string;
   skills?: string[];
+  // [longitude, latitude]
+  homeCoordinates?: number[];
+  dateOfBirth?: string;
+  experienceLevel?: ExperienceLevel;
+  education?: EducationLevel;
+  certifications?: string[];
   isVerified: boolean;
   avatar?: string;
   role: 'applicant' | 'employer';
   companyName?: string;
   wallet: {
-    balance: number;
-    currency: string;
+    balances: Record<string, number>;
+  };
+  preferences?: {
+    currency: Currency;
   };
   stats?: {
     totalJobs: number;
@@ -23,6 +46,34 @@ export interface User {
   };
 }
 
+// Part of a search result's text; matched words have match set
+export interface HighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+export type EmploymentType = 'full_time' | 'part_time' | 'project' | 'rotation' | 'contract' | 'internship';
+export type WorkFormat = 'on_site' | 'remote' | 'hybrid' | 'traveling';
+export type PayFrequency = 'daily' | 'weekly' | 'biweekly' | 'monthly' | 'per_project';
+export type EducationLevel = 'none' | 'vocational' | 'higher';
+export type ExperienceLevel = 'none' | 'beginner' | 'intermediate' | 'expert';
+export type Shift = 'day' | 'evening' | 'night';
+export type Requirement = 'skills' | 'experience' | 'education' | 'age' | 'certifications';
+
+// A worker's profile checked against a job's requirements
+export interface Eligibility {
+  eligible: boolean;
+  checks: {
+    requirement: Requirement;
+    hard: boolean;
+    status: 'met' | 'unmet' | 'unknown';
+    message: string;
+    missing?: string[];
+  }[];
+  blocking: Requirement[];
+  warnings: Requirement[];
+}
+
 export interface Job {
   _id: string;
   title: string;
@@ -32,12 +83,14 @@ export interface Job {
   companyName: string;
   pay: {
     amount: number;
-    currency: string;
+    currency: Currency;
     type: 'hourly' | 'fixed' | 'commission';
+    frequency?: PayFrequency;
   };
   location: {
     address: string;
     city: string;
+    metro?: string;
     coordinates: {
       type: string;
       coordinates: number[];
@@ -49,20 +102,99 @@ export interface Job {
     end: string;
   };
   duration: number;
+  positions: number;
+  openPositions?: number;
+  employmentType?: EmploymentType;
+  workFormat?: WorkFormat;
+  shift?: Shift;
   requirements: {
     skills: string[];
-    experience: string;
-    age: {
-      min: number;
-      max: number;
+    experience: ExperienceLevel;
+    education?: EducationLevel;
+    age?: {
+      min?: number;
+      max?: number;
     };
     ownVehicle: boolean;
     validLicense: boolean;
+    certifications?: string[];
+    // Requirements a worker must meet to apply; the rest only warn
+    hard?: Requirement[];
   };
-  status: string;
+  status: 'draft' | 'scheduled' | 'active' | 'in_progress' | 'completed' | 'cancelled' | 'expired';
+  publishAt?: string;
+  publishedAt?: string;
   isUrgent: boolean;
   isTrending: boolean;
   applications?: Application[];
+  hasApplied?: boolean;
+  highlights?: {
+    title: HighlightSegment[];
+    description: HighlightSegment[];
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+// A job in the recommendations feed; the factors explain its score
+export interface RecommendedJob extends Job {
+  recommendation: {
+    score: number;
+    factors: {
+      factor: 'skills' | 'distance' | 'pay' | 'category' | 'employerRating';
+      weight: number;
+      score: number;
+      contribution: number;
+      reason: string;
+    }[];
+  };
+}
+
+export type JobDetails = Partial<Pick<Job,
+  'title' | 'description' | 'category' | 'pay' | 'location' | 'time' | 'duration' | 'positions' | 'requirements' | 'isUrgent' |
+  'employmentType' | 'workFormat'
+>>;
+
+export interface JobTemplate {
+  _id: string;
+  name: string;
+  job: JobDetails;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// GET /api/jobs filters, also kept by saved searches
+export interface JobSearchParams {
+  category?: string;
+  city?: string;
+  minPay?: number;
+  maxPay?: number;
+  search?: string;
+  exclude?: string;
+  searchIn?: string;
+  employmentType?: string;
+  workFormat?: string;
+  payFrequency?: string;
+  education?: string;
+  experience?: string;
+  shift?: string;
+  metro?: string;
+  postedWithin?: number;
+  lat?: number;
+  lng?: number;
+  radius?: number;
+}
+
+export type AlertFrequency = 'instant' | 'daily' | 'weekly';
+
+export interface SavedSearch {
+  _id: string;
+  name: string;
+  query: JobSearchParams;
+  frequency: AlertFrequency;
+  muted: boolean;
+  lastMatchedAt?: string;
+  matchCount: number;
   createdAt: string;
   updatedAt: string;
 }
@@ -74,6 +206,7 @@ export interface Application {
   status: 'pending' | 'accepted' | 'rejected' | 'completed';
   message?: string;
   appliedAt: string;
+  unmetRequirements?: Requirement[];
 }
 
 export interface Transaction {
@@ -81,7 +214,11 @@ export interface Transaction {
   user: string;
   type: 'earned' | 'withdrawal' | 'payment' | 'refund';
   amount: number;
-  currency: string;
+  currency: Currency;
+  display?: {
+    amount: number;
+    currency: Currency;
+  };
   description: string;
   status: 'pending' | 'completed' | 'failed';
   reference?: string;
@@ -186,13 +323,11 @@ class ApiClient {
   }
 
   // Jobs methods
-  async getJobs(params?: {
-    category?: string;
+  async getJobs(params?: JobSearchParams & {
     location?: string;
-    minPay?: number;
-    maxPay?: number;
     date?: string;
     status?: string;
+    sort?: 'relevance' | 'recent' | 'pay_high' | 'pay_low' | 'distance';
     page?: number;
     limit?: number;
   }): Promise<{ jobs: Job[]; total: number; page: number; pages: number }> {
@@ -214,6 +349,37 @@ class ApiClient {
     return this.request<Job>(`/jobs/${id}`);
   }
 
+  async getRecommendedJobs(params?: {
+    lat?: number;
+    lng?: number;
+    radius?: number;
+    page?: number;
+    limit?: number;
+  }): Promise<{
+    success: boolean;
+    data: {
+      jobs: RecommendedJob[];
+      pagination: { page: number; limit: number; total: number; pages: number };
+    };
+  }> {
+    const searchParams = new URLSearchParams();
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (value !== undefined) {
+        searchParams.append(key, value.toString());
+      }
+    });
+
+    const queryString = searchParams.toString();
+    return this.request(queryString ? `/jobs/recommended?${queryString}` : '/jobs/recommended');
+  }
+
+  async getJobEligibility(id: string): Promise<{
+    success: boolean;
+    data: { eligibility: Eligibility };
+  }> {
+    return this.request(`/jobs/${id}/eligibility`);
+  }
+
   async createJob(jobData: Partial<Job>): Promise<Job> {
     return this.request<Job>('/jobs', {
       method: 'POST',
@@ -234,6 +400,109 @@ class ApiClient {
     });
   }
 
+  async getMyPostedJobs(params?: { status?: string; limit?: number }): Promise<{
+    success: boolean;
+    data: { jobs: Job[] };
+  }> {
+    const searchParams = new URLSearchParams({ role: 'employer' });
+    if (params?.status) searchParams.append('status', params.status);
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+    return this.request(`/users/jobs?${searchParams.toString()}`);
+  }
+
+  async cloneJob(id: string, date?: string): Promise<{ success: boolean; data: { job: Job } }> {
+    return this.request(`/jobs/${id}/clone`, {
+      method: 'POST',
+      body: JSON.stringify({ date }),
+    });
+  }
+
+  async createDraft(jobData: JobDetails & { date?: string }): Promise<{ success: boolean; data: { job: Job } }> {
+    return this.request('/jobs/drafts', {
+      method: 'POST',
+      body: JSON.stringify(jobData),
+    });
+  }
+
+  // Publishes now, or schedules the job when publishAt is given
+  async publishJob(id: string, publishAt?: string): Promise<{ success: boolean; data: { job: Job } }> {
+    return this.request(`/jobs/${id}/publish`, {
+      method: 'POST',
+      body: JSON.stringify({ publishAt }),
+    });
+  }
+
+  async unscheduleJob(id: string): Promise<{ success: boolean; data: { job: Job } }> {
+    return this.request(`/jobs/${id}/unschedule`, {
+      method: 'POST',
+    });
+  }
+
+  // Job template methods
+  async getJobTemplates(): Promise<{ success: boolean; data: { templates: JobTemplate[] } }> {
+    return this.request('/job-templates');
+  }
+
+  async createJobTemplate(name: string, job: JobDetails): Promise<{
+    success: boolean;
+    data: { template: JobTemplate };
+  }> {
+    return this.request('/job-templates', {
+      method: 'POST',
+      body: JSON.stringify({ name, ...job }),
+    });
+  }
+
+  async updateJobTemplate(id: string, changes: { name?: string } & JobDetails): Promise<{
+    success: boolean;
+    data: { template: JobTemplate };
+  }> {
+    return this.request(`/job-templates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async deleteJobTemplate(id: string): Promise<void> {
+    return this.request<void>(`/job-templates/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Saved searches methods
+  async getSavedSearches(): Promise<{
+    success: boolean;
+    data: { searches: SavedSearch[] };
+  }> {
+    return this.request('/saved-searches');
+  }
+
+  async saveSearch(name: string, query: JobSearchParams, frequency?: AlertFrequency): Promise<{
+    success: boolean;
+    data: { search: SavedSearch };
+  }> {
+    return this.request('/saved-searches', {
+      method: 'POST',
+      body: JSON.stringify({ name, query, frequency }),
+    });
+  }
+
+  async updateSavedSearch(id: string, changes: Partial<Pick<SavedSearch, 'name' | 'query' | 'frequency' | 'muted'>>): Promise<{
+    success: boolean;
+    data: { search: SavedSearch };
+  }> {
+    return this.request(`/saved-searches/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async deleteSavedSearch(id: string): Promise<void> {
+    return this.request<void>(`/saved-searches/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Applications methods
   async applyForJob(jobId: string, message?: string): Promise<Application> {
     return this.request<Application>(`/applications/${jobId}`, {
@@ -268,6 +537,14 @@ class ApiClient {
     });
   }
 
+  // Only the preferences sent are changed
+  async updatePreferences(preferences: { currency?: Currency }): Promise<{ success: boolean; data: { user: User } }> {
+    return this.request('/users/preferences', {
+      method: 'PUT',
+      body: JSON.stringify(preferences),
+    });
+  }
+
   async uploadAvatar(file: File): Promise<{ avatar: string }> {
     
     const formData = new FormData();
@@ -281,18 +558,18 @@ class ApiClient {
   }
 
   // Wallet methods
-  async getWallet(): Promise<{ balance: number; currency: string }> {
-    return this.request<{ balance: number; currency: string }>('/payments/wallet');
+  async getWallet(): Promise<{ wallet: Wallet }> {
+    return this.request<{ wallet: Wallet }>('/payments/wallet');
   }
 
   async getTransactions(): Promise<Transaction[]> {
     return this.request<Transaction[]>('/payments/transactions');
   }
 
-  async withdrawFunds(amount: number, paymentMethod: string): Promise<Transaction> {
+  async withdrawFunds(amount: number, paymentMethod: string, currency?: Currency): Promise<Transaction> {
     return this.request<Transaction>('/payments/withdraw', {
       method: 'POST',
-      body: JSON.stringify({ amount, paymentMethod }),
+      body: JSON.stringify({ amount, paymentMethod, currency }),
     });
   }
 
@@ -1,7 +1,7 @@
 'use client';
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { api } from './api';
+import { api, type Currency } from './api';
 
 // Импортируем тип User из api.ts
 export interface User {
@@ -18,8 +18,10 @@ export interface User {
   skills?: string[];
   isVerified: boolean;
   wallet: {
-    balance: number;
-    currency: string;
+    balances: Record<string, number>;
+  };
+  preferences?: {
+    currency: Currency;
   };
   stats?: {
     totalJobs: number;